@@ -2,10 +2,12 @@
  * AI-Powered Browser History - Background Script (Service Worker)
  * Handles extension lifecycle, side panel setup, context menu, and offscreen orchestration
  */
+import { canonicalizeUrl, getCanonicalRules } from './utils/url-canonicalizer.js';
 
 // Extension installation and startup
 chrome.runtime.onInstalled.addListener(async (details) => {
   setupContextMenu();
+  updateIndexingBadge();
 
   // Open welcome page for new installations and major updates
   if (details.reason === 'install' ||
@@ -23,34 +25,282 @@ chrome.runtime.onInstalled.addListener(async (details) => {
 // Service worker restarts don't remove menus; onInstalled is sufficient.
 
 // Side panel management
-chrome.action.onClicked.addListener(async (tab) => {
-  try {
-    await chrome.sidePanel.open({ tabId: tab.id });
-  } catch (error) {
-    console.error('[BG] Failed to open side panel:', error);
-  }
+chrome.action.onClicked.addListener((tab) => {
+  openRevisitPanel(tab);
+});
+
+let lastFocusedWindowId = null; // lets the panel open without an await when no tab is given
+
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  if (windowId !== chrome.windows.WINDOW_ID_NONE) lastFocusedWindowId = windowId;
 });
 
+// Open the side panel, optionally handing it something to show (see sidePanelIntent in
+// utils/side-panel-intent.js). sidePanel.open() must start before any await, or Chrome
+// no longer treats it as a response to the user's click.
+function openSidePanelWith(intent, { tabId = null } = {}) {
+  if (intent) storeSidePanelIntent(intent);
+
+  let opening;
+  if (tabId != null) {
+    opening = chrome.sidePanel.open({ tabId });
+  } else if (lastFocusedWindowId != null) {
+    opening = chrome.sidePanel.open({ windowId: lastFocusedWindowId });
+  } else {
+    opening = chrome.windows.getLastFocused().then(win => chrome.sidePanel.open({ windowId: win.id }));
+  }
+  opening.catch((error) => console.error('[BG] Failed to open side panel:', error?.message || error));
+}
+
+// An open panel picks up intents stored after it loaded (onSidePanelIntent)
+function storeSidePanelIntent(intent) {
+  chrome.storage.session.set({ sidePanelIntent: { ...intent, createdAt: Date.now() } })
+    .catch((error) => console.warn('[BG] Failed to store side panel intent:', error?.message || error));
+}
+
 // Context menu setup
+const MAX_SELECTION_LENGTH = 500;
+
 function setupContextMenu() {
-  // Create menu once; ignore duplicate-id error if any
-  chrome.contextMenus.create({
-    id: 'ai-history-debug',
-    title: 'AI History: Debug',
-    contexts: ['page', 'action']
-  }, () => {
-    // Swallow duplicate-id errors to keep logs clean in dev
-    void chrome.runtime.lastError;
-  });
+  // Create menus once; ignore duplicate-id errors if any
+  const menus = [
+    { id: 'ai-history-debug', title: 'AI History: Debug', contexts: ['page', 'action'] },
+    { id: 'search-selection', title: 'Search my history for "%s"', contexts: ['selection'] },
+    { id: 'ask-selection', title: 'Ask Copilot about "%s"', contexts: ['selection'] },
+    { id: 'visited-link', title: 'Have I visited this?', contexts: ['link'] }
+  ];
+  for (const menu of menus) {
+    chrome.contextMenus.create(menu, () => {
+      // Swallow duplicate-id errors to keep logs clean in dev
+      void chrome.runtime.lastError;
+    });
+  }
 }
 
 // Context menu click handler
 chrome.contextMenus.onClicked.addListener((info, tab) => {
-  if (info.menuItemId === 'ai-history-debug') {
-    chrome.tabs.create({ url: chrome.runtime.getURL('debug.html') });
+  const selection = (info.selectionText || '').trim().slice(0, MAX_SELECTION_LENGTH);
+  const target = { tabId: tab?.id ?? null };
+
+  switch (info.menuItemId) {
+    case 'ai-history-debug':
+      chrome.tabs.create({ url: chrome.runtime.getURL('debug.html') });
+      break;
+    case 'search-selection':
+      if (selection) openSidePanelWith({ type: 'search', query: selection }, target);
+      break;
+    case 'ask-selection':
+      if (selection) openSidePanelWith({ type: 'chat', question: selection }, target);
+      break;
+    case 'visited-link':
+      if (info.linkUrl) openSidePanelWith({ type: 'visited', url: info.linkUrl, title: info.selectionText || '' }, target);
+      break;
+  }
+});
+
+// Keyboard commands (chrome://extensions/shortcuts). Each one flashes the toolbar badge.
+const BADGE_FLASH_MS = 2000;
+const BADGE_COLORS = { info: '#38bdf8', success: '#22c55e', error: '#ef4444', paused: '#6b7280' };
+const badgeFlashTimers = new Map(); // tabId -> timeout restoring the badge
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  const tabId = tab?.id ?? null;
+
+  switch (command) {
+    case 'open-search':
+      // No query: the panel keeps its last search and focuses the input
+      openSidePanelWith({ type: 'search', query: null }, { tabId });
+      flashBadge(tabId, 'FIND', BADGE_COLORS.info);
+      break;
+    case 'open-chat':
+      openSidePanelWith({ type: 'chat', question: null }, { tabId });
+      flashBadge(tabId, 'CHAT', BADGE_COLORS.info);
+      break;
+    case 'capture-page':
+      capturePageNow(tab);
+      break;
+    case 'toggle-indexing':
+      toggleIndexing(tabId);
+      break;
+    default:
+      console.warn('[BG] Unknown command:', command);
   }
 });
 
+// Index the tab straight away, even if it was just processed or is already indexed
+function capturePageNow(tab) {
+  if (!tab?.url || isInternalUrl(tab.url)) {
+    flashBadge(tab?.id ?? null, 'SKIP', BADGE_COLORS.error);
+    return;
+  }
+
+  setCommandBadge(tab.id, '…', BADGE_COLORS.info);
+  queuePageForIngestion({
+    url: tab.url,
+    title: tab.title,
+    visitTime: Math.floor(Date.now()),
+    tabId: tab.id
+  }, { force: true });
+}
+
+async function toggleIndexing(tabId) {
+  try {
+    const paused = !(await isIndexingPaused());
+    await chrome.storage.local.set({ indexingPaused: paused }); // onChanged updates the global badge
+    console.log(`[BG] Auto-indexing ${paused ? 'paused' : 'resumed'}`);
+    flashBadge(tabId, paused ? 'OFF' : 'ON', paused ? BADGE_COLORS.paused : BADGE_COLORS.success);
+  } catch (error) {
+    console.error('[BG] Failed to toggle indexing:', error);
+    flashBadge(tabId, '!', BADGE_COLORS.error);
+  }
+}
+
+// Show text on a tab's badge until flashBadge() or restoreBadge() replaces it.
+// While a tab is in badgeFlashTimers the revisit check leaves its badge alone.
+function setCommandBadge(tabId, text, color) {
+  if (tabId == null) return;
+  clearTimeout(badgeFlashTimers.get(tabId));
+  badgeFlashTimers.set(tabId, null);
+  chrome.action.setBadgeBackgroundColor({ tabId, color }).catch(() => {});
+  chrome.action.setBadgeText({ tabId, text }).catch(() => {});
+}
+
+function flashBadge(tabId, text, color) {
+  if (tabId == null) return;
+  setCommandBadge(tabId, text, color);
+  badgeFlashTimers.set(tabId, setTimeout(() => restoreBadge(tabId), BADGE_FLASH_MS));
+}
+
+// Back to the revisit count, or to the global badge (paused or blank)
+function restoreBadge(tabId) {
+  badgeFlashTimers.delete(tabId);
+  const text = revisitMatches.get(tabId)?.badgeText || '';
+  const color = text || !indexingPaused ? BADGE_COLORS.info : BADGE_COLORS.paused;
+  chrome.action.setBadgeBackgroundColor({ tabId, color }).catch(() => {});
+  chrome.action.setBadgeText({ tabId, text }).catch(() => {});
+}
+
+// Auto-indexing can be paused; pages captured with the keyboard command are still indexed
+let indexingPaused = null; // read lazily, the service worker may have restarted
+
+async function isIndexingPaused() {
+  if (indexingPaused === null) {
+    const stored = await chrome.storage.local.get(['indexingPaused']);
+    indexingPaused = !!stored?.indexingPaused;
+  }
+  return indexingPaused;
+}
+
+async function updateIndexingBadge() {
+  try {
+    const paused = await isIndexingPaused();
+    await chrome.action.setBadgeBackgroundColor({ color: paused ? BADGE_COLORS.paused : BADGE_COLORS.info });
+    await chrome.action.setBadgeText({ text: paused ? 'OFF' : '' });
+    await chrome.action.setTitle({
+      title: paused ? 'Auto-indexing paused' : chrome.runtime.getManifest().action?.default_title || ''
+    });
+  } catch (error) {
+    console.warn('[BG] Failed to update indexing badge:', error?.message || error);
+  }
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !('indexingPaused' in changes)) return;
+  indexingPaused = !!changes.indexingPaused.newValue;
+  updateIndexingBadge();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  updateIndexingBadge();
+});
+
+// Omnibox: type "h" and a query in the address bar to search indexed history
+const OMNIBOX_DEBOUNCE_MS = 250;
+const OMNIBOX_MAX_SUGGESTIONS = 6;
+let omniboxTimer = null;
+let omniboxRequest = 0; // only the latest input gets suggestions
+
+chrome.omnibox.onInputStarted.addListener(() => {
+  chrome.omnibox.setDefaultSuggestion({ description: 'Search your history' });
+});
+
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+  const query = text.trim();
+  chrome.omnibox.setDefaultSuggestion({
+    description: query
+      ? `See all results for <match>${escapeOmniboxXml(query)}</match> in the side panel`
+      : 'Search your history'
+  });
+
+  clearTimeout(omniboxTimer);
+  const request = ++omniboxRequest;
+  if (query.length < 2) {
+    suggest([]);
+    return;
+  }
+
+  omniboxTimer = setTimeout(async () => {
+    try {
+      const response = await sendToOffscreenWithRetry({
+        type: 'search',
+        data: { query, mode: 'hybrid-rerank', limit: OMNIBOX_MAX_SUGGESTIONS, session: false }
+      });
+      if (request !== omniboxRequest) return;
+      if (response?.error) throw new Error(response.error);
+
+      suggest((response.results || []).map(result => ({
+        content: result.url,
+        description: omniboxDescription(result, query)
+      })));
+    } catch (error) {
+      console.warn('[BG] Omnibox search failed:', error?.message || error);
+    }
+  }, OMNIBOX_DEBOUNCE_MS);
+});
+
+chrome.omnibox.onInputEntered.addListener((text, disposition) => {
+  clearTimeout(omniboxTimer);
+
+  // A suggestion's content is its URL; anything else is the typed query ("see all results")
+  if (/^https?:\/\//.test(text)) {
+    if (disposition === 'currentTab') {
+      chrome.tabs.update({ url: text });
+    } else {
+      chrome.tabs.create({ url: text, active: disposition === 'newForegroundTab' });
+    }
+    return;
+  }
+
+  openSidePanelWith({ type: 'search', query: text.trim() });
+});
+
+// Title with the query's words highlighted, then the domain
+function omniboxDescription(result, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(w => w.length >= 2)
+    .map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const title = result.title || result.url;
+  let description = escapeOmniboxXml(title);
+
+  if (words.length) {
+    const pattern = new RegExp(`(${words.join('|')})`, 'gi');
+    description = title.split(pattern)
+      .map((part, i) => i % 2 === 1 ? `<match>${escapeOmniboxXml(part)}</match>` : escapeOmniboxXml(part))
+      .join('');
+  }
+
+  const domain = result.domain || hostOf(result.url);
+  return domain ? `${description} <dim>-</dim> <url>${escapeOmniboxXml(domain)}</url>` : description;
+}
+
+function escapeOmniboxXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
 // Offscreen document management
 let offscreenCreated = false;
 let offscreenCreationPromise = null;
@@ -200,15 +450,16 @@ async function sendToOffscreenWithRetry(message, retryCount = 0) {
 }
 
 // Chrome history API integration
-async function getChromeHistory({ query = '', limit = 1000 } = {}, sendResponse) {
+async function getChromeHistory({ query = '', limit = 1000, startTime, endTime } = {}, sendResponse) {
   try {
     console.log('[BG] getChromeHistory called with query:', query, 'limit:', limit);
-    // Filter to last 90 days
+    // Filter to last 90 days unless the caller asked for a specific range
     const ninetyDaysAgo = Date.now() - (90 * 24 * 60 * 60 * 1000);
 
     const historyItems = await chrome.history.search({
       text: query,
-      startTime: ninetyDaysAgo,
+      startTime: startTime ?? ninetyDaysAgo,
+      ...(endTime != null ? { endTime } : {}),
       maxResults: limit
     });
 
@@ -292,7 +543,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     'ingest-page', 'search', 'embed', 'clear-db', 'get-stats',
     'execute-sql', 'clear-model-cache', 'export-db', 'import-db', 'update-summary',
     'refresh-ai-prefs', 'reload-embeddings', 'get-model-status', 'start-remote-warm',
-    'get-summary-queue-stats', 'process-summary-queue', 'clear-summary-queue'
+    'get-summary-queue-stats', 'process-summary-queue', 'clear-summary-queue',
+    'check-vector-recall', 'rebuild-vector-indexes', 'get-eval-queries', 'save-eval-query',
+    'delete-eval-query', 'run-search-eval', 'get-eval-runs', 'similar-pages',
+    'related-pages', 'run-maintenance-job'
   ];
 
   if (offscreenMessages.includes(message.type)) {
@@ -314,8 +568,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           url: sender.tab.url,
           title: sender.tab.title
         });
+        break;
       }
-      break;
+      // Extension pages (the side panel) ask about the active tab, with its text
+      getActiveTabInfo(message.data, sendResponse);
+      return true; // Async response
 
     case 'extractPageContent':
       extractPageContent(message.url, sendResponse);
@@ -330,8 +587,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({
         queueLength: ingestionQueue.length,
         isProcessing: isProcessingQueue,
-        currentUrl: ingestionQueue[0]?.url || null,
+        currentUrl: currentIngestion?.url || ingestionQueue[0]?.url || null,
         recentlyProcessedCount: recentlyProcessed.size,
+        indexingPaused: !!indexingPaused,
         pendingTabUpdates: pendingTabUpdates.size,
         performanceMetrics: performanceMetrics
       });
@@ -341,6 +599,28 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       getChromeHistory(message.data, sendResponse);
       return true; // Async response
 
+    case 'open-revisit-panel':
+      // From the in-page hint
+      if (sender.tab) openRevisitPanel(sender.tab);
+      sendResponse({ status: 'ok' });
+      break;
+
+    case 'search-click':
+      handleSearchClick(message.data, sendResponse);
+      return true; // Async response
+
+    case 'get-ingestion-queue':
+      getIngestionQueue(sendResponse);
+      return true; // Async response
+
+    case 'retry-failed-ingestions':
+      retryFailedIngestions(sendResponse);
+      return true; // Async response
+
+    case 'clear-finished-ingestions':
+      clearFinishedIngestions(sendResponse);
+      return true; // Async response
+
     default:
       console.warn('[BG] Unknown message type:', message.type);
       sendResponse({ error: 'Unknown message type' });
@@ -355,12 +635,7 @@ chrome.history.onVisited.addListener((historyItem) => {
       return;
     }
 
-    // Additional filtering to prevent spam from rapid navigation
-    if (recentlyProcessed.has(historyItem.url)) {
-      console.log(`[BG] Skipping recently processed history item: ${historyItem.url}`);
-      return;
-    }
-
+    // Rapid repeat visits are dropped by queuePageForIngestion, which compares canonical URLs
     console.log(`[BG] History item queued: ${historyItem.url}`);
     queuePageForIngestion({
       url: historyItem.url,
@@ -381,6 +656,7 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
       visitTime: Math.floor(Date.now()),
       tabId
     });
+    checkRevisit(tabId, tab.url, tab.title);
   }
 });
 
@@ -391,26 +667,372 @@ chrome.webNavigation.onCompleted.addListener(({ tabId, url, frameId }) => {
     if (!/^https?:\/\//.test(url)) return; // only http/https
     if (isInternalUrl(url)) return; // skip internal URLs
 
-    // Only send auto-capture if we haven't already processed this URL recently
-    if (recentlyProcessed.has(url)) {
-      console.log(`[BG] Skipping auto-capture for recently processed URL: ${url}`);
-      return;
-    }
+    checkRevisit(tabId, url);
 
-    // Send auto-capture message to content script (non-blocking)
-    chrome.tabs.sendMessage(tabId, { type: 'autoCapture' }, () => {
-      // Ignore errors when content script isn't present or page is restricted
-      void chrome.runtime.lastError;
-    });
+    Promise.all([isIndexingPaused(), getCanonicalRules()]).then(([paused, rules]) => {
+      if (paused) return;
+
+      // Only send auto-capture if we haven't already processed this URL recently
+      if (wasRecentlyProcessed(canonicalizeUrl(url, rules))) {
+        console.log(`[BG] Skipping auto-capture for recently processed URL: ${url}`);
+        return;
+      }
+
+      // Send auto-capture message to content script (non-blocking)
+      chrome.tabs.sendMessage(tabId, { type: 'autoCapture' }, () => {
+        // Ignore errors when content script isn't present or page is restricted
+        void chrome.runtime.lastError;
+      });
 
-    console.log(`[BG] Auto-capture triggered for: ${url}`);
+      console.log(`[BG] Auto-capture triggered for: ${url}`);
+    }).catch(() => {});
   } catch (e) {
     // Ignore errors in navigation handler
   }
 }, { url: [{ schemes: ['http', 'https'] }] });
 
+// Single-page apps switch routes with the History API or the #fragment, without loading a
+// new document, so onCompleted never fires for them. Each route that canonicalizes to a new
+// URL is a visit of its own; the content script captures it once its DOM settles.
+const pendingRouteChanges = new Map(); // tabId -> debounce timeout (apps often push several states at once)
+
+function handleRouteChange({ tabId, url, frameId, transitionType, timeStamp }) {
+  if (frameId !== 0) return; // only top-level frames
+  if (isInternalUrl(url)) return;
+
+  clearTimeout(pendingRouteChanges.get(tabId));
+  pendingRouteChanges.set(tabId, setTimeout(() => {
+    pendingRouteChanges.delete(tabId);
+    captureRoute(tabId, url, transitionType, timeStamp).catch((error) => {
+      console.warn(`[BG] Route change handling failed for ${url}:`, error.message);
+    });
+  }, DEBOUNCE_DELAY));
+}
+
+async function captureRoute(tabId, url, transitionType, timeStamp) {
+  const rules = await getCanonicalRules();
+  const canonicalUrl = canonicalizeUrl(url, rules);
+  await tabCommittedUrlsReady;
+  const previousUrl = tabCommittedUrls.get(tabId) || null;
+
+  // Scrolling to an anchor or dropping a tracking parameter is the same page
+  if (previousUrl && canonicalizeUrl(previousUrl, rules) === canonicalUrl) return;
+
+  tabCommittedUrls.set(tabId, url);
+  saveTabCommittedUrls();
+  clearRevisit(tabId);
+  recordVisit({
+    url,
+    tabId,
+    transitionType,
+    referrerUrl: previousUrl,
+    visitTime: Math.floor(timeStamp || Date.now())
+  });
+  checkRevisit(tabId, url);
+
+  if (await isIndexingPaused()) return;
+  if (wasRecentlyProcessed(canonicalUrl)) {
+    console.log(`[BG] Skipping route capture for recently processed URL: ${url}`);
+    return;
+  }
+
+  chrome.tabs.sendMessage(tabId, { type: 'routeChanged' }, () => {
+    // Ignore errors when content script isn't present or page is restricted
+    void chrome.runtime.lastError;
+  });
+  console.log(`[BG] Route change capture triggered for: ${url}`);
+}
+
+const ROUTE_CHANGE_FILTER = { url: [{ schemes: ['http', 'https'] }] };
+chrome.webNavigation.onHistoryStateUpdated.addListener(handleRouteChange, ROUTE_CHANGE_FILTER);
+chrome.webNavigation.onReferenceFragmentUpdated.addListener(handleRouteChange, ROUTE_CHANGE_FILTER);
+
+// Per-tab navigation context used to attribute visits
+const TAB_URLS_STORAGE_KEY = 'tabCommittedUrls';
+const tabCommittedUrls = new Map(); // tabId -> last committed top-level URL
+const tabOpeners = new Map(); // new tabId -> URL of the page that opened it
+
+// Kept in session storage too, so an anchor scroll after a worker restart isn't a new visit
+const tabCommittedUrlsReady = restoreTabCommittedUrls();
+
+async function restoreTabCommittedUrls() {
+  try {
+    const stored = (await chrome.storage.session.get([TAB_URLS_STORAGE_KEY]))?.[TAB_URLS_STORAGE_KEY];
+    for (const [tabId, url] of stored || []) {
+      // A navigation committed since the restart is newer
+      if (!tabCommittedUrls.has(tabId)) tabCommittedUrls.set(tabId, url);
+    }
+  } catch (error) {
+    console.warn('[BG] Failed to restore tab URLs:', error?.message || error);
+  }
+}
+
+function saveTabCommittedUrls() {
+  chrome.storage.session.set({ [TAB_URLS_STORAGE_KEY]: [...tabCommittedUrls] })
+    .catch((error) => console.warn('[BG] Failed to save tab URLs:', error?.message || error));
+}
+
+// Pages opened in a new tab/window get the opening page as their referrer
+chrome.webNavigation.onCreatedNavigationTarget.addListener(({ sourceTabId, tabId }) => {
+  const openerUrl = tabCommittedUrls.get(sourceTabId);
+  if (openerUrl) {
+    tabOpeners.set(tabId, openerUrl);
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  if (tabCommittedUrls.delete(tabId)) saveTabCommittedUrls();
+  clearTimeout(pendingRouteChanges.get(tabId));
+  pendingRouteChanges.delete(tabId);
+  tabOpeners.delete(tabId);
+  finishClickDwell(tabId);
+  if (revisitMatches.delete(tabId)) saveRevisitMatches();
+  clearTimeout(badgeFlashTimers.get(tabId));
+  badgeFlashTimers.delete(tabId);
+});
+
+// Search result clicks: log the click, then time how long the opened page stays in front.
+// Clicks and dwell timers are kept in chrome.storage.session, because MV3 stops the worker
+// after 30 seconds idle, well before a long read counts as satisfied.
+const CLICK_MATCH_WINDOW_MS = 15 * 1000; // the clicked page must commit within this window
+const MAX_DWELL_MS = 30 * 60 * 1000;
+const CLICK_STORAGE_KEY = 'searchClickDwell';
+const pendingClicks = []; // { host, clickedAt, clickId } waiting for their tab
+const clickDwell = new Map(); // tabId -> { host, windowId, activeMs, activeSince, clickedAt, clickId }
+const clickIdPromises = new Map(); // clickedAt -> response of record-search-click, until it arrives
+
+const clickTrackingReady = restoreClickTracking();
+
+async function restoreClickTracking() {
+  try {
+    const stored = (await chrome.storage.session.get([CLICK_STORAGE_KEY]))?.[CLICK_STORAGE_KEY];
+    if (!stored) return;
+    pendingClicks.push(...(stored.pending || []));
+    for (const [tabId, entry] of stored.dwell || []) {
+      clickDwell.set(tabId, entry);
+    }
+  } catch (error) {
+    console.warn('[BG] Failed to restore click tracking:', error?.message || error);
+  }
+}
+
+function saveClickTracking() {
+  chrome.storage.session.set({
+    [CLICK_STORAGE_KEY]: { pending: pendingClicks, dwell: [...clickDwell] }
+  }).catch((error) => console.warn('[BG] Failed to save click tracking:', error?.message || error));
+}
+
+async function handleSearchClick(click, sendResponse) {
+  const clickedAt = Date.now();
+  const host = hostOf(click?.url);
+
+  // The tab can commit before the row exists, so the dwell waits on the id
+  const idPromise = sendToOffscreenWithRetry({
+    type: 'record-search-click',
+    data: { ...click, clickedAt }
+  }).catch((error) => ({ error: error.message }));
+  clickIdPromises.set(clickedAt, idPromise);
+
+  await clickTrackingReady;
+  if (host) {
+    pendingClicks.push({ host, clickedAt, clickId: null });
+    saveClickTracking();
+  }
+
+  const response = await idPromise;
+  clickIdPromises.delete(clickedAt);
+  for (const entry of [...pendingClicks, ...clickDwell.values()]) {
+    if (entry.clickedAt === clickedAt) entry.clickId = response?.id ?? null;
+  }
+  saveClickTracking();
+  sendResponse(response);
+}
+
+async function trackClickedTab(tabId, url) {
+  await clickTrackingReady;
+  const host = hostOf(url);
+  const tracked = clickDwell.get(tabId);
+  if (tracked && tracked.host !== host) {
+    finishClickDwell(tabId);
+  }
+
+  const now = Date.now();
+  while (pendingClicks.length && now - pendingClicks[0].clickedAt > CLICK_MATCH_WINDOW_MS) {
+    pendingClicks.shift();
+  }
+  const index = pendingClicks.findIndex(click => click.host === host);
+  if (index === -1) return;
+
+  const [click] = pendingClicks.splice(index, 1);
+  const entry = {
+    host, windowId: null, activeMs: 0, activeSince: now, clickedAt: click.clickedAt, clickId: click.clickId
+  };
+  clickDwell.set(tabId, entry);
+  saveClickTracking();
+  chrome.tabs.get(tabId).then((tab) => {
+    entry.windowId = tab.windowId;
+    if (!tab.active) pauseClickDwell(entry);
+    saveClickTracking();
+  }).catch(() => {});
+}
+
+function pauseClickDwell(entry) {
+  if (entry.activeSince) {
+    entry.activeMs += Date.now() - entry.activeSince;
+    entry.activeSince = null;
+  }
+}
+
+async function finishClickDwell(tabId) {
+  await clickTrackingReady;
+  const entry = clickDwell.get(tabId);
+  if (!entry) return;
+  clickDwell.delete(tabId);
+  pauseClickDwell(entry);
+  saveClickTracking();
+
+  try {
+    const clickId = entry.clickId ?? (await clickIdPromises.get(entry.clickedAt))?.id;
+    if (clickId == null) return;
+    await sendToOffscreenWithRetry({
+      type: 'update-search-click-dwell',
+      data: { id: clickId, dwellMs: Math.min(entry.activeMs, MAX_DWELL_MS) }
+    });
+  } catch (error) {
+    console.warn('[BG] Failed to record click dwell:', error?.message || error);
+  }
+}
+
+// Only the active tab of a window accumulates dwell
+chrome.tabs.onActivated.addListener(async ({ tabId, windowId }) => {
+  await clickTrackingReady;
+  for (const [trackedId, entry] of clickDwell) {
+    if (trackedId === tabId) {
+      if (!entry.activeSince) entry.activeSince = Date.now();
+    } else if (entry.windowId === windowId) {
+      pauseClickDwell(entry);
+    }
+  }
+  if (clickDwell.size > 0) saveClickTracking();
+});
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return null;
+  }
+}
+
+// Revisit hints: when a loaded page is close to earlier reading, the toolbar badge shows
+// how many related pages there are, and clicking it opens the side panel on them.
+// Settings live in aiPrefs: revisitBadge, revisitPageHint, revisitThreshold.
+const REVISIT_DEFAULTS = { revisitBadge: true, revisitPageHint: false, revisitThreshold: 0.7 };
+const REVISIT_MAX_MATCHES = 10;
+const REVISIT_STORAGE_KEY = 'revisitMatches';
+const revisitMatches = new Map(); // tabId -> { url, results, badgeText }
+
+// The badge outlives a service worker restart, so its matches are kept in session storage too
+let revisitMatchesRestored = false;
+const revisitMatchesReady = restoreRevisitMatches();
+
+async function restoreRevisitMatches() {
+  try {
+    const stored = (await chrome.storage.session.get([REVISIT_STORAGE_KEY]))?.[REVISIT_STORAGE_KEY];
+    for (const [tabId, entry] of stored || []) {
+      // A check that started since the restart is newer
+      if (!revisitMatches.has(tabId)) revisitMatches.set(tabId, entry);
+    }
+  } catch (error) {
+    console.warn('[BG] Failed to restore revisit matches:', error?.message || error);
+  } finally {
+    revisitMatchesRestored = true;
+  }
+}
+
+function saveRevisitMatches() {
+  const found = [...revisitMatches].filter(([, entry]) => entry.results.length > 0);
+  chrome.storage.session.set({ [REVISIT_STORAGE_KEY]: found })
+    .catch((error) => console.warn('[BG] Failed to save revisit matches:', error?.message || error));
+}
+
+async function checkRevisit(tabId, url, title = null) {
+  // onUpdated and onCompleted both fire for one load; check each URL once per tab
+  const known = revisitMatches.get(tabId);
+  if (known?.url === url) return;
+  if (known) clearRevisit(tabId); // in-page navigation without a new commit
+  const entry = { url, results: [] };
+  revisitMatches.set(tabId, entry);
+
+  try {
+    const { aiPrefs } = await chrome.storage.local.get(['aiPrefs']);
+    const prefs = { ...REVISIT_DEFAULTS, ...(aiPrefs || {}) };
+    if (!prefs.revisitBadge && !prefs.revisitPageHint) return;
+
+    if (title == null) {
+      title = (await chrome.tabs.get(tabId))?.title || '';
+    }
+
+    const response = await sendToOffscreenWithRetry({
+      type: 'check-revisit',
+      data: { url, title, threshold: prefs.revisitThreshold, limit: REVISIT_MAX_MATCHES }
+    });
+    if (response?.error) throw new Error(response.error);
+
+    // The tab may have moved on while the lookup ran
+    if (revisitMatches.get(tabId) !== entry) return;
+    entry.results = response.results || [];
+    if (entry.results.length === 0) return;
+
+    const count = entry.results.length;
+    if (prefs.revisitBadge) entry.badgeText = String(count);
+    saveRevisitMatches();
+    if (prefs.revisitBadge) {
+      if (!badgeFlashTimers.has(tabId)) {
+        await chrome.action.setBadgeBackgroundColor({ tabId, color: BADGE_COLORS.info });
+        await chrome.action.setBadgeText({ tabId, text: entry.badgeText });
+      }
+      await chrome.action.setTitle({ tabId, title: `You read ${count} related page${count === 1 ? '' : 's'} before` });
+    }
+    if (prefs.revisitPageHint) {
+      chrome.tabs.sendMessage(tabId, { type: 'showRevisitHint', count }, () => {
+        void chrome.runtime.lastError; // no content script on this page
+      });
+    }
+  } catch (error) {
+    console.warn(`[BG] Revisit check failed for ${url}:`, error?.message || error);
+  }
+}
+
+function clearRevisit(tabId) {
+  if (!revisitMatches.has(tabId)) return;
+  const hadResults = revisitMatches.get(tabId).results.length > 0;
+  revisitMatches.delete(tabId);
+  if (hadResults) saveRevisitMatches();
+  if (!badgeFlashTimers.has(tabId)) chrome.action.setBadgeText({ tabId, text: '' }).catch(() => {});
+  chrome.action.setTitle({ tabId, title: chrome.runtime.getManifest().action?.default_title || '' }).catch(() => {});
+}
+
+// Have the side panel show the tab's related pages instead of the last search
+function revisitPanelIntent(tab) {
+  const matches = revisitMatches.get(tab.id);
+  if (!matches?.results.length || matches.url !== tab.url) return null;
+  return { type: 'revisit', url: tab.url, title: tab.title || '', results: matches.results };
+}
+
+// A badge click can be what wakes the worker; the panel still opens right away and gets
+// the matches once they're read back from session storage
+function openRevisitPanel(tab) {
+  openSidePanelWith(revisitPanelIntent(tab), { tabId: tab.id });
+  if (revisitMatchesRestored) return;
+  revisitMatchesReady.then(() => {
+    const intent = revisitPanelIntent(tab);
+    if (intent) storeSidePanelIntent(intent);
+  });
+}
+
 // Listen for navigation start to show progress immediately
-chrome.webNavigation.onCommitted.addListener(({ tabId, url, frameId }) => {
+chrome.webNavigation.onCommitted.addListener(({ tabId, url, frameId, transitionType, timeStamp }) => {
   try {
     if (frameId !== 0) return; // only top-level frames
     if (!/^https?:\/\//.test(url)) return; // only http/https
@@ -423,12 +1045,42 @@ chrome.webNavigation.onCommitted.addListener(({ tabId, url, frameId }) => {
       timestamp: Date.now()
     });
 
+    // The previous page in this tab (or the opener for a fresh tab) is the referrer
+    const referrerUrl = tabCommittedUrls.get(tabId) || tabOpeners.get(tabId) || null;
+    tabOpeners.delete(tabId);
+    tabCommittedUrls.set(tabId, url);
+    saveTabCommittedUrls();
+    trackClickedTab(tabId, url);
+    clearRevisit(tabId);
+    recordVisit({
+      url,
+      tabId,
+      transitionType,
+      referrerUrl: referrerUrl !== url ? referrerUrl : null,
+      visitTime: Math.floor(timeStamp || Date.now())
+    });
+
     console.log(`[BG] Navigation started: ${url}`);
   } catch (e) {
     // Ignore errors in navigation handler
   }
 }, { url: [{ schemes: ['http', 'https'] }] });
 
+// Every committed navigation is a visit, including revisits of already indexed pages
+async function recordVisit(visit) {
+  try {
+    const response = await sendToOffscreenWithRetry({
+      type: 'record-visit',
+      data: visit
+    });
+    if (response?.error) {
+      console.warn(`[BG] Failed to record visit for ${visit.url}:`, response.error);
+    }
+  } catch (error) {
+    console.warn(`[BG] Failed to record visit for ${visit.url}:`, error.message);
+  }
+}
+
 // Content extraction using chrome.scripting API
 async function extractPageContent(url, sendResponse) {
   try {
@@ -463,6 +1115,34 @@ async function extractPageContent(url, sendResponse) {
   }
 }
 
+// Active tab of the last focused window, with a bounded amount of its visible text
+async function getActiveTabInfo({ includeText = true, maxTextLength = 2000 } = {}, sendResponse) {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (!tab?.url) {
+      sendResponse({ error: 'No active tab' });
+      return;
+    }
+
+    const info = { tabId: tab.id, url: tab.url, title: tab.title || '', text: '' };
+    if (includeText && !isInternalUrl(tab.url)) {
+      // Text is optional: pages without host access or a content script fall back to the title
+      try {
+        const content = await sendMessageWithRetry(tab.id, { type: 'getPageContent' }, 1)
+          .catch(() => extractViaScripting(tab));
+        info.text = (content?.text || '').slice(0, maxTextLength);
+      } catch (e) {
+        console.log('[BG] No page text for active tab:', e.message);
+      }
+    }
+
+    sendResponse(info);
+  } catch (error) {
+    console.error('[BG] Active tab info failed:', error);
+    sendResponse({ error: error.message });
+  }
+}
+
 // Helper: tabs.sendMessage with retry when content script isn't ready yet
 async function sendMessageWithRetry(tabId, message, attempts = 3, delayMs = 300) {
   const shouldRetry = (msg) => /Receiving end does not exist|Could not establish connection/i.test(msg || '');
@@ -587,14 +1267,104 @@ async function deleteCapturedEntries(urls, sendResponse) {
   }
 }
 
-// Page ingestion queue with throttling
-const ingestionQueue = [];
+// Page ingestion queue with throttling. The queue, the item being processed, recently
+// finished items and recentlyProcessed are kept in chrome.storage.session, because MV3
+// stops the service worker after 30 seconds idle; the queue resumes when it starts again.
+// Item status: queued -> extracting -> embedding -> done | skipped | failed (with a reason).
+const ingestionQueue = []; // queued items, in order
+let currentIngestion = null; // item being extracted or embedded
+const finishedIngestions = []; // done and failed items, newest first
 let isProcessingQueue = false;
-const recentlyProcessed = new Set(); // Track recently processed URLs
-const pendingTabUpdates = new Map(); // Debounce tab updates
+const recentlyProcessed = new Map(); // canonical url -> expiry time, for duplicate prevention
+const pendingTabUpdates = new Map(); // Debounce tab updates (in memory: 500ms is gone long before the worker stops)
 const DEBOUNCE_DELAY = 500; // 500ms debounce
 const PROCESSING_DELAY = 500; // 500ms between processing items
 const DUPLICATE_WINDOW = 30000; // 30 seconds duplicate prevention
+const INGESTION_STORAGE_KEY = 'ingestionQueue';
+const MAX_FINISHED_INGESTIONS = 50;
+
+const ingestionQueueReady = restoreIngestionQueue();
+
+async function restoreIngestionQueue() {
+  try {
+    const stored = (await chrome.storage.session.get([INGESTION_STORAGE_KEY]))?.[INGESTION_STORAGE_KEY];
+    if (!stored) return;
+
+    const now = Date.now();
+    for (const [url, expiresAt] of stored.recentlyProcessed || []) {
+      if (expiresAt > now) recentlyProcessed.set(url, expiresAt);
+    }
+    finishedIngestions.push(...(stored.finished || []));
+    ingestionQueue.push(...(stored.queue || []));
+
+    // The worker stopped part way through this item
+    const interrupted = stored.current;
+    if (interrupted) {
+      interrupted.attempts = (interrupted.attempts || 0) + 1;
+      const reason = `Interrupted while ${interrupted.status}`;
+      if (interrupted.attempts < interrupted.maxAttempts) {
+        ingestionQueue.unshift({ ...interrupted, status: 'queued', reason });
+      } else {
+        finishIngestion(interrupted, 'failed', reason);
+      }
+    }
+
+    console.log(`[BG] Restored ingestion queue: ${ingestionQueue.length} queued, ${finishedIngestions.length} finished`);
+    saveIngestionQueue();
+    if (ingestionQueue.length > 0) {
+      processIngestionQueue();
+    }
+  } catch (error) {
+    console.error('[BG] Failed to restore ingestion queue:', error);
+  }
+}
+
+function saveIngestionQueue() {
+  pruneRecentlyProcessed();
+  chrome.storage.session.set({
+    [INGESTION_STORAGE_KEY]: {
+      queue: ingestionQueue,
+      current: currentIngestion,
+      finished: finishedIngestions,
+      recentlyProcessed: [...recentlyProcessed]
+    }
+  }).catch((error) => console.warn('[BG] Failed to save ingestion queue:', error?.message || error));
+}
+
+function setIngestionStatus(item, status, reason = null) {
+  item.status = status;
+  item.reason = reason;
+  item.updatedAt = Date.now();
+  saveIngestionQueue();
+}
+
+function finishIngestion(item, status, reason = null) {
+  item.status = status;
+  item.reason = reason;
+  item.updatedAt = Date.now();
+  finishedIngestions.unshift(item);
+  finishedIngestions.splice(MAX_FINISHED_INGESTIONS);
+  saveIngestionQueue();
+}
+
+function wasRecentlyProcessed(url) {
+  const expiresAt = recentlyProcessed.get(url);
+  if (expiresAt == null) return false;
+  if (expiresAt > Date.now()) return true;
+  recentlyProcessed.delete(url);
+  return false;
+}
+
+function markRecentlyProcessed(url) {
+  recentlyProcessed.set(url, Date.now() + DUPLICATE_WINDOW);
+}
+
+function pruneRecentlyProcessed() {
+  const now = Date.now();
+  for (const [url, expiresAt] of recentlyProcessed) {
+    if (expiresAt <= now) recentlyProcessed.delete(url);
+  }
+}
 
 function isInternalUrl(url) {
   // Skip internal Chrome/Edge pages and extension pages
@@ -630,49 +1400,66 @@ function debounceTabUpdate(tabId, pageInfo) {
   console.log(`[BG] Debounced tab update for: ${pageInfo.url} (tab ${tabId})`);
 }
 
-async function queuePageForIngestion(pageInfo) {
+// options.force: queue even when paused, recently processed or already indexed (capture command)
+async function queuePageForIngestion(pageInfo, { force = false } = {}) {
   try {
     // Skip internal URLs that we can't extract content from
     if (isInternalUrl(pageInfo.url)) {
       return;
     }
 
+    await ingestionQueueReady;
+
+    if (!force && await isIndexingPaused()) {
+      console.log(`[BG] Auto-indexing paused, skipping: ${pageInfo.url}`);
+      return;
+    }
+
+    // Variants of one page (tracking parameters, fragments, m. hosts) share a key. The
+    // tab is still found by the URL it was visited at, so pageInfo.url stays as it is.
+    const urlKey = canonicalizeUrl(pageInfo.url, await getCanonicalRules());
+
     // Enhanced duplicate prevention
-    const urlKey = pageInfo.url;
-    if (recentlyProcessed.has(urlKey)) {
+    if (!force && wasRecentlyProcessed(urlKey)) {
       console.log(`[BG] Skipping recently processed URL: ${pageInfo.url}`);
       return;
     }
 
     // Check if page already exists in database to avoid unnecessary processing
     try {
-      const response = await sendToOffscreenWithRetry({
+      const response = force ? null : await sendToOffscreenWithRetry({
         type: 'page-exists',
-        data: { url: pageInfo.url }
+        data: { url: urlKey }
       });
-      if (response.exists) {
+      if (response?.exists) {
         console.log(`[BG] Skipping already indexed URL: ${pageInfo.url}`);
         // Still mark as recently processed to avoid repeated checks
-        recentlyProcessed.add(urlKey);
-        setTimeout(() => recentlyProcessed.delete(urlKey), DUPLICATE_WINDOW);
+        markRecentlyProcessed(urlKey);
+        saveIngestionQueue();
         return;
       }
     } catch (error) {
       console.warn(`[BG] Failed to check if page exists, proceeding with ingestion:`, error);
     }
 
-    // Mark as recently processed with automatic cleanup
-    recentlyProcessed.add(urlKey);
-    setTimeout(() => recentlyProcessed.delete(urlKey), DUPLICATE_WINDOW);
+    // Mark as recently processed (expires after DUPLICATE_WINDOW)
+    markRecentlyProcessed(urlKey);
 
     const queueItem = {
       ...pageInfo,
+      canonicalUrl: urlKey,
+      id: crypto.randomUUID(),
+      forced: force,
+      status: 'queued',
+      reason: null,
       queuedAt: Date.now(),
+      updatedAt: Date.now(),
       attempts: 0,
       maxAttempts: 2
     };
 
     ingestionQueue.push(queueItem);
+    saveIngestionQueue();
     console.log(`[BG] Queued page for ingestion: ${pageInfo.url} (queue size: ${ingestionQueue.length})`);
 
     // Broadcast status update to active side panels
@@ -688,10 +1475,12 @@ async function queuePageForIngestion(pageInfo) {
     }
   } catch (error) {
     console.error(`[BG] Failed to queue page for ingestion:`, error);
+    if (force) flashBadge(pageInfo.tabId, '!', BADGE_COLORS.error);
   }
 }
 
 async function processIngestionQueue() {
+  await ingestionQueueReady;
   if (isProcessingQueue || ingestionQueue.length === 0) {
     return;
   }
@@ -712,6 +1501,8 @@ async function processIngestionQueue() {
     while (ingestionQueue.length > 0) {
       const pageInfo = ingestionQueue.shift();
       const itemStartTime = Date.now();
+      currentIngestion = pageInfo;
+      setIngestionStatus(pageInfo, 'extracting');
 
       console.log(`[BG] Processing item: ${pageInfo.url} (${ingestionQueue.length} remaining)`);
 
@@ -745,6 +1536,7 @@ async function processIngestionQueue() {
         }
 
         // Send to offscreen for processing with retry logic
+        setIngestionStatus(pageInfo, 'embedding');
         const response = await sendToOffscreenWithRetry({
           target: 'offscreen',
           type: 'ingest-page',
@@ -758,20 +1550,23 @@ async function processIngestionQueue() {
           console.error(`[BG] Ingestion failed for ${pageInfo.url}:`, response.error);
 
           // Retry logic for failed items
-          pageInfo.attempts = (pageInfo.attempts || 0) + 1;
-          if (pageInfo.attempts < pageInfo.maxAttempts) {
-            console.log(`[BG] Retrying ${pageInfo.url} (attempt ${pageInfo.attempts + 1}/${pageInfo.maxAttempts})`);
-            ingestionQueue.push(pageInfo); // Add back to end of queue
-          }
+          retryOrFailIngestion(pageInfo, response.error);
+        } else if (response?.status === 'skipped') {
+          currentIngestion = null;
+          finishIngestion(pageInfo, 'skipped', response.reason);
         } else {
           const processingTime = Date.now() - itemStartTime;
           console.log(`[BG] Successfully processed ${pageInfo.url} in ${processingTime}ms`);
           updatePerformanceMetrics(processingTime, true);
+          currentIngestion = null;
+          finishIngestion(pageInfo, 'done', extractedContent ? null : 'Indexed without page text');
+          if (pageInfo.forced) flashBadge(pageInfo.tabId, '✓', BADGE_COLORS.success);
         }
 
       } catch (error) {
         console.error(`[BG] Failed to process page ${pageInfo.url}:`, error);
         updatePerformanceMetrics(0, false);
+        retryOrFailIngestion(pageInfo, error?.message || String(error));
       }
 
       // Yield control back to the main thread to prevent UI blocking
@@ -794,6 +1589,52 @@ async function processIngestionQueue() {
   }
 }
 
+// Retry logic for failed items: back to the end of the queue, or failed for good
+function retryOrFailIngestion(pageInfo, reason) {
+  currentIngestion = null;
+  pageInfo.attempts = (pageInfo.attempts || 0) + 1;
+  if (pageInfo.attempts < pageInfo.maxAttempts) {
+    console.log(`[BG] Retrying ${pageInfo.url} (attempt ${pageInfo.attempts + 1}/${pageInfo.maxAttempts})`);
+    ingestionQueue.push(pageInfo);
+    setIngestionStatus(pageInfo, 'queued', reason);
+  } else {
+    finishIngestion(pageInfo, 'failed', reason);
+    if (pageInfo.forced) flashBadge(pageInfo.tabId, '!', BADGE_COLORS.error);
+  }
+}
+
+// For the debug page: everything queued, in progress and recently finished
+async function getIngestionQueue(sendResponse) {
+  await ingestionQueueReady;
+  sendResponse({
+    queue: ingestionQueue,
+    current: currentIngestion,
+    finished: finishedIngestions,
+    isProcessing: isProcessingQueue,
+    indexingPaused: !!indexingPaused
+  });
+}
+
+async function retryFailedIngestions(sendResponse) {
+  await ingestionQueueReady;
+  const failed = finishedIngestions.filter(item => item.status === 'failed');
+  for (const item of failed) {
+    finishedIngestions.splice(finishedIngestions.indexOf(item), 1);
+    ingestionQueue.push({ ...item, status: 'queued', attempts: 0, updatedAt: Date.now() });
+  }
+  saveIngestionQueue();
+  if (failed.length > 0) processIngestionQueue();
+  sendResponse({ retried: failed.length });
+}
+
+async function clearFinishedIngestions(sendResponse) {
+  await ingestionQueueReady;
+  const removed = finishedIngestions.length;
+  finishedIngestions.length = 0;
+  saveIngestionQueue();
+  sendResponse({ removed });
+}
+
 // Fallback extractor using chrome.scripting.executeScript
 async function extractViaScripting(tab) {
   const [{ result }] = await chrome.scripting.executeScript({
@@ -869,6 +1710,7 @@ setInterval(() => {
     }
 
     staleTabIds.forEach(tabId => pendingTabUpdates.delete(tabId));
+    pruneRecentlyProcessed();
 
     if (staleTabIds.length > 0) {
       console.log(`[BG] Cleaned up ${staleTabIds.length} stale pending tab updates`);
@@ -4,6 +4,9 @@
  */
 
 import { chromeAILoader } from './chrome-ai-loader.js';
+import { findDatePhrase, parseDatePhrase, stripDatePhrase } from '../utils/date-phrases.js';
+
+const CONTENT_TYPE_VALUES = ['any', 'documentation', 'video', 'repository', 'discussion'];
 
 export class KeywordExtractor {
   constructor() {
@@ -39,6 +42,15 @@ Examples:
 - "React hooks documentation" → ["react hooks", "documentation"] (NOT ["react", "hooks", "documentation"])
 - "Python programming" → ["python programming"] (NOT ["python", "programming"])
 
+Also extract constraints (only when is_search_query=true):
+- time_range: the time expression exactly as written (e.g. "last week", "on Tuesday", "3 days ago", "in March"), or "" if none. Do not repeat it in keywords.
+- domains: websites the user names (e.g. "github.com", "youtube.com"), or [] if none
+- content_type: "video", "repository", "documentation", "discussion" if the user asks for that kind of page, otherwise "any"
+
+Examples:
+- "the React article I read last week" → keywords ["react article"], time_range "last week"
+- "that youtube video about rust lifetimes" → keywords ["rust lifetimes"], domains ["youtube.com"], content_type "video"
+
 If not a search query, set is_search_query=false and leave keywords array empty.
 
 User query: "${query}"
@@ -46,7 +58,10 @@ User query: "${query}"
 Response must be valid JSON with this exact format:
 {
   "is_search_query": true/false,
-  "keywords": ["array", "of", "meaningful", "phrases"]
+  "keywords": ["array", "of", "meaningful", "phrases"],
+  "time_range": "",
+  "domains": [],
+  "content_type": "any"
 }`;
 
     try {
@@ -89,6 +104,13 @@ Response must be valid JSON with this exact format:
       // Process keywords array
       extracted.keywords = (extracted.keywords || []).map(s => s.toLowerCase().trim()).filter(s => s.length > 0);
 
+      // Resolve constraints to absolute values the search pipeline can filter on
+      extracted.constraints = this.buildConstraints(extracted, query);
+      if (extracted.constraints.time_range) {
+        const timeLabel = extracted.constraints.time_range.label;
+        extracted.keywords = extracted.keywords.filter(k => k !== timeLabel && k !== extracted.time_range?.toLowerCase());
+      }
+
       console.log('[KEYWORD-EXTRACTOR] Extracted:', extracted);
       return extracted;
     } catch (error) {
@@ -97,6 +119,44 @@ Response must be valid JSON with this exact format:
     }
   }
 
+  /**
+   * Turn the model's raw constraint fields into { time_range, domains, content_type }.
+   * The time phrase is resolved locally (models are unreliable at date arithmetic), and the
+   * query itself is scanned if the model didn't return a usable phrase.
+   */
+  buildConstraints(extracted, query) {
+    const timeRange = parseDatePhrase(extracted.time_range) || parseDatePhrase(findDatePhrase(query)?.match);
+
+    const domains = (Array.isArray(extracted.domains) ? extracted.domains : [])
+      .map(d => String(d).toLowerCase().trim().replace(/\s+/g, ''))
+      .filter(d => d.length > 0)
+      .map(d => d.includes('.') ? d : `${d}.com`);
+
+    const contentType = CONTENT_TYPE_VALUES.includes(extracted.content_type) ? extracted.content_type : 'any';
+
+    return { time_range: timeRange, domains, content_type: contentType };
+  }
+
+  /**
+   * Local fallback when Chrome AI is unavailable: treat the message as a search,
+   * pull out any time phrase with the date-phrase parser and search on the rest
+   */
+  extractLocally(query) {
+    const found = findDatePhrase(query);
+    const remaining = stripDatePhrase(query, found).toLowerCase();
+
+    return {
+      is_search_query: true,
+      keywords: remaining ? [remaining] : [],
+      constraints: {
+        time_range: found ? { start: found.start, end: found.end, label: found.label } : null,
+        domains: [],
+        content_type: 'any'
+      },
+      source: 'local'
+    };
+  }
+
   /**
    * Create extraction session with proper configuration
    */
@@ -161,9 +221,23 @@ Response must be valid JSON with this exact format:
           type: "array",
           items: { type: "string" },
           description: "General search terms (empty if not searching)"
+        },
+        time_range: {
+          type: "string",
+          description: "Time expression copied from the query, e.g. 'last week' (empty if none)"
+        },
+        domains: {
+          type: "array",
+          items: { type: "string" },
+          description: "Websites named in the query, e.g. 'github.com' (empty if none)"
+        },
+        content_type: {
+          type: "string",
+          enum: CONTENT_TYPE_VALUES,
+          description: "Kind of page the user is looking for ('any' if unspecified)"
         }
       },
-      required: ["is_search_query", "keywords"]
+      required: ["is_search_query", "keywords", "time_range", "domains", "content_type"]
     };
   }
 
@@ -1,43 +1,387 @@
 /**
- * Content script: extracts visible text from the current page on demand.
+ * Content script: extracts the main content of the current page on demand, without navigation,
+ * banners, footers and sidebars.
  * Injected into all http/https pages via manifest.json content_scripts.
  */
 
 (function () {
   'use strict';
 
+  const MAX_CHARS = 200_000;
+  const MAX_HEADINGS = 50;
+  const MAX_HEADING_CHARS = 200;
+  const MIN_SCORED_BLOCK_CHARS = 25; // shorter blocks (captions, buttons) don't vote for a container
+  const LONG_BLOCK_CHARS = 80; // counts as a real paragraph for the quality score
+  const MIN_FORM_CHARS = 200; // shorter forms (search boxes, logins) are controls; some sites wrap the whole page in one
+
+  // Readability-style boilerplate detection: by tag, ARIA role, and id/class names
+  const SKIP_TAGS = new Set([
+    'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object',
+    'button', 'input', 'select', 'textarea', 'nav', 'footer', 'aside', 'dialog'
+  ]);
+  const SKIP_ROLES = new Set([
+    'navigation', 'banner', 'contentinfo', 'complementary', 'dialog', 'alertdialog',
+    'menu', 'menubar', 'search', 'toolbar'
+  ]);
+  const BOILERPLATE_NAMES = /cookie|consent|gdpr|banner|footer|sidebar|side-bar|navbar|\bnav\b|menu|breadcrumb|share|social|(?:^|\s)(?:comments?|related)(?=\s|$)|recommend|promo|sponsor|advert|\bads?\b|popup|modal|subscribe|newsletter|signup|masthead|skip-link/i;
+  const CONTENT_NAMES = /article|content|main|post|entry|story|prose|body|text/i;
+  const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+  const TEXT_BLOCK_TAGS = new Set(['p', 'pre', 'blockquote', 'li', 'td', 'th', 'dt', 'dd', 'figcaption']);
+  const INLINE_TAGS = new Set([
+    'a', 'abbr', 'b', 'bdi', 'br', 'cite', 'code', 'em', 'i', 'kbd', 'mark', 'q', 's',
+    'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var'
+  ]);
+  const BLOCK_SELECTOR = 'p, pre, blockquote, li, td, th, dt, dd, figcaption, h1, h2, h3, h4, h5, h6, div, section, article, main, ul, ol, dl, table';
+
+  // Single-page app routes are captured once the DOM stops changing
+  const SETTLE_QUIET_MS = 1000; // no mutations for this long counts as settled
+  const SETTLE_MAX_MS = 8000; // capture anyway on pages that never go quiet (clocks, feeds)
+
+  // Reset for each extraction, since pages change after load
+  let boilerplateCache = new WeakMap();
+  let linkDensityCache = new WeakMap();
+
+  let settleObserver = null;
+  let settleQuietTimer = null;
+  let settleMaxTimer = null;
+
+  function normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  function isBoilerplate(el) {
+    if (el === document.body || el === document.documentElement) return false;
+    if (boilerplateCache.has(el)) return boilerplateCache.get(el);
+
+    let skip = SKIP_TAGS.has(el.localName) ||
+      SKIP_ROLES.has(el.getAttribute('role')) ||
+      el.hidden ||
+      el.getAttribute('aria-hidden') === 'true' ||
+      (el.localName === 'form' && normalizeText(el.textContent).length < MIN_FORM_CHARS) ||
+      // The site header is boilerplate; an article's own header holds its title
+      (el.localName === 'header' && !el.parentElement?.closest('article, main, [role="main"]'));
+
+    if (!skip) {
+      const names = `${el.id || ''} ${typeof el.className === 'string' ? el.className : ''}`;
+      skip = BOILERPLATE_NAMES.test(names) && !CONTENT_NAMES.test(names);
+    }
+
+    boilerplateCache.set(el, skip);
+    return skip;
+  }
+
+  function insideBoilerplate(el) {
+    for (let node = el; node && node !== document.body; node = node.parentElement) {
+      if (isBoilerplate(node)) return true;
+    }
+    return false;
+  }
+
+  // Share of an element's text that is link text
+  function linkDensity(el) {
+    if (linkDensityCache.has(el)) return linkDensityCache.get(el);
+    const length = normalizeText(el.textContent).length;
+    let linkLength = 0;
+    if (length) {
+      for (const link of el.querySelectorAll('a')) {
+        linkLength += normalizeText(link.textContent).length;
+      }
+    }
+    const density = length ? Math.min(1, linkLength / length) : 0;
+    linkDensityCache.set(el, density);
+    return density;
+  }
+
+  /**
+   * Find the elements holding the main content: every text block votes for its parent
+   * (and half for its grandparent) by length and commas, scores are discounted by link
+   * density, and siblings of the winner that score well enough are kept with it
+   */
+  function findContentRoots() {
+    if (!document.body) return [document.documentElement];
+
+    const scores = new Map();
+    const addScore = (el, value) => {
+      if (el && el !== document.documentElement) scores.set(el, (scores.get(el) || 0) + value);
+    };
+
+    for (const block of document.body.querySelectorAll('p, pre, td, blockquote, li')) {
+      const text = normalizeText(block.textContent);
+      if (text.length < MIN_SCORED_BLOCK_CHARS || insideBoilerplate(block)) continue;
+
+      const score = 1 + (text.match(/[,，、]/g) || []).length + Math.min(3, Math.floor(text.length / 100));
+      addScore(block.parentElement, score);
+      addScore(block.parentElement?.parentElement, score / 2);
+    }
+
+    const finalScore = (el) => (scores.get(el) || 0) * (1 - linkDensity(el));
+    let best = null;
+    let bestScore = 0;
+    for (const el of scores.keys()) {
+      const score = finalScore(el);
+      if (score > bestScore) {
+        best = el;
+        bestScore = score;
+      }
+    }
+
+    if (!best) {
+      // No paragraphs to go on (app pages, listings): fall back to the usual landmarks
+      return [
+        document.querySelector('main, article, [role="main"], #main, .main, .content, #content') ||
+        document.body
+      ];
+    }
+
+    // Semantic markup wins: the article's own header and title are part of the content
+    const landmark = best.closest('article, main, [role="main"]');
+    if (landmark && !insideBoilerplate(landmark)) return [landmark];
+
+    const parent = best.parentElement;
+    if (!parent || best === document.body) return [best];
+    const threshold = Math.max(10, bestScore * 0.2);
+    return [...parent.children].filter(el =>
+      el === best || (!isBoilerplate(el) && scores.has(el) && finalScore(el) >= threshold));
+  }
+
+  // Walk the content in document order, emitting headings and text blocks
+  function collectBlocks(root, blocks) {
+    let inline = '';
+    const flushInline = () => {
+      const text = normalizeText(inline);
+      if (text) blocks.push({ type: 'text', text });
+      inline = '';
+    };
+
+    for (const node of root.childNodes) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        inline += node.textContent;
+        continue;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE || isBoilerplate(node) || node.checkVisibility?.() === false) {
+        continue;
+      }
+
+      const tag = node.localName;
+      const hasBlocks = !!node.querySelector(BLOCK_SELECTOR);
+      if (INLINE_TAGS.has(tag) && !hasBlocks) {
+        inline += tag === 'br' ? ' ' : node.innerText;
+        continue;
+      }
+
+      flushInline();
+      if (HEADING_TAGS.has(tag)) {
+        const text = normalizeText(node.innerText);
+        if (text) blocks.push({ type: 'heading', text });
+      } else if (!hasBlocks || (TEXT_BLOCK_TAGS.has(tag) && tag !== 'td' && tag !== 'th')) {
+        // Table cells are often layout, so only plain ones are taken whole
+        const text = normalizeText(node.innerText);
+        if (text) blocks.push({ type: 'text', text });
+      } else {
+        collectBlocks(node, blocks);
+      }
+    }
+    flushInline();
+  }
+
   /**
-   * Pick the most relevant root element for content extraction
+   * Score how usable an extraction is, from 0 (nothing worth indexing) to 1
    */
-  function pickRoot() {
-    return (
-      document.querySelector('main, article, [role="main"], #main, .main, .content, #content') ||
-      document.body ||
-      document.documentElement
-    );
+  function scoreExtraction(text, blocks, roots) {
+    if (!text) return 0;
+    const lengthScore = Math.min(1, text.length / 2000);
+    const paragraphs = blocks.filter(b => b.type === 'text' && b.text.length >= LONG_BLOCK_CHARS).length;
+    const paragraphScore = Math.min(1, paragraphs / 5);
+    const density = roots.reduce((sum, el) => sum + linkDensity(el), 0) / roots.length;
+    const quality = 0.5 * lengthScore + 0.3 * (1 - density) + 0.2 * paragraphScore;
+    return Math.round(quality * 100) / 100;
   }
 
   /**
-   * Extract visible text from the page
+   * Extract the page's main content without navigation, banners, footers and sidebars
+   * @returns {Object} { text, headings, quality } with paragraphs and headings separated
+   *   by blank lines in text, and quality from 0 to 1
    */
-  function extractVisibleText() {
+  function extractMainContent() {
     try {
-      const root = pickRoot();
-      // innerText respects CSS visibility and approximates what the user sees
-      let text = root ? root.innerText || '' : '';
-
-      // Normalize whitespace
-      text = text.replace(/\s+/g, ' ').trim();
+      boilerplateCache = new WeakMap();
+      linkDensityCache = new WeakMap();
+      const roots = findContentRoots();
+      const blocks = [];
+      roots.forEach(root => collectBlocks(root, blocks));
 
+      let text = blocks.map(b => b.text).join('\n\n');
       // Cap to a reasonable size to avoid oversized messages
-      const MAX_CHARS = 200_000;
       if (text.length > MAX_CHARS) {
         text = text.slice(0, MAX_CHARS) + '...';
       }
-      return text;
+
+      const headings = [];
+      for (const block of blocks) {
+        if (block.type !== 'heading' || headings.length >= MAX_HEADINGS) continue;
+        const heading = block.text.slice(0, MAX_HEADING_CHARS);
+        if (headings[headings.length - 1] !== heading) headings.push(heading);
+      }
+
+      return { text, headings, quality: scoreExtraction(text, blocks, roots) };
     } catch (e) {
       console.warn('[CONTENT-EXTRACTOR] Failed to extract text:', e);
-      return '';
+      return { text: '', headings: [], quality: 0 };
+    }
+  }
+
+  const MAX_META_VALUE_CHARS = 1000;
+  const MAX_FAVICON_URL_CHARS = 4096; // data: icons included
+  const MAX_JSON_LD_ITEMS = 10;
+  const MAX_JSON_LD_CHARS = 20_000;
+  const EARLIEST_PUBLISH_TIME = Date.UTC(1990, 0, 1);
+
+  function metaContent(selectors) {
+    for (const selector of selectors) {
+      const value = document.querySelector(selector)?.getAttribute('content')?.trim();
+      if (value) return value.slice(0, MAX_META_VALUE_CHARS);
+    }
+    return null;
+  }
+
+  // JSON-LD blocks, flattened: top-level arrays and @graph lists become separate items
+  function readJsonLd() {
+    const items = [];
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const data = JSON.parse(script.textContent);
+        for (const item of [data].flat()) {
+          if (!item || typeof item !== 'object') continue;
+          items.push(...(Array.isArray(item['@graph']) ? item['@graph'] : [item]));
+        }
+      } catch (e) {
+        // Malformed JSON-LD is common; skip the block
+      }
+    }
+    return items.filter(item => item && typeof item === 'object');
+  }
+
+  function jsonLdAuthor(value) {
+    const first = [value].flat()[0];
+    if (!first) return null;
+    const name = typeof first === 'string' ? first : first.name;
+    return typeof name === 'string' && name.trim() ? name.trim().slice(0, MAX_META_VALUE_CHARS) : null;
+  }
+
+  // Epoch ms, or null unless the value is a plausible publication time
+  function parsePublishTime(value) {
+    const time = value ? Date.parse(value) : NaN;
+    if (!Number.isFinite(time) || time < EARLIEST_PUBLISH_TIME || time > Date.now() + 24 * 60 * 60 * 1000) {
+      return null;
+    }
+    return time;
+  }
+
+  function pickFavicon() {
+    const links = [...document.querySelectorAll('link[rel~="icon"], link[rel="apple-touch-icon"]')];
+    const href = links.map(link => link.href).find(url => /^(https?|data):/.test(url));
+    return href && href.length <= MAX_FAVICON_URL_CHARS ? href : null;
+  }
+
+  /**
+   * Collect structured metadata: canonical URL, OpenGraph, author, publish date,
+   * language, favicon and JSON-LD
+   * @returns {Object} { canonicalUrl, lang, favicon, author, publishedAt, modifiedAt,
+   *   description, siteName, og, jsonLd } with times in epoch ms and missing values null
+   */
+  function extractPageMeta() {
+    try {
+      const og = {};
+      for (const el of document.querySelectorAll('meta[property^="og:"], meta[name^="og:"]')) {
+        const key = (el.getAttribute('property') || el.getAttribute('name')).slice(3);
+        const value = el.getAttribute('content')?.trim();
+        if (key && value && !(key in og)) og[key] = value.slice(0, MAX_META_VALUE_CHARS);
+      }
+
+      let jsonLd = readJsonLd().slice(0, MAX_JSON_LD_ITEMS);
+      const main = jsonLd.find(item => item.datePublished || item.author) || {};
+      if (JSON.stringify(jsonLd).length > MAX_JSON_LD_CHARS) {
+        jsonLd = []; // keep the fields read from it, not the blob
+      }
+
+      const articleAuthor = metaContent(['meta[property="article:author"]']);
+      const author = metaContent(['meta[name="author"]', 'meta[name="byl"]', 'meta[name="parsely-author"]']) ||
+        jsonLdAuthor(main.author) ||
+        (articleAuthor && !/^https?:/.test(articleAuthor) ? articleAuthor : null) ||
+        document.querySelector('[rel="author"]')?.textContent?.trim().slice(0, MAX_META_VALUE_CHARS) ||
+        null;
+
+      const publishedAt = parsePublishTime(
+        metaContent([
+          'meta[property="article:published_time"]',
+          'meta[name="date"]',
+          'meta[name="pubdate"]',
+          'meta[name="publishdate"]',
+          'meta[name="dc.date.issued"]',
+          'meta[name="DC.date.issued"]'
+        ]) ||
+        main.datePublished ||
+        document.querySelector('article time[datetime], time[pubdate][datetime]')?.getAttribute('datetime')
+      );
+      const modifiedAt = parsePublishTime(
+        metaContent(['meta[property="article:modified_time"]', 'meta[property="og:updated_time"]']) ||
+        main.dateModified
+      );
+
+      const canonical = document.querySelector('link[rel="canonical"]')?.href;
+
+      return {
+        canonicalUrl: canonical && /^https?:/.test(canonical) ? canonical : null,
+        lang: (document.documentElement.lang || metaContent(['meta[http-equiv="content-language"]']) || '').trim() || null,
+        favicon: pickFavicon(),
+        author: author || null,
+        publishedAt,
+        modifiedAt,
+        description: og.description || metaContent(['meta[name="description"]']),
+        siteName: og.site_name || null,
+        og,
+        jsonLd
+      };
+    } catch (e) {
+      console.warn('[CONTENT-EXTRACTOR] Failed to read page metadata:', e);
+      return null;
+    }
+  }
+
+  // The <head> as the page loaded. Single-page apps often leave it in place on later routes.
+  const loadUrl = location.href;
+  const loadMeta = extractPageMeta();
+  const HEAD_META_KEYS = ['author', 'publishedAt', 'modifiedAt', 'description', 'siteName', 'og', 'jsonLd'];
+
+  /**
+   * Page metadata for the current route. After an in-app route change the canonical link
+   * and article metadata are dropped while they are still the first route's, so one route
+   * isn't stored under another's address
+   * @returns {Object|null} As extractPageMeta()
+   */
+  function currentPageMeta() {
+    const meta = extractPageMeta();
+    if (!meta || !loadMeta || location.href === loadUrl) return meta;
+
+    const canonicalCurrent = meta.canonicalUrl !== loadMeta.canonicalUrl || isCurrentRoute(meta.canonicalUrl);
+    const headChanged = HEAD_META_KEYS.some(key => JSON.stringify(meta[key]) !== JSON.stringify(loadMeta[key]));
+    return {
+      ...meta,
+      canonicalUrl: canonicalCurrent ? meta.canonicalUrl : null,
+      ...(canonicalCurrent || headChanged ? {} : {
+        author: null, publishedAt: null, modifiedAt: null, description: null, siteName: null, og: {}, jsonLd: []
+      })
+    };
+  }
+
+  // Whether a URL names the route on screen: same path, and the same #/route for hash routers
+  function isCurrentRoute(url) {
+    if (!url) return false;
+    const route = (u) => u.pathname.replace(/\/+$/, '') + (/^#!?\//.test(u.hash) ? u.hash : '');
+    try {
+      return route(new URL(url, location.href)) === route(location);
+    } catch {
+      return false;
     }
   }
 
@@ -91,6 +435,156 @@
 
   // (Deferred gesture path removed; offscreen handles summarization)
 
+  const HINT_HOST_ID = 'ai-history-revisit-hint';
+  const HINT_TIMEOUT_MS = 20000;
+
+  /**
+   * Show a small dismissible "you read N related pages before" hint. It lives in a
+   * shadow root so page styles can't reach it.
+   */
+  function showRevisitHint(count) {
+    if (!count || document.getElementById(HINT_HOST_ID)) return;
+
+    const host = document.createElement('div');
+    host.id = HINT_HOST_ID;
+    host.style.cssText = 'position:fixed;right:16px;bottom:16px;z-index:2147483647;';
+    const shadow = host.attachShadow({ mode: 'closed' });
+
+    shadow.innerHTML = `
+      <style>
+        .hint {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+          padding: 10px 12px;
+          font: 13px/1.4 system-ui, -apple-system, sans-serif;
+          color: #334155;
+          background: rgba(255, 255, 255, 0.96);
+          border: 1px solid rgba(125, 211, 252, 0.6);
+          border-radius: 14px;
+          box-shadow: 0 6px 24px rgba(0, 0, 0, 0.12);
+        }
+        button {
+          font: inherit;
+          border: none;
+          cursor: pointer;
+          border-radius: 8px;
+        }
+        .show {
+          padding: 3px 10px;
+          color: #0c4a6e;
+          background: #e0f2fe;
+        }
+        .show:hover { background: #bae6fd; }
+        .dismiss {
+          padding: 0 4px;
+          font-size: 16px;
+          color: #94a3b8;
+          background: transparent;
+        }
+        .dismiss:hover { color: #334155; }
+      </style>
+      <div class="hint" role="status">
+        <span class="text"></span>
+        <button type="button" class="show">Show</button>
+        <button type="button" class="dismiss" title="Dismiss" aria-label="Dismiss">×</button>
+      </div>
+    `;
+    shadow.querySelector('.text').textContent =
+      `You read ${count} related page${count === 1 ? '' : 's'} before`;
+
+    const remove = () => host.remove();
+    shadow.querySelector('.show').addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'open-revisit-panel' }, () => {
+        void chrome.runtime.lastError;
+      });
+      remove();
+    });
+    shadow.querySelector('.dismiss').addEventListener('click', remove);
+    setTimeout(remove, HINT_TIMEOUT_MS);
+
+    (document.body || document.documentElement).appendChild(host);
+  }
+
+  /**
+   * Extract the page and send it to the background for indexing
+   */
+  async function autoCapture() {
+    try {
+      const { text, headings, quality } = extractMainContent();
+
+      // Skip trivial pages
+      if (!text || text.length < 100) {
+        return;
+      }
+
+      // Attempt summarization (may fail due to user activation requirements)
+      const summary = await trySummarize(text);
+
+      const payload = {
+        url: location.href,
+        title: document.title || '',
+        domain: location.hostname,
+        // extractMainContent() already caps the text at MAX_CHARS
+        text,
+        headings,
+        quality,
+        meta: currentPageMeta(),
+        summary: summary || null,
+        summaryType: summary ? 'tldr' : null,
+        aiModel: summary ? 'chrome-ai-summarizer' : null,
+        generatedAt: new Date().toISOString(),
+        timestamp: Math.floor(Date.now())
+      };
+
+      // Send captured content to background for storage
+      chrome.runtime.sendMessage({
+        type: 'capturedContent',
+        payload
+      }, () => {
+        // Ignore errors (background might not be available)
+        void chrome.runtime.lastError;
+      });
+
+      // Offscreen will attempt summarization if none
+
+    } catch (e) {
+      console.error('[CONTENT-EXTRACTOR] Auto-capture failed:', e);
+    }
+  }
+
+  /**
+   * Capture after the DOM has been quiet for SETTLE_QUIET_MS, or after SETTLE_MAX_MS at the latest
+   */
+  function captureWhenSettled() {
+    stopSettleWatch();
+
+    const finish = () => {
+      stopSettleWatch();
+      autoCapture();
+    };
+
+    settleObserver = new MutationObserver(() => {
+      clearTimeout(settleQuietTimer);
+      settleQuietTimer = setTimeout(finish, SETTLE_QUIET_MS);
+    });
+    // The whole document, so a late <title> update also counts
+    settleObserver.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      characterData: true
+    });
+    settleQuietTimer = setTimeout(finish, SETTLE_QUIET_MS);
+    settleMaxTimer = setTimeout(finish, SETTLE_MAX_MS);
+  }
+
+  function stopSettleWatch() {
+    if (settleObserver) settleObserver.disconnect();
+    settleObserver = null;
+    clearTimeout(settleQuietTimer);
+    clearTimeout(settleMaxTimer);
+  }
+
   /**
    * Handle messages from background script
    */
@@ -98,10 +592,14 @@
     // Handle explicit content extraction request
     if (msg && msg.type === 'getPageContent') {
       try {
+        const { text, headings, quality } = extractMainContent();
         const payload = {
           url: location.href,
           title: document.title || '',
-          text: extractVisibleText(),
+          text,
+          headings,
+          quality,
+          meta: currentPageMeta(),
           domain: location.hostname,
           timestamp: Math.floor(Date.now())
         };
@@ -113,53 +611,25 @@
       return true; // Synchronous response
     }
 
+    // Related-pages hint (enabled in the side panel settings)
+    if (msg && msg.type === 'showRevisitHint') {
+      showRevisitHint(msg.count);
+      return false;
+    }
+
     // Handle auto-capture request (triggered on navigation)
     if (msg && msg.type === 'autoCapture') {
-      (async () => {
-        try {
-          const text = extractVisibleText();
-
-          // Skip trivial pages
-          if (!text || text.length < 100) {
-            return;
-          }
-
-          // Attempt summarization (may fail due to user activation requirements)
-          const summary = await trySummarize(text);
-
-          const payload = {
-            url: location.href,
-            title: document.title || '',
-            domain: location.hostname,
-            // Store a bounded amount of text to keep storage reasonable
-            text: text.length > 200000 ? text.slice(0, 200000) + '...' : text,
-            summary: summary || null,
-            summaryType: summary ? 'tldr' : null,
-            aiModel: summary ? 'chrome-ai-summarizer' : null,
-            generatedAt: new Date().toISOString(),
-            timestamp: Math.floor(Date.now())
-          };
-
-          // Send captured content to background for storage
-          chrome.runtime.sendMessage({
-            type: 'capturedContent',
-            payload
-          }, () => {
-            // Ignore errors (background might not be available)
-            void chrome.runtime.lastError;
-          });
-
-          // Offscreen will attempt summarization if none
-
-        } catch (e) {
-          console.error('[CONTENT-EXTRACTOR] Auto-capture failed:', e);
-        }
-      })();
-
+      autoCapture();
       // No response required for auto-capture
       return false;
     }
 
+    // In-app route change (History API or fragment); a newer change restarts the wait
+    if (msg && msg.type === 'routeChanged') {
+      captureWhenSettled();
+      return false;
+    }
+
     return false;
   });
 
@@ -2,13 +2,18 @@
  * AI History Debug - Debug Page Controller
  */
 import { logger } from './utils/logger.js';
+import { sendOffscreenRequest } from './utils/messaging.js';
+import { getCanonicalRules, saveCanonicalRules } from './utils/url-canonicalizer.js';
 
 
 // DOM elements
-let pageCount, embeddingCount, statusIndicator, statusText;
+let pageCount, embeddingCount, schemaVersion, statusIndicator, statusText;
 let writeMode, sqlQuery, queryResults, resultsContent;
 let refreshStats, executeQuery, clearQuery, sampleQueries;
-let clearModelCache, clearDatabase;
+let clearModelCache, clearDatabase, exportDatabase;
+let importFile, importFileName, importMode, importEmbeddingPolicy, importDatabase;
+let checkVectorRecall, rebuildVectorIndexes, vectorIndexResults;
+let canonStripParams, saveCanonicalRulesBtn, mergeDuplicatePages, canonicalResults;
 let operationProgress, progressFill;
 let logContainer, clearLogs, exportLogs, autoRefreshLogs;
 // Permissions elements
@@ -20,17 +25,28 @@ let refreshQueueStats, processQueue, clearQueue;
 // Queue debugging elements
 let addTestItem, addMultipleItems, testNotifications, startMonitoring, stopMonitoring;
 let showTimeline, resetStuckItems, cleanupOldItems, showQueueQueries;
+// Page ingestion queue elements
+let ingestionQueued, ingestionDone, ingestionFailed, ingestionStatusIndicator, ingestionStatusText;
+let refreshIngestionQueue, retryFailedIngestions, clearFinishedIngestions, ingestionQueueItems;
 
 // Content analysis elements
 let analyzeRecentPages, showContentStats, testSearchModes;
 let contentAnalysis, analysisContent;
 
+// Relevance evaluation elements
+let evalQueryInput, evalExpectedUrls, addEvalQuery, evalQueryList;
+let evalRunLabel, runSearchEval, refreshEvalRuns, evalResults, evalRunHistory;
+
 // Chrome AI testing elements
 let chromeAiStatus, summarizerStatus, keywordExtractorStatus;
 let checkChromeAI, testKeywordExtraction, testSummarizer, testFullChatFlow;
 let chromeAiTestResults, chromeAiTestContent;
 let testQuery, testContent;
 
+// Preferences elements
+let toggleEnableReranker, toggleEnableRemoteWarm, toggleDisableInputDuringProcessing;
+let modelStatusDebug, refreshModelStatusBtn, savePrefs, reloadEmbeddings;
+
 // State
 let isConnected = false;
 let currentLogs = [];
@@ -142,12 +158,14 @@ function initializeDebugPage() {
 
   // Load preferences
   loadPreferences();
+  loadCanonicalRules();
 }
 
 function initializeDOMElements() {
   // Status elements
   pageCount = document.getElementById('pageCount');
   embeddingCount = document.getElementById('embeddingCount');
+  schemaVersion = document.getElementById('schemaVersion');
   statusIndicator = document.getElementById('statusIndicator');
   statusText = document.getElementById('statusText');
 
@@ -164,6 +182,19 @@ function initializeDOMElements() {
   sampleQueries = document.getElementById('sampleQueries');
   clearModelCache = document.getElementById('clearModelCache');
   clearDatabase = document.getElementById('clearDatabase');
+  exportDatabase = document.getElementById('exportDatabase');
+  importFile = document.getElementById('importFile');
+  importFileName = document.getElementById('importFileName');
+  importMode = document.getElementById('importMode');
+  importEmbeddingPolicy = document.getElementById('importEmbeddingPolicy');
+  importDatabase = document.getElementById('importDatabase');
+  checkVectorRecall = document.getElementById('checkVectorRecall');
+  rebuildVectorIndexes = document.getElementById('rebuildVectorIndexes');
+  vectorIndexResults = document.getElementById('vectorIndexResults');
+  canonStripParams = document.getElementById('canonStripParams');
+  saveCanonicalRulesBtn = document.getElementById('saveCanonicalRules');
+  mergeDuplicatePages = document.getElementById('mergeDuplicatePages');
+  canonicalResults = document.getElementById('canonicalResults');
 
   // Progress elements
   operationProgress = document.getElementById('operationProgress');
@@ -179,6 +210,17 @@ function initializeDOMElements() {
   analyzeRecentPages = document.getElementById('analyzeRecentPages');
   showContentStats = document.getElementById('showContentStats');
   testSearchModes = document.getElementById('testSearchModes');
+
+  // Relevance evaluation elements
+  evalQueryInput = document.getElementById('evalQueryInput');
+  evalExpectedUrls = document.getElementById('evalExpectedUrls');
+  addEvalQuery = document.getElementById('addEvalQuery');
+  evalQueryList = document.getElementById('evalQueryList');
+  evalRunLabel = document.getElementById('evalRunLabel');
+  runSearchEval = document.getElementById('runSearchEval');
+  refreshEvalRuns = document.getElementById('refreshEvalRuns');
+  evalResults = document.getElementById('evalResults');
+  evalRunHistory = document.getElementById('evalRunHistory');
   contentAnalysis = document.getElementById('contentAnalysis');
   analysisContent = document.getElementById('analysisContent');
 
@@ -232,6 +274,17 @@ function initializeDOMElements() {
   resetStuckItems = document.getElementById('resetStuckItems');
   cleanupOldItems = document.getElementById('cleanupOldItems');
   showQueueQueries = document.getElementById('showQueueQueries');
+
+  // Page ingestion queue elements
+  ingestionQueued = document.getElementById('ingestionQueued');
+  ingestionDone = document.getElementById('ingestionDone');
+  ingestionFailed = document.getElementById('ingestionFailed');
+  ingestionStatusIndicator = document.getElementById('ingestionStatusIndicator');
+  ingestionStatusText = document.getElementById('ingestionStatusText');
+  refreshIngestionQueue = document.getElementById('refreshIngestionQueue');
+  retryFailedIngestions = document.getElementById('retryFailedIngestions');
+  clearFinishedIngestions = document.getElementById('clearFinishedIngestions');
+  ingestionQueueItems = document.getElementById('ingestionQueueItems');
 }
 
 function setupEventListeners() {
@@ -249,6 +302,17 @@ function setupEventListeners() {
   // Database management
   clearModelCache.addEventListener('click', handleClearModelCache);
   clearDatabase.addEventListener('click', handleClearDatabase);
+  if (exportDatabase) exportDatabase.addEventListener('click', handleExportDatabase);
+  if (importDatabase) importDatabase.addEventListener('click', handleImportDatabase);
+  if (checkVectorRecall) checkVectorRecall.addEventListener('click', handleCheckVectorRecall);
+  if (rebuildVectorIndexes) rebuildVectorIndexes.addEventListener('click', handleRebuildVectorIndexes);
+  if (saveCanonicalRulesBtn) saveCanonicalRulesBtn.addEventListener('click', handleSaveCanonicalRules);
+  if (mergeDuplicatePages) mergeDuplicatePages.addEventListener('click', handleMergeDuplicatePages);
+  if (importFile) {
+    importFile.addEventListener('change', () => {
+      importFileName.textContent = importFile.files[0]?.name || 'Choose backup file…';
+    });
+  }
 
   // Logs
   clearLogs.addEventListener('click', handleClearLogs);
@@ -260,6 +324,11 @@ function setupEventListeners() {
   showContentStats.addEventListener('click', handleShowContentStats);
   testSearchModes.addEventListener('click', handleTestSearchModes);
 
+  // Relevance evaluation
+  if (addEvalQuery) addEvalQuery.addEventListener('click', handleAddEvalQuery);
+  if (runSearchEval) runSearchEval.addEventListener('click', handleRunSearchEval);
+  if (refreshEvalRuns) refreshEvalRuns.addEventListener('click', loadEvalRuns);
+
   // Chrome AI testing
   if (checkChromeAI) checkChromeAI.addEventListener('click', handleCheckChromeAI);
   if (testKeywordExtraction) testKeywordExtraction.addEventListener('click', handleTestKeywordExtraction);
@@ -292,6 +361,11 @@ function setupEventListeners() {
   if (cleanupOldItems) cleanupOldItems.addEventListener('click', handleCleanupOldItems);
   if (showQueueQueries) showQueueQueries.addEventListener('click', showQueueSampleQueries);
 
+  // Page ingestion queue
+  if (refreshIngestionQueue) refreshIngestionQueue.addEventListener('click', handleRefreshIngestionQueue);
+  if (retryFailedIngestions) retryFailedIngestions.addEventListener('click', handleRetryFailedIngestions);
+  if (clearFinishedIngestions) clearFinishedIngestions.addEventListener('click', handleClearFinishedIngestions);
+
   // Keyboard shortcuts
   sqlQuery.addEventListener('keydown', (e) => {
     if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
@@ -399,6 +473,8 @@ async function connectToOffscreen() {
 
       // Load initial statistics
       await refreshStatistics();
+      loadEvalQueries();
+      loadEvalRuns();
     } else {
       throw new Error('Invalid response from offscreen document');
     }
@@ -443,11 +519,21 @@ async function refreshStatistics() {
     // Update statistics display
     pageCount.textContent = response.pageCount || 0;
     embeddingCount.textContent = response.embeddingCount || 0;
+    schemaVersion.textContent = response.schemaVersion != null ? `v${response.schemaVersion}` : '-';
+    const pending = response.pendingMigrations || [];
+    schemaVersion.title = pending
+      .map(m => `v${m.version} ${m.name} skipped${m.requires.length ? ` (needs ${m.requires.join(', ')})` : ''}`)
+      .join('\n');
+    if (pending.length > 0) {
+      schemaVersion.textContent += ` (${pending.length} skipped)`;
+      log(`Skipped migrations: ${schemaVersion.title.replace(/\n/g, '; ')}`, 'warn');
+    }
 
     log('Statistics refreshed successfully', 'info');
 
     // Also refresh queue stats
     await handleRefreshQueueStats();
+    await handleRefreshIngestionQueue();
   } catch (error) {
     logger.error('[STATS] Failed to refresh statistics:', error);
     log(`Failed to refresh statistics: ${error.message}`, 'error');
@@ -736,6 +822,246 @@ async function handleClearDatabase() {
   }
 }
 
+async function handleExportDatabase() {
+  if (!isConnected) {
+    log('Cannot export database - not connected', 'warn');
+    return;
+  }
+
+  log('Exporting database...', 'info');
+  showProgress();
+
+  try {
+    const response = await sendOffscreenRequest({
+      type: 'export-db'
+    });
+
+    if (response.error) {
+      throw new Error(response.error);
+    }
+
+    // The offscreen document hands back a same-origin blob URL for the archive
+    const a = document.createElement('a');
+    a.href = response.url;
+    a.download = response.filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+
+    const tables = Object.entries(response.manifest?.tables || {})
+      .map(([name, count]) => `${name}: ${count}`)
+      .join(', ');
+    log(`Database exported (${(response.size / 1024).toFixed(1)} KB) — ${tables}`, 'info');
+  } catch (error) {
+    logger.error('[DB] Failed to export database:', error);
+    log(`Failed to export database: ${error.message}`, 'error');
+  } finally {
+    hideProgress();
+  }
+}
+
+async function handleImportDatabase() {
+  const file = importFile?.files?.[0];
+  if (!file) {
+    log('Choose a backup file to import first', 'warn');
+    return;
+  }
+
+  const mode = importMode ? importMode.value : 'merge';
+  if (mode === 'replace' && !confirm('Replace mode deletes all current pages and chat history before restoring. Continue?')) {
+    log('Database import cancelled', 'info');
+    return;
+  }
+
+  if (!isConnected) {
+    log('Cannot import database - not connected', 'warn');
+    return;
+  }
+
+  log(`Importing ${file.name} (${mode})...`, 'info');
+  showProgress();
+
+  // Share the file with the offscreen document through a same-origin blob URL
+  const url = URL.createObjectURL(file);
+
+  try {
+    const response = await sendOffscreenRequest({
+      type: 'import-db',
+      data: {
+        url,
+        mode,
+        onEmbeddingMismatch: importEmbeddingPolicy ? importEmbeddingPolicy.value : 'refuse'
+      }
+    });
+
+    if (!response || response.error || !response.success) {
+      throw new Error(response?.error || 'Import failed');
+    }
+
+    const summary = Object.entries(response.tables || {})
+      .map(([name, t]) => `${name}: +${t.inserted}${t.merged ? ` / ${t.merged} merged` : ''}${t.skipped ? ` / ${t.skipped} skipped` : ''}`)
+      .join(', ');
+    log(`Database imported (${response.mode}) — ${summary}`, 'info');
+    if (response.reembedQueued) {
+      log(`${response.reembedQueued} pages queued for re-embedding with the current model`, 'warn');
+    }
+
+    await refreshStatistics();
+  } catch (error) {
+    logger.error('[DB] Failed to import database:', error);
+    log(`Failed to import database: ${error.message}`, 'error');
+  } finally {
+    URL.revokeObjectURL(url);
+    hideProgress();
+  }
+}
+
+// Compare index (HNSW) nearest neighbours with an exact scan on sample embeddings
+async function handleCheckVectorRecall() {
+  if (!isConnected) {
+    log('Cannot check recall - not connected', 'warn');
+    return;
+  }
+
+  log('Checking vector index recall...', 'info');
+  showProgress();
+
+  try {
+    const response = await sendOffscreenRequest({
+      type: 'check-vector-recall',
+      data: { samples: 20, k: 10 }
+    });
+
+    if (response.error) {
+      throw new Error(response.error);
+    }
+
+    let html = `<p>Recall@${response.k} over up to ${response.samples} sample queries per table</p>`;
+    html += '<table class="results-table"><thead><tr>';
+    html += '<th>Table</th><th>Rows</th><th>Recall</th><th>Index used</th><th>Index ms</th><th>Exact ms</th>';
+    html += '</tr></thead><tbody>';
+    response.tables.forEach(t => {
+      const recall = t.recall == null ? '-' : `${(t.recall * 100).toFixed(1)}%`;
+      html += `<tr><td>${escapeHtml(t.table)}</td><td>${t.rows}</td><td>${recall}</td>`;
+      html += `<td>${t.indexUsed ? 'yes' : 'no (seq scan)'}</td>`;
+      html += `<td>${t.indexMs.toFixed(1)}</td><td>${t.exactMs.toFixed(1)}</td></tr>`;
+    });
+    html += '</tbody></table>';
+
+    vectorIndexResults.innerHTML = html;
+    vectorIndexResults.classList.remove('hidden');
+
+    const summary = response.tables
+      .filter(t => t.recall != null)
+      .map(t => `${t.table}: ${(t.recall * 100).toFixed(1)}%`)
+      .join(', ');
+    log(`Vector recall — ${summary || 'no embeddings yet'}`, 'info');
+  } catch (error) {
+    logger.error('[DB] Vector recall check failed:', error);
+    log(`Vector recall check failed: ${error.message}`, 'error');
+  } finally {
+    hideProgress();
+  }
+}
+
+async function handleRebuildVectorIndexes() {
+  if (!isConnected) {
+    log('Cannot rebuild indexes - not connected', 'warn');
+    return;
+  }
+
+  log('Rebuilding vector indexes...', 'info');
+  showProgress();
+
+  try {
+    const response = await sendOffscreenRequest({
+      type: 'rebuild-vector-indexes'
+    });
+
+    if (response.error) {
+      throw new Error(response.error);
+    }
+
+    const timings = response.rebuilt.map(r => `${r.index}: ${r.ms} ms`).join(', ');
+    log(`Vector indexes rebuilt — ${timings}`, 'info');
+  } catch (error) {
+    logger.error('[DB] Vector index rebuild failed:', error);
+    log(`Failed to rebuild vector indexes: ${error.message}`, 'error');
+  } finally {
+    hideProgress();
+  }
+}
+
+// Checkbox ids for the boolean canonicalization rules
+const CANONICAL_RULE_TOGGLES = {
+  dropFragment: 'canonDropFragment',
+  unwrapAmp: 'canonUnwrapAmp',
+  stripMobileHost: 'canonStripMobileHost',
+  stripTrailingSlash: 'canonStripTrailingSlash',
+  sortParams: 'canonSortParams',
+  useCanonicalLink: 'canonUseCanonicalLink'
+};
+
+async function loadCanonicalRules() {
+  if (!canonStripParams) return;
+  try {
+    const rules = await getCanonicalRules();
+    for (const [key, id] of Object.entries(CANONICAL_RULE_TOGGLES)) {
+      const checkbox = document.getElementById(id);
+      if (checkbox) checkbox.checked = !!rules[key];
+    }
+    canonStripParams.value = rules.stripParams.join('\n');
+  } catch (e) {
+    log('Failed to load URL canonicalization rules', 'warn');
+  }
+}
+
+async function handleSaveCanonicalRules() {
+  const rules = { stripParams: canonStripParams.value.split(/[\n,]/) };
+  for (const [key, id] of Object.entries(CANONICAL_RULE_TOGGLES)) {
+    rules[key] = !!document.getElementById(id)?.checked;
+  }
+  try {
+    await saveCanonicalRules(rules);
+    await loadCanonicalRules();
+    log('URL canonicalization rules saved. Merge duplicate pages to apply them to indexed pages.', 'info');
+  } catch (e) {
+    log(`Failed to save URL canonicalization rules: ${e.message}`, 'error');
+  }
+}
+
+async function handleMergeDuplicatePages() {
+  if (!isConnected) {
+    log('Cannot merge duplicate pages - not connected', 'warn');
+    return;
+  }
+
+  log('Merging duplicate pages...', 'info');
+  showProgress();
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'run-maintenance-job',
+      data: { name: 'merge-duplicate-urls' }
+    });
+
+    if (response.error) {
+      throw new Error(response.error);
+    }
+
+    const { pages, merged, renamed } = response.result;
+    canonicalResults.innerHTML = `<p>Checked ${pages} pages: merged ${merged} duplicates, renamed ${renamed} pages to their canonical URL.</p>`;
+    canonicalResults.classList.remove('hidden');
+    log(`Duplicate pages merged — ${merged} merged, ${renamed} renamed`, 'info');
+    if (merged > 0) refreshStatistics();
+  } catch (error) {
+    logger.error('[DB] Merging duplicate pages failed:', error);
+    log(`Failed to merge duplicate pages: ${error.message}`, 'error');
+  } finally {
+    hideProgress();
+  }
+}
+
 // Progress management
 function showProgress() {
   operationProgress.classList.remove('hidden');
@@ -934,13 +1260,13 @@ async function handleTestSearchModes() {
     results += `<p>Test query: <strong>"${testQuery}"</strong></p>`;
 
     for (const mode of modes) {
-      const response = await chrome.runtime.sendMessage({
+      const response = await sendOffscreenRequest({
         type: 'search',
         data: { query: testQuery, mode: mode, limit: 5 }
       });
 
       if (response.results) {
-        results += `<h4>${mode} (${response.results.length} results)</h4>`;
+        results += `<h4>${mode} (${response.results.length} of ${response.total ?? '?'} results)</h4>`;
         results += '<ul>';
         response.results.forEach(result => {
           results += `<li><strong>${escapeHtml(result.title || 'Untitled')}</strong><br>`;
@@ -960,6 +1286,198 @@ async function handleTestSearchModes() {
   }
 }
 
+// Relevance evaluation: golden queries with expected URLs, scored across all search modes
+const EVAL_MODE_ORDER = ['text', 'vector', 'hybrid-rrf', 'hybrid-rerank'];
+
+async function loadEvalQueries() {
+  if (!evalQueryList) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'get-eval-queries' });
+    if (response.error) {
+      throw new Error(response.error);
+    }
+
+    const queries = response.queries || [];
+    if (queries.length === 0) {
+      evalQueryList.innerHTML = '<p style="color: #64748b; font-size: 13px;">No golden queries yet.</p>';
+      return;
+    }
+
+    let html = '<table class="results-table"><thead><tr><th>Query</th><th>Expected URLs</th><th></th></tr></thead><tbody>';
+    queries.forEach(q => {
+      html += `<tr><td>${escapeHtml(q.query)}</td>`;
+      html += `<td>${q.expected_urls.map(u => `<small>${escapeHtml(u)}</small>`).join('<br>')}</td>`;
+      html += `<td><button class="button button-secondary" data-eval-edit="${q.id}" style="font-size: 12px;">Edit</button> `;
+      html += `<button class="button button-danger" data-eval-delete="${q.id}" style="font-size: 12px;">Delete</button></td></tr>`;
+    });
+    html += '</tbody></table>';
+    evalQueryList.innerHTML = html;
+
+    evalQueryList.querySelectorAll('[data-eval-edit]').forEach(button => {
+      button.addEventListener('click', () => {
+        const q = queries.find(item => String(item.id) === button.dataset.evalEdit);
+        evalQueryInput.value = q.query;
+        evalExpectedUrls.value = q.expected_urls.join('\n');
+        evalQueryInput.focus();
+      });
+    });
+    evalQueryList.querySelectorAll('[data-eval-delete]').forEach(button => {
+      button.addEventListener('click', () => handleDeleteEvalQuery(Number(button.dataset.evalDelete)));
+    });
+  } catch (error) {
+    log(`Failed to load evaluation queries: ${error.message}`, 'error');
+  }
+}
+
+async function handleAddEvalQuery() {
+  const query = evalQueryInput.value.trim();
+  const expectedUrls = evalExpectedUrls.value.split('\n').map(u => u.trim()).filter(Boolean);
+  if (!query || expectedUrls.length === 0) {
+    log('Enter a query and at least one expected URL', 'warn');
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'save-eval-query',
+      data: { query, expectedUrls }
+    });
+    if (response.error) {
+      throw new Error(response.error);
+    }
+
+    evalQueryInput.value = '';
+    evalExpectedUrls.value = '';
+    log(`Saved evaluation query "${query}"`, 'info');
+    await loadEvalQueries();
+  } catch (error) {
+    log(`Failed to save evaluation query: ${error.message}`, 'error');
+  }
+}
+
+async function handleDeleteEvalQuery(id) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'delete-eval-query', data: { id } });
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    await loadEvalQueries();
+  } catch (error) {
+    log(`Failed to delete evaluation query: ${error.message}`, 'error');
+  }
+}
+
+async function handleRunSearchEval() {
+  if (!isConnected) {
+    log('Cannot run evaluation - not connected', 'warn');
+    return;
+  }
+
+  log('Running search evaluation...', 'info');
+  runSearchEval.disabled = true;
+
+  try {
+    const response = await sendOffscreenRequest({
+      type: 'run-search-eval',
+      data: { label: evalRunLabel.value.trim() || null }
+    });
+    if (response.error) {
+      throw new Error(response.error);
+    }
+
+    const previous = await fetchEvalRuns(2);
+    const baseline = previous.find(run => run.id !== response.run.id);
+    renderEvalRun(response.run, baseline);
+    await loadEvalRuns();
+
+    const rerank = response.run.metrics['hybrid-rerank'];
+    if (rerank) {
+      log(`Evaluation done — hybrid-rerank MRR ${rerank.mrr.toFixed(3)}, NDCG@10 ${rerank.ndcg.toFixed(3)}, Recall@25 ${rerank.recall.toFixed(3)}`, 'info');
+    }
+  } catch (error) {
+    log(`Search evaluation failed: ${error.message}`, 'error');
+  } finally {
+    runSearchEval.disabled = false;
+  }
+}
+
+// Metrics per mode, with the change against the previous run
+function renderEvalRun(run, baseline) {
+  const formatDelta = (value, before) => {
+    if (before == null) return '';
+    const delta = value - before;
+    if (Math.abs(delta) < 0.0005) return ' <small style="color: #64748b;">±0</small>';
+    const color = delta > 0 ? '#16a34a' : '#ef4444';
+    return ` <small style="color: ${color};">${delta > 0 ? '+' : ''}${delta.toFixed(3)}</small>`;
+  };
+
+  let html = `<h3>Run #${run.id}${run.label ? ` — ${escapeHtml(run.label)}` : ''}</h3>`;
+  const profile = run.config?.profile?.id;
+  html += `<p>${run.details.length} queries${profile ? `, ranking profile ${escapeHtml(profile)}` : ''}${baseline ? `, compared with run #${baseline.id}` : ''}</p>`;
+  html += '<table class="results-table"><thead><tr><th>Mode</th><th>MRR</th><th>NDCG@10</th><th>Recall@25</th></tr></thead><tbody>';
+  EVAL_MODE_ORDER.filter(mode => run.metrics[mode]).forEach(mode => {
+    const m = run.metrics[mode];
+    const b = baseline?.metrics?.[mode];
+    html += `<tr><td>${mode}</td>`;
+    html += `<td>${m.mrr.toFixed(3)}${formatDelta(m.mrr, b?.mrr)}</td>`;
+    html += `<td>${m.ndcg.toFixed(3)}${formatDelta(m.ndcg, b?.ndcg)}</td>`;
+    html += `<td>${m.recall.toFixed(3)}${formatDelta(m.recall, b?.recall)}</td></tr>`;
+  });
+  html += '</tbody></table>';
+
+  // Queries where the best mode still misses, to see what to fix next
+  const misses = run.details.filter(d => Object.values(d.modes).every(score => score.firstRank == null));
+  if (misses.length > 0) {
+    html += `<p style="margin-top: 12px;"><strong>Not found by any mode:</strong> ${misses.map(d => escapeHtml(d.query)).join(', ')}</p>`;
+  }
+
+  evalResults.innerHTML = html;
+  evalResults.classList.remove('hidden');
+}
+
+async function fetchEvalRuns(limit = 20) {
+  const response = await chrome.runtime.sendMessage({ type: 'get-eval-runs', data: { limit } });
+  if (response.error) {
+    throw new Error(response.error);
+  }
+  return response.runs || [];
+}
+
+async function loadEvalRuns() {
+  if (!evalRunHistory) return;
+
+  try {
+    const runs = await fetchEvalRuns(20);
+    if (runs.length === 0) {
+      evalRunHistory.classList.add('hidden');
+      return;
+    }
+
+    let html = '<h3>Run History</h3>';
+    html += '<p style="font-size: 13px; color: #64748b;">Each cell: MRR / NDCG@10 / Recall@25</p>';
+    html += '<table class="results-table"><thead><tr><th>Run</th><th>Date</th><th>Label</th><th>Profile</th>';
+    EVAL_MODE_ORDER.forEach(mode => { html += `<th>${mode}</th>`; });
+    html += '</tr></thead><tbody>';
+    runs.forEach(run => {
+      html += `<tr><td>#${run.id}</td><td>${new Date(Number(run.ran_at)).toLocaleString()}</td>`;
+      html += `<td>${escapeHtml(run.label || '')}</td>`;
+      html += `<td>${escapeHtml(run.config?.profile?.id || '')}</td>`;
+      EVAL_MODE_ORDER.forEach(mode => {
+        const m = run.metrics?.[mode];
+        html += `<td>${m ? `${m.mrr.toFixed(3)} / ${m.ndcg.toFixed(3)} / ${m.recall.toFixed(3)}` : '-'}</td>`;
+      });
+      html += '</tr>';
+    });
+    html += '</tbody></table>';
+
+    evalRunHistory.innerHTML = html;
+    evalRunHistory.classList.remove('hidden');
+  } catch (error) {
+    log(`Failed to load evaluation history: ${error.message}`, 'error');
+  }
+}
+
 function displayAnalysisResults(response, title) {
   contentAnalysis.classList.remove('hidden');
 
@@ -1074,6 +1592,85 @@ async function handleRefreshQueueStats() {
   }
 }
 
+// Page ingestion queue (kept by the background service worker, not the database)
+async function handleRefreshIngestionQueue() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'get-ingestion-queue' });
+    if (response?.error) {
+      throw new Error(response.error);
+    }
+
+    const finished = response.finished || [];
+    const failedCount = finished.filter(item => item.status === 'failed').length;
+    ingestionQueued.textContent = response.queue.length;
+    ingestionDone.textContent = finished.filter(item => item.status === 'done').length;
+    ingestionFailed.textContent = failedCount;
+
+    if (response.isProcessing) {
+      ingestionStatusText.textContent = 'Processing';
+      ingestionStatusIndicator.className = 'status-indicator status-loading';
+    } else if (response.indexingPaused) {
+      ingestionStatusText.textContent = 'Auto-indexing paused';
+      ingestionStatusIndicator.className = 'status-indicator status-offline';
+    } else {
+      ingestionStatusText.textContent = 'Idle';
+      ingestionStatusIndicator.className = 'status-indicator status-online';
+    }
+
+    const items = [response.current, ...response.queue, ...finished].filter(Boolean);
+    if (items.length === 0) {
+      ingestionQueueItems.innerHTML = '<p>No pages queued or recently processed</p>';
+    } else {
+      let html = '<table class="results-table"><thead><tr>';
+      html += '<th>Status</th><th>Page</th><th>Attempts</th><th>Updated</th><th>Reason</th>';
+      html += '</tr></thead><tbody>';
+      items.forEach(item => {
+        html += `<tr><td>${escapeHtml(item.status)}${item.forced ? ' (manual)' : ''}</td>`;
+        html += `<td><strong>${escapeHtml(item.title || 'Untitled')}</strong><br><small>${escapeHtml(item.url)}</small></td>`;
+        html += `<td>${item.attempts}/${item.maxAttempts}</td>`;
+        html += `<td>${new Date(item.updatedAt || item.queuedAt).toLocaleTimeString()}</td>`;
+        html += `<td>${escapeHtml(item.reason || '')}</td></tr>`;
+      });
+      html += '</tbody></table>';
+      ingestionQueueItems.innerHTML = html;
+    }
+    ingestionQueueItems.classList.remove('hidden');
+
+    log(`Ingestion queue: ${response.queue.length} queued, ${failedCount} failed recently`, 'info');
+  } catch (error) {
+    logger.error('[QUEUE] Failed to load ingestion queue:', error);
+    log(`Failed to load ingestion queue: ${error.message}`, 'error');
+  }
+}
+
+async function handleRetryFailedIngestions() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'retry-failed-ingestions' });
+    if (response?.error) {
+      throw new Error(response.error);
+    }
+    log(`Re-queued ${response.retried} failed page(s)`, 'info');
+    await handleRefreshIngestionQueue();
+  } catch (error) {
+    logger.error('[QUEUE] Failed to retry ingestions:', error);
+    log(`Failed to retry ingestions: ${error.message}`, 'error');
+  }
+}
+
+async function handleClearFinishedIngestions() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'clear-finished-ingestions' });
+    if (response?.error) {
+      throw new Error(response.error);
+    }
+    log(`Cleared ${response.removed} finished item(s)`, 'info');
+    await handleRefreshIngestionQueue();
+  } catch (error) {
+    logger.error('[QUEUE] Failed to clear finished ingestions:', error);
+    log(`Failed to clear finished ingestions: ${error.message}`, 'error');
+  }
+}
+
 async function handleProcessQueue() {
   if (!isConnected) {
     log('Cannot process queue - not connected', 'warn');
@@ -0,0 +1,2 @@
+"use strict";var s=Object.defineProperty;var c=Object.getOwnPropertyDescriptor;var p=Object.getOwnPropertyNames;var a=Object.prototype.hasOwnProperty;var m=(t,e)=>{for(var r in e)s(t,r,{get:e[r],enumerable:!0})},u=(t,e,r,i)=>{if(e&&typeof e=="object"||typeof e=="function")for(let n of p(e))!a.call(t,n)&&n!==r&&s(t,n,{get:()=>e[n],enumerable:!(i=c(e,n))||i.enumerable});return t};var f=t=>u(s({},"__esModule",{value:!0}),t);var _={};m(_,{pg_trgm:()=>d});module.exports=f(_);var l=()=>typeof document>"u"?new URL(`file:${__filename}`).href:document.currentScript&&document.currentScript.src||new URL("main.js",document.baseURI).href,o=l();var g=async(t,e)=>({bundlePath:new URL("../pg_trgm.tar.gz",o)}),d={name:"pg_trgm",setup:g};0&&(module.exports={pg_trgm});
+//# sourceMappingURL=pg_trgm.cjs.map
\ No newline at end of file
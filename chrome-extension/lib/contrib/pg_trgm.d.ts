@@ -0,0 +1,10 @@
+import { d as PGliteInterface } from '../pglite-CyDq4d4K.js';
+
+declare const pg_trgm: {
+    name: string;
+    setup: (_pg: PGliteInterface, _emscriptenOpts: any) => Promise<{
+        bundlePath: URL;
+    }>;
+};
+
+export { pg_trgm };
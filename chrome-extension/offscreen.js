@@ -3,6 +3,15 @@
  * Handles PGlite database, embeddings, and heavy processing tasks
  */
 import { logger } from './utils/logger.js';
+import { chunkText } from './utils/text-chunker.js';
+import {
+  parseSearchQuery, matchesFilters, applyConstraints, hasActiveFilters, CONTENT_TYPES
+} from './utils/query-parser.js';
+import { evaluateRanking, summarizeEvaluations, normalizeUrlForMatch } from './utils/search-metrics.js';
+import { getRankingProfile, BUILT_IN_PROFILES, DEFAULT_PROFILE_ID } from './utils/ranking-profiles.js';
+import { learnClickBoosts } from './utils/click-feedback.js';
+import { canonicalizeUrl, canonicalDomain, getCanonicalRules } from './utils/url-canonicalizer.js';
+import { simhash, hammingDistance } from './utils/simhash.js';
 
 // Initialize offscreen document
 
@@ -12,6 +21,7 @@ let embedModel = null;
 let embedder = null; // Transformers.js pipeline
 let modelStatus = {
   using: 'local', // 'local' | 'remote'
+  model: null,
   warming: false,
   lastError: null
 };
@@ -20,6 +30,86 @@ let isInitializing = false;
 let initializationPromise = null;
 let aiPrefs = { enableReranker: false, enableRemoteWarm: false };
 
+// Embedding models (both produce 384-dim vectors for the pages.embedding column)
+const LOCAL_EMBED_MODEL = 'Xenova/bge-small-en-v1.5-quantized';
+const REMOTE_EMBED_MODEL = 'Xenova/bge-small-en-v1.5';
+const EMBEDDING_DIM = 384;
+
+// Backup archive format
+const BACKUP_FORMAT = 'history-copilot-backup';
+const BACKUP_FORMAT_VERSION = 1;
+const BACKUP_BATCH_SIZE = 500;
+const BACKUP_URL_TTL = 10 * 60 * 1000; // Revoke download URLs after 10 minutes
+let isReembedding = false;
+
+// Visit timestamps returned per search result
+const MAX_VISIT_TIMES = 20;
+
+// Near-duplicate pages (mirrors, print views, syndicated copies): close page embeddings
+// narrow the candidates and a close SimHash of content_text confirms them
+const NEAR_DUPLICATE_MAX_DISTANCE = 0.08; // cosine distance between whole-page embeddings
+const NEAR_DUPLICATE_MAX_HAMMING = 6; // of 64 SimHash bits
+const NEAR_DUPLICATE_CANDIDATES = 10;
+const MAX_COLLAPSED_COPIES = 20; // copies listed under a collapsed search result
+
+// Passage indexing for long pages
+const CHUNK_SIZE = 1000; // characters, roughly the embedding model's 512-token window
+const CHUNK_OVERLAP = 200;
+const MAX_CHUNKS_PER_PAGE = 400; // a full 200k-character capture is about 260 passages
+const CHUNK_BATCH_SIZE = 10; // pages per indexing pass
+let isChunking = false;
+
+const runningMaintenanceJobs = new Map(); // name -> promise of the run, shared by concurrent callers
+
+// Trigram matching for misspelled or half-remembered titles (needs pg_trgm)
+const SUGGESTION_CANDIDATES = 20; // vocabulary words closest to a term by trigram similarity
+const MAX_SUGGESTION_EDITS = 2; // typos further than this from a known word get no suggestion
+
+// Hybrid ranking parameters. Each evaluation run records these so runs can be compared.
+// Rerank weights, recency half-life and keyword boost come from the ranking profile.
+const RANKING = {
+  candidateMultiplier: 6, // candidates per source, as a multiple of the results needed
+  maxCandidates: 300,
+  rrfAlpha: 0.4, // vector share of RRF; text gets 1 - alpha
+  rrfK: 60,
+  fuzzyWeight: 0.2, // fuzzy hits rank below exact text and vector hits
+  rrfBlend: 0.05, // share of the RRF score kept in the reranked score
+  clickBoostWeight: 0.1, // learned click feedback, added on top of the profile-weighted score
+  publishedWeight: 0.04, // newer publish dates nudge up, older ones down; undated pages are unaffected
+  publishedHalfLifeDays: 365,
+  authorMatchWeight: 0.05 // the query names the page's author
+};
+
+// Click feedback considered when learning boosts
+const CLICK_FEEDBACK_DAYS = 180;
+const MAX_FEEDBACK_CLICKS = 2000;
+
+// Search sessions: a query is ranked once and its results are paged through with a cursor
+const SEARCH_SESSION_DEPTH = 100; // results ranked per source for a new query
+const MAX_SEARCH_SESSION_DEPTH = 1000; // paging stops here, and the response says it was truncated
+const SEARCH_SESSION_TTL_MS = 10 * 60 * 1000;
+const MAX_SEARCH_SESSIONS = 4;
+const searchSessions = new Map(); // cursor -> { cursor, key, results, suggestion, depth, truncated, createdAt }
+
+// "Related to this page": neighbours below this cosine similarity are too loose to show
+const RELATED_MIN_SIMILARITY = 0.45;
+
+const DEFAULT_RANKING_PROFILE = BUILT_IN_PROFILES.find(p => p.id === DEFAULT_PROFILE_ID);
+
+// Relevance evaluation harness (debug page)
+const EVAL_MODES = ['text', 'vector', 'hybrid-rrf', 'hybrid-rerank'];
+const EVAL_NDCG_K = 10;
+const EVAL_RECALL_K = 25;
+
+// HNSW vector indexes, checked and rebuilt from the debug page
+const HNSW_EF_SEARCH = 100; // candidates per index scan; higher improves recall, costs speed
+const VECTOR_INDEXES = [
+  { table: 'pages', index: 'idx_pages_embedding', key: 'id' },
+  { table: 'page_chunks', index: 'idx_page_chunks_embedding', key: 'id' },
+  { table: 'chat_message_embedding', index: 'idx_chat_message_embedding_vec', key: 'message_id' }
+];
+const REINDEX_AFTER_REEMBED = 500; // pages; a bulk re-embed leaves the graph full of dead entries
+
 // Summarization queue state
 let summarizationQueue = [];
 let isProcessingSummaries = false;
@@ -37,20 +127,40 @@ const OFFSCREEN_MESSAGE_TYPES = new Set([
   'init', 'ingest-page', 'ingest-captured-payload', 'ingest-captured-queue',
   'search', 'get-browser-history', 'embed', 'clear-db', 'get-stats', 'page-exists',
   'execute-sql', 'clear-model-cache', 'export-db', 'import-db', 'update-summary',
-  'ping', 'refresh-ai-prefs', 'reload-embeddings', 'get-model-status',
+  'record-visit', 'ping', 'refresh-ai-prefs', 'reload-embeddings', 'get-model-status',
   'start-remote-warm', 'get-summary-queue-stats', 'process-summary-queue',
   'clear-summary-queue', 'save-chat-message', 'get-chat-messages', 'clear-chat-thread',
-  'get-chat-thread-stats', 'deduplicate-chat-messages'
+  'get-chat-thread-stats', 'deduplicate-chat-messages', 'check-vector-recall',
+  'rebuild-vector-indexes', 'get-eval-queries', 'save-eval-query', 'delete-eval-query',
+  'run-search-eval', 'get-eval-runs', 'record-search-click', 'update-search-click-dwell',
+  'similar-pages', 'related-pages', 'check-revisit', 'check-visited', 'run-maintenance-job'
 ]);
 
+// A message from an extension page reaches this document twice: directly, and relayed by
+// the background. Copies with the same requestId (see sendOffscreenRequest) share one run,
+// and a copy arriving after it finished gets the kept response.
+const REQUEST_REPLAY_MS = 30 * 1000;
+const requestsInFlight = new Map(); // requestId -> promise of the response
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // Only handle messages intended for the offscreen document
   if (!OFFSCREEN_MESSAGE_TYPES.has(message.type)) {
     return; // Let other contexts handle this message
   }
 
-  handleMessage(message, sendResponse);
-  return true; // Keep message channel open for async responses
+  const { requestId } = message;
+  if (requestId == null) {
+    handleMessage(message, sendResponse);
+    return true; // Keep message channel open for async responses
+  }
+
+  if (!requestsInFlight.has(requestId)) {
+    const response = new Promise(resolve => handleMessage(message, resolve));
+    requestsInFlight.set(requestId, response);
+    response.finally(() => setTimeout(() => requestsInFlight.delete(requestId), REQUEST_REPLAY_MS));
+  }
+  requestsInFlight.get(requestId).then(sendResponse);
+  return true;
 });
 
 async function handleMessage(message, sendResponse) {
@@ -130,11 +240,104 @@ async function handleMessage(message, sendResponse) {
         sendResponse(exportResult);
         break;
 
+      case 'check-vector-recall':
+        const recallResult = await checkVectorRecall(message.data);
+        sendResponse(recallResult);
+        break;
+
+      case 'rebuild-vector-indexes':
+        const rebuildResult = await rebuildVectorIndexes();
+        sendResponse(rebuildResult);
+        break;
+
+      case 'get-eval-queries':
+        try {
+          const queries = await db.getEvalQueries();
+          sendResponse({ queries });
+        } catch (error) {
+          sendResponse({ error: error.message });
+        }
+        break;
+
+      case 'save-eval-query':
+        try {
+          const { query, expectedUrls, notes } = message.data || {};
+          const id = await db.saveEvalQuery(query, expectedUrls, notes);
+          sendResponse({ id, success: true });
+        } catch (error) {
+          sendResponse({ error: error.message });
+        }
+        break;
+
+      case 'delete-eval-query':
+        try {
+          const deleted = await db.deleteEvalQuery(message.data?.id);
+          sendResponse({ deleted, success: true });
+        } catch (error) {
+          sendResponse({ error: error.message });
+        }
+        break;
+
+      case 'run-search-eval':
+        const evalResult = await runSearchEvaluation(message.data);
+        sendResponse(evalResult);
+        break;
+
+      case 'get-eval-runs':
+        try {
+          const { limit = 20 } = message.data || {};
+          const runs = await db.getEvalRuns(limit);
+          sendResponse({ runs });
+        } catch (error) {
+          sendResponse({ error: error.message });
+        }
+        break;
+
       case 'import-db':
         const importResult = await importDatabase(message.data);
         sendResponse(importResult);
         break;
 
+      case 'record-visit':
+        const visitResult = await db.recordVisit(message.data);
+        sendResponse(visitResult);
+        break;
+
+      case 'similar-pages':
+        const similarResult = await db.findSimilarPages(message.data);
+        sendResponse(similarResult);
+        break;
+
+      case 'related-pages':
+        const relatedResult = await findRelatedPages(message.data);
+        sendResponse(relatedResult);
+        break;
+
+      case 'check-revisit':
+        const revisitResult = await findRevisitMatches(message.data);
+        sendResponse(revisitResult);
+        break;
+
+      case 'check-visited':
+        const visitedResult = await checkVisited(message.data);
+        sendResponse(visitedResult);
+        break;
+
+      case 'run-maintenance-job':
+        const jobResult = await runMaintenanceJob(message.data?.name);
+        sendResponse(jobResult);
+        break;
+
+      case 'record-search-click':
+        const clickResult = await db.recordSearchClick(message.data);
+        sendResponse(clickResult);
+        break;
+
+      case 'update-search-click-dwell':
+        const dwellResult = await db.updateSearchClickDwell(message.data?.id, message.data?.dwellMs);
+        sendResponse(dwellResult);
+        break;
+
       // Messages intended for background: ignore to reduce noise
       case 'capturedContent':
         sendResponse({ ignored: true });
@@ -318,6 +521,12 @@ async function performInitialization() {
     }
 
     isInitialized = true;
+
+    // Resume any re-embedding left over from an interrupted import, and chunk pages
+    // indexed before passage search existed
+    processReembedQueue();
+    processChunkQueue();
+    runMaintenanceJobs();
     console.log('[OFFSCREEN] Initialization completed successfully');
   } catch (error) {
     console.error('[OFFSCREEN] Initialization failed:', error);
@@ -349,11 +558,20 @@ async function initializeDatabase() {
     const { PGlite } = await import(chrome.runtime.getURL('lib/pglite.js'));
     const { vector } = await import(chrome.runtime.getURL('lib/vector/index.js'));
 
+    // pg_trgm powers fuzzy matching; search still works without it
+    let pg_trgm = null;
+    try {
+      ({ pg_trgm } = await import(chrome.runtime.getURL('lib/contrib/pg_trgm.js')));
+    } catch (error) {
+      console.warn('[DB] pg_trgm extension not available, fuzzy search disabled:', error.message);
+    }
+
     // Initialize PGlite with IndexedDB storage and vector extension
     const pglite = new PGlite({
       dataDir: 'idb://ai-history-pglite',
       extensions: {
         vector,
+        ...(pg_trgm ? { pg_trgm } : {})
       }
       // Note: IndexedDB VFS is automatically selected when using 'idb://' dataDir
     });
@@ -367,7 +585,7 @@ async function initializeDatabase() {
     logger.info('[DB] ✅ Using IndexedDB storage - safe for Chrome extension');
 
     // Create database wrapper with our API
-    db = new DatabaseWrapper(pglite);
+    db = new DatabaseWrapper(pglite, { extensions: pg_trgm ? ['pg_trgm'] : [] });
 
     // Initialize schema
     await db.initializeSchema();
@@ -391,24 +609,563 @@ async function initializeDatabase() {
   }
 }
 
+// Ordered schema migrations. Never edit a released migration; append a new one instead.
+// Migration 1 uses IF NOT EXISTS so databases created before versioning adopt it cleanly.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial schema',
+    up: async (tx) => {
+      // Create main pages table with vector column
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS pages (
+          id SERIAL PRIMARY KEY,
+          url TEXT UNIQUE NOT NULL,
+          domain TEXT,
+          title TEXT,
+          content_text TEXT,
+          summary TEXT,
+          favicon_url TEXT,
+          first_visit_at BIGINT,
+          last_visit_at BIGINT,
+          visit_count INTEGER DEFAULT 1,
+          embedding vector(384),
+          content_tsvector tsvector,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Create indexes for efficient search
+      await tx.exec(`
+        CREATE INDEX IF NOT EXISTS idx_pages_domain ON pages(domain);
+        CREATE INDEX IF NOT EXISTS idx_pages_last_visit ON pages(last_visit_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_pages_visit_count ON pages(visit_count DESC);
+        CREATE INDEX IF NOT EXISTS idx_pages_url ON pages(url);
+      `);
+
+      // Vector similarity search index (IVFFlat for datasets)
+      await tx.exec(`
+        CREATE INDEX IF NOT EXISTS idx_pages_embedding
+          ON pages USING ivfflat (embedding vector_cosine_ops)
+          WITH (lists = 100);
+      `);
+
+      // Full-text search index
+      await tx.exec(`
+        CREATE INDEX IF NOT EXISTS idx_pages_fts
+          ON pages USING gin(content_tsvector);
+      `);
+
+      // Trigger to automatically update tsvector on insert/update
+      await tx.exec(`
+        CREATE OR REPLACE FUNCTION update_content_tsvector()
+        RETURNS TRIGGER AS $$
+        BEGIN
+          NEW.content_tsvector :=
+            setweight(to_tsvector('english', COALESCE(NEW.title, '')), 'A') ||
+            setweight(to_tsvector('english', COALESCE(NEW.domain, '')), 'A') ||
+            setweight(to_tsvector('english', COALESCE(NEW.url, '')), 'B') ||
+            setweight(to_tsvector('english', COALESCE(NEW.content_text, '')), 'C');
+          NEW.updated_at := CURRENT_TIMESTAMP;
+          RETURN NEW;
+        END;
+        $$ LANGUAGE plpgsql;
+      `);
+
+      // Databases created before migrations existed may already have the trigger
+      await tx.exec(`
+        DROP TRIGGER IF EXISTS trig_update_content_tsvector ON pages;
+        CREATE TRIGGER trig_update_content_tsvector
+          BEFORE INSERT OR UPDATE ON pages
+          FOR EACH ROW
+          EXECUTE FUNCTION update_content_tsvector();
+      `);
+
+      // Create summarization queue table for database-backed queue
+      console.log('[QUEUE-DB] Creating summarization queue table...');
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS summarization_queue (
+          id SERIAL PRIMARY KEY,
+          url TEXT UNIQUE NOT NULL,
+          title TEXT,
+          domain TEXT,
+          content_text TEXT,
+          attempts INTEGER DEFAULT 0,
+          max_attempts INTEGER DEFAULT 3,
+          status TEXT DEFAULT 'pending',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          processed_at TIMESTAMP
+        )
+      `);
+
+      // Create index for efficient queue processing
+      await tx.exec(`
+        CREATE INDEX IF NOT EXISTS idx_summarization_queue_status
+        ON summarization_queue(status, created_at);
+      `);
+      console.log('[QUEUE-DB] ✅ Summarization queue table created successfully');
+
+      // Create chat thread table
+      console.log('[CHAT-DB] Creating chat thread table...');
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS chat_thread (
+          id TEXT PRIMARY KEY,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Create chat message table
+      console.log('[CHAT-DB] Creating chat message table...');
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS chat_message (
+          id TEXT PRIMARY KEY,
+          thread_id TEXT NOT NULL REFERENCES chat_thread(id),
+          role TEXT NOT NULL CHECK (role IN ('user', 'assistant', 'system')),
+          content TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Create chat message embedding table (optional for semantic recall)
+      console.log('[CHAT-DB] Creating chat message embedding table...');
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS chat_message_embedding (
+          message_id TEXT PRIMARY KEY REFERENCES chat_message(id) ON DELETE CASCADE,
+          embedding vector(384)
+        )
+      `);
+
+      // Create indexes for chat tables
+      await tx.exec(`
+        CREATE INDEX IF NOT EXISTS idx_chat_message_thread ON chat_message(thread_id);
+        CREATE INDEX IF NOT EXISTS idx_chat_message_created ON chat_message(created_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_chat_message_embedding_vec ON chat_message_embedding USING ivfflat (embedding vector_cosine_ops) WITH (lists = 10);
+      `);
+      console.log('[CHAT-DB] ✅ Chat message tables created successfully');
+    }
+  },
+  {
+    version: 2,
+    name: 'chat message metadata',
+    up: async (tx) => {
+      await tx.exec('ALTER TABLE chat_message ADD COLUMN IF NOT EXISTS metadata JSONB');
+    }
+  },
+  {
+    version: 3,
+    name: 'per-visit history',
+    up: async (tx) => {
+      // One row per committed navigation. page_id stays NULL until the page is indexed.
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS visits (
+          id SERIAL PRIMARY KEY,
+          page_id INTEGER REFERENCES pages(id) ON DELETE CASCADE,
+          url TEXT NOT NULL,
+          visit_at BIGINT NOT NULL,
+          tab_id INTEGER,
+          transition_type TEXT,
+          referrer_url TEXT
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_visits_url_time ON visits(url, visit_at);
+        CREATE INDEX IF NOT EXISTS idx_visits_page_time ON visits(page_id, visit_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_visits_time ON visits(visit_at DESC);
+      `);
+
+      // Existing pages only know their first and last visit
+      await tx.exec(`
+        INSERT INTO visits (page_id, url, visit_at)
+        SELECT id, url, first_visit_at FROM pages WHERE first_visit_at IS NOT NULL
+        UNION
+        SELECT id, url, last_visit_at FROM pages WHERE last_visit_at IS NOT NULL
+        ON CONFLICT (url, visit_at) DO NOTHING;
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'page chunks',
+    up: async (tx) => {
+      // Overlapping passages of content_text, each with its own embedding and FTS vector
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS page_chunks (
+          id SERIAL PRIMARY KEY,
+          page_id INTEGER NOT NULL REFERENCES pages(id) ON DELETE CASCADE,
+          chunk_index INTEGER NOT NULL,
+          content TEXT NOT NULL,
+          embedding vector(384),
+          content_tsvector tsvector GENERATED ALWAYS AS (to_tsvector('english', content)) STORED,
+          UNIQUE (page_id, chunk_index)
+        );
+        CREATE INDEX IF NOT EXISTS idx_page_chunks_embedding
+          ON page_chunks USING ivfflat (embedding vector_cosine_ops)
+          WITH (lists = 100);
+        CREATE INDEX IF NOT EXISTS idx_page_chunks_fts ON page_chunks USING gin(content_tsvector);
+      `);
+
+      // NULL means the page still needs chunking; existing pages are picked up by the backfill
+      await tx.exec('ALTER TABLE pages ADD COLUMN IF NOT EXISTS chunks_indexed_at BIGINT');
+    }
+  },
+  {
+    version: 5,
+    name: 'trigram indexes',
+    requires: ['pg_trgm'],
+    up: async (tx) => {
+      await tx.exec(`
+        CREATE EXTENSION IF NOT EXISTS pg_trgm;
+        CREATE INDEX IF NOT EXISTS idx_pages_title_trgm ON pages USING gin (title gin_trgm_ops);
+        CREATE INDEX IF NOT EXISTS idx_pages_domain_trgm ON pages USING gin (domain gin_trgm_ops);
+      `);
+
+      // Words of page titles with how many titles use them, for "did you mean". Triggers
+      // add a page's words on insert and take them back on a title change or delete.
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS search_vocabulary (
+          word TEXT PRIMARY KEY,
+          frequency INTEGER NOT NULL DEFAULT 0
+        );
+        CREATE INDEX IF NOT EXISTS idx_search_vocabulary_trgm ON search_vocabulary USING gin (word gin_trgm_ops);
+
+        CREATE OR REPLACE FUNCTION title_words(title TEXT)
+        RETURNS TABLE (word TEXT, frequency INTEGER) AS $$
+          SELECT w, COUNT(*)::integer
+          FROM regexp_split_to_table(lower(COALESCE(title, '')), '[^[:alnum:]]+') AS w
+          WHERE length(w) BETWEEN 3 AND 40 AND w !~ '^[0-9]+$'
+          GROUP BY w
+        $$ LANGUAGE sql IMMUTABLE;
+
+        CREATE OR REPLACE FUNCTION update_search_vocabulary()
+        RETURNS TRIGGER AS $$
+        BEGIN
+          IF TG_OP <> 'INSERT' THEN
+            UPDATE search_vocabulary v SET frequency = v.frequency - old_words.frequency
+            FROM title_words(OLD.title) AS old_words
+            WHERE v.word = old_words.word;
+            DELETE FROM search_vocabulary v
+            USING title_words(OLD.title) AS old_words
+            WHERE v.word = old_words.word AND v.frequency <= 0;
+          END IF;
+          IF TG_OP = 'DELETE' THEN
+            RETURN OLD;
+          END IF;
+          INSERT INTO search_vocabulary (word, frequency)
+          SELECT new_words.word, new_words.frequency FROM title_words(NEW.title) AS new_words
+          ON CONFLICT (word) DO UPDATE SET frequency = search_vocabulary.frequency + EXCLUDED.frequency;
+          RETURN NEW;
+        END;
+        $$ LANGUAGE plpgsql;
+
+        DROP TRIGGER IF EXISTS pages_vocabulary_insert_delete ON pages;
+        CREATE TRIGGER pages_vocabulary_insert_delete
+          AFTER INSERT OR DELETE ON pages
+          FOR EACH ROW EXECUTE FUNCTION update_search_vocabulary();
+        DROP TRIGGER IF EXISTS pages_vocabulary_update ON pages;
+        CREATE TRIGGER pages_vocabulary_update
+          AFTER UPDATE OF title ON pages
+          FOR EACH ROW
+          WHEN (OLD.title IS DISTINCT FROM NEW.title)
+          EXECUTE FUNCTION update_search_vocabulary();
+
+        INSERT INTO search_vocabulary (word, frequency)
+        SELECT t.word, SUM(t.frequency)
+        FROM pages CROSS JOIN LATERAL title_words(pages.title) AS t
+        GROUP BY t.word
+        ON CONFLICT (word) DO NOTHING;
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'hnsw vector indexes',
+    up: async (tx) => {
+      // IVFFlat built on an empty table has useless centroids; HNSW needs no training
+      // and stays accurate as rows are added
+      await tx.exec(`
+        DROP INDEX IF EXISTS idx_pages_embedding;
+        DROP INDEX IF EXISTS idx_page_chunks_embedding;
+        DROP INDEX IF EXISTS idx_chat_message_embedding_vec;
+        CREATE INDEX idx_pages_embedding
+          ON pages USING hnsw (embedding vector_cosine_ops)
+          WITH (m = 16, ef_construction = 64);
+        CREATE INDEX idx_page_chunks_embedding
+          ON page_chunks USING hnsw (embedding vector_cosine_ops)
+          WITH (m = 16, ef_construction = 64);
+        CREATE INDEX idx_chat_message_embedding_vec
+          ON chat_message_embedding USING hnsw (embedding vector_cosine_ops)
+          WITH (m = 16, ef_construction = 64);
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'search evaluation',
+    up: async (tx) => {
+      // Golden queries with the URLs a good ranking should return, and the scores of each run
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS eval_query (
+          id SERIAL PRIMARY KEY,
+          query TEXT UNIQUE NOT NULL,
+          expected_urls JSONB NOT NULL DEFAULT '[]',
+          notes TEXT,
+          created_at BIGINT,
+          updated_at BIGINT
+        );
+        CREATE TABLE IF NOT EXISTS eval_run (
+          id SERIAL PRIMARY KEY,
+          ran_at BIGINT NOT NULL,
+          label TEXT,
+          config JSONB,
+          metrics JSONB NOT NULL,
+          details JSONB
+        );
+        CREATE INDEX IF NOT EXISTS idx_eval_run_ran_at ON eval_run(ran_at DESC);
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'search clicks',
+    up: async (tx) => {
+      // Results opened from search and chat; dwell_ms stays NULL until the tab is left
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS search_clicks (
+          id SERIAL PRIMARY KEY,
+          query TEXT NOT NULL,
+          url TEXT NOT NULL,
+          domain TEXT,
+          rank INTEGER,
+          skipped_urls JSONB NOT NULL DEFAULT '[]',
+          source TEXT,
+          mode TEXT,
+          profile_id TEXT,
+          clicked_at BIGINT NOT NULL,
+          dwell_ms INTEGER
+        );
+        CREATE INDEX IF NOT EXISTS idx_search_clicks_url ON search_clicks(url);
+        CREATE INDEX IF NOT EXISTS idx_search_clicks_domain ON search_clicks(domain);
+        CREATE INDEX IF NOT EXISTS idx_search_clicks_clicked_at ON search_clicks(clicked_at DESC);
+      `);
+    }
+  },
+  {
+    version: 9,
+    name: 'page headings and extraction quality',
+    up: async (tx) => {
+      // Headings from the main-content extractor, and how usable the extraction was (0..1,
+      // NULL for pages indexed without it)
+      await tx.exec(`
+        ALTER TABLE pages ADD COLUMN IF NOT EXISTS headings TEXT[];
+        ALTER TABLE pages ADD COLUMN IF NOT EXISTS extraction_quality REAL;
+      `);
+
+      // Headings rank between the title and the body text
+      await tx.exec(`
+        CREATE OR REPLACE FUNCTION update_content_tsvector()
+        RETURNS TRIGGER AS $$
+        BEGIN
+          NEW.content_tsvector :=
+            setweight(to_tsvector('english', COALESCE(NEW.title, '')), 'A') ||
+            setweight(to_tsvector('english', COALESCE(NEW.domain, '')), 'A') ||
+            setweight(to_tsvector('english', COALESCE(NEW.url, '')), 'B') ||
+            setweight(to_tsvector('english', COALESCE(array_to_string(NEW.headings, ' '), '')), 'B') ||
+            setweight(to_tsvector('english', COALESCE(NEW.content_text, '')), 'C');
+          NEW.updated_at := CURRENT_TIMESTAMP;
+          RETURN NEW;
+        END;
+        $$ LANGUAGE plpgsql;
+      `);
+    }
+  },
+  {
+    version: 10,
+    name: 'page metadata',
+    up: async (tx) => {
+      // Canonical URL, OpenGraph, JSON-LD and the like from the content script, with the
+      // publish date and author copied out for filtering and ranking
+      await tx.exec(`
+        ALTER TABLE pages ADD COLUMN IF NOT EXISTS page_meta JSONB;
+        ALTER TABLE pages ADD COLUMN IF NOT EXISTS published_at BIGINT;
+        ALTER TABLE pages ADD COLUMN IF NOT EXISTS author TEXT;
+        CREATE INDEX IF NOT EXISTS idx_pages_published_at ON pages(published_at DESC);
+      `);
+    }
+  },
+  {
+    version: 11,
+    name: 'maintenance jobs and page addresses',
+    up: async (tx) => {
+      // Runs of the MAINTENANCE_JOBS below; a job with status 'done' is not run again at startup
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS maintenance_jobs (
+          name TEXT PRIMARY KEY,
+          status TEXT NOT NULL,
+          started_at BIGINT,
+          finished_at BIGINT,
+          result JSONB,
+          error TEXT
+        );
+      `);
+
+      // Other addresses a page was reached by. A page is stored under its <link rel=canonical>,
+      // which lookups by the visited URL alone can't work out.
+      await tx.exec(`
+        CREATE TABLE IF NOT EXISTS page_urls (
+          url TEXT PRIMARY KEY,
+          page_id INTEGER NOT NULL REFERENCES pages(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_page_urls_page ON page_urls(page_id);
+
+        INSERT INTO page_urls (url, page_id)
+        SELECT DISTINCT ON (v.url) v.url, v.page_id
+        FROM visits v
+        JOIN pages p ON p.id = v.page_id
+        WHERE v.url <> p.url
+        ORDER BY v.url, v.visit_at DESC
+        ON CONFLICT (url) DO NOTHING;
+      `);
+    }
+  },
+  {
+    version: 12,
+    name: 'near-duplicate groups',
+    up: async (tx) => {
+      // content_simhash is '' for pages too short to fingerprint and NULL until computed.
+      // duplicate_group_id is the id of a page in the group, shared by all its members.
+      await tx.exec(`
+        ALTER TABLE pages ADD COLUMN IF NOT EXISTS content_simhash TEXT;
+        ALTER TABLE pages ADD COLUMN IF NOT EXISTS duplicate_group_id INTEGER;
+        CREATE INDEX IF NOT EXISTS idx_pages_duplicate_group
+          ON pages(duplicate_group_id) WHERE duplicate_group_id IS NOT NULL;
+      `);
+    }
+  }
+];
+
+// One-off data fixes run after startup. Unlike migrations they run outside a transaction,
+// may read settings, and can be run again from the debug page.
+const MAINTENANCE_JOBS = [
+  {
+    name: 'merge-duplicate-urls', // pages whose URLs canonicalize to the same address
+    run: async () => db.mergeDuplicatePages(await getCanonicalRules())
+  },
+  {
+    name: 'group-near-duplicates', // fingerprints pages indexed before duplicate detection
+    run: () => db.groupNearDuplicates()
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Tables included in backups, parents before children so a restore can replay them in order.
+// content_tsvector and search_vocabulary are omitted because triggers rebuild them on insert,
+// and page_chunks because the chunk indexer rebuilds them from content_text.
+const BACKUP_TABLES = [
+  {
+    name: 'pages',
+    orderBy: 'id',
+    columns: ['id', 'url', 'domain', 'title', 'content_text', 'summary', 'favicon_url',
+      'first_visit_at', 'last_visit_at', 'visit_count', 'embedding', 'created_at', 'updated_at',
+      'headings', 'extraction_quality', 'page_meta', 'published_at', 'author'],
+    vectorColumns: ['embedding']
+  },
+  {
+    name: 'page_urls',
+    orderBy: 'url',
+    // Page ids differ between databases, so aliases travel with their page's URL
+    columns: ['url', 'page_url'],
+    select: 'url, (SELECT p.url FROM pages p WHERE p.id = page_id) AS page_url'
+  },
+  {
+    name: 'visits',
+    orderBy: 'id',
+    columns: ['id', 'page_id', 'url', 'visit_at', 'tab_id', 'transition_type', 'referrer_url']
+  },
+  {
+    name: 'summarization_queue',
+    orderBy: 'id',
+    columns: ['id', 'url', 'title', 'domain', 'content_text', 'attempts', 'max_attempts',
+      'status', 'created_at', 'processed_at']
+  },
+  {
+    name: 'chat_thread',
+    orderBy: 'id',
+    columns: ['id', 'created_at']
+  },
+  {
+    name: 'chat_message',
+    orderBy: 'created_at, id',
+    columns: ['id', 'thread_id', 'role', 'content', 'metadata', 'created_at']
+  },
+  {
+    name: 'chat_message_embedding',
+    orderBy: 'message_id',
+    columns: ['message_id', 'embedding'],
+    vectorColumns: ['embedding']
+  },
+  {
+    name: 'search_clicks',
+    orderBy: 'id',
+    columns: ['id', 'query', 'url', 'domain', 'rank', 'skipped_urls', 'source', 'mode', 'profile_id',
+      'clicked_at', 'dwell_ms']
+  },
+  {
+    name: 'eval_query',
+    orderBy: 'id',
+    columns: ['id', 'query', 'expected_urls', 'notes', 'created_at', 'updated_at']
+  },
+  {
+    name: 'eval_run',
+    orderBy: 'id',
+    columns: ['id', 'ran_at', 'label', 'config', 'metrics', 'details']
+  }
+];
+
 // Database wrapper class
 class DatabaseWrapper {
-  constructor(pglite) {
+  constructor(pglite, { extensions = [] } = {}) {
     this.db = pglite;
     this.initialized = true;
     this._vecSupport = true; // pgvector is always available
+    this.extensions = new Set(extensions); // optional extensions loaded into PGlite
+    this.hasTrigram = false;
+  }
+
+  // The page stored for a URL: by its canonical form, or through page_urls when the page
+  // is stored under its own canonical link
+  async findPageId(url) {
+    const urls = [...new Set([url, await canonicalPageUrl(url)])];
+    const result = await this.db.query(`
+      SELECT id, 0 AS alias FROM pages WHERE url = ANY($1::text[])
+      UNION ALL
+      SELECT page_id, 1 AS alias FROM page_urls WHERE url = ANY($1::text[])
+      ORDER BY alias
+      LIMIT 1
+    `, [urls]);
+    return result.rows[0]?.id ?? null;
+  }
+
+  // Remember the addresses a page was reached by; the latest page to claim one keeps it
+  async addPageUrls(pageId, urls, pageUrl) {
+    const aliases = [...new Set(urls)].filter(url => url && url !== pageUrl);
+    if (!pageId || aliases.length === 0) return;
+
+    await this.db.query(`
+      INSERT INTO page_urls (url, page_id)
+      SELECT url, $1 FROM unnest($2::text[]) AS url
+      ON CONFLICT (url) DO UPDATE SET page_id = EXCLUDED.page_id
+    `, [pageId, aliases]);
   }
 
   async updateSummaryByUrl(url, summary) {
     if (!url) return { error: 'Missing URL' };
 
     try {
-      const result = await this.db.query('SELECT id FROM pages WHERE url = $1 LIMIT 1', [url]);
-      if (result.rows.length === 0) {
+      const id = await this.findPageId(url);
+      if (id == null) {
         return { success: false, updated: 0 };
       }
 
-      const id = result.rows[0].id;
       const normalized = typeof summary === 'string' ? summary : null;
 
       await this.db.query('UPDATE pages SET summary = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [normalized, id]);
@@ -424,156 +1181,94 @@ class DatabaseWrapper {
     if (!url) return false;
 
     try {
-      const result = await this.db.query('SELECT id FROM pages WHERE url = $1 LIMIT 1', [url]);
-      return result.rows.length > 0;
+      return await this.findPageId(url) != null;
     } catch (error) {
       console.error('[DB] Page exists check failed:', error);
       return false;
     }
   }
 
+  // Apply any migrations newer than the recorded schema version, each in its own transaction
   async initializeSchema() {
-    // Create main pages table with vector column
     await this.db.exec(`
-      CREATE TABLE IF NOT EXISTS pages (
-        id SERIAL PRIMARY KEY,
-        url TEXT UNIQUE NOT NULL,
-        domain TEXT,
-        title TEXT,
-        content_text TEXT,
-        summary TEXT,
-        favicon_url TEXT,
-        first_visit_at BIGINT,
-        last_visit_at BIGINT,
-        visit_count INTEGER DEFAULT 1,
-        embedding vector(384),
-        content_tsvector tsvector,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
-    // Create indexes for efficient search
-    await this.db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_pages_domain ON pages(domain);
-      CREATE INDEX IF NOT EXISTS idx_pages_last_visit ON pages(last_visit_at DESC);
-      CREATE INDEX IF NOT EXISTS idx_pages_visit_count ON pages(visit_count DESC);
-      CREATE INDEX IF NOT EXISTS idx_pages_url ON pages(url);
-    `);
-
-    // Vector similarity search index (IVFFlat for datasets)
-    await this.db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_pages_embedding
-        ON pages USING ivfflat (embedding vector_cosine_ops)
-        WITH (lists = 100);
-    `);
-
-    // Full-text search index
-    await this.db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_pages_fts
-        ON pages USING gin(content_tsvector);
-    `);
-
-    // Trigger to automatically update tsvector on insert/update
-    await this.db.exec(`
-      CREATE OR REPLACE FUNCTION update_content_tsvector()
-      RETURNS TRIGGER AS $$
-      BEGIN
-        NEW.content_tsvector :=
-          setweight(to_tsvector('english', COALESCE(NEW.title, '')), 'A') ||
-          setweight(to_tsvector('english', COALESCE(NEW.domain, '')), 'A') ||
-          setweight(to_tsvector('english', COALESCE(NEW.url, '')), 'B') ||
-          setweight(to_tsvector('english', COALESCE(NEW.content_text, '')), 'C');
-        NEW.updated_at := CURRENT_TIMESTAMP;
-        RETURN NEW;
-      END;
-      $$ LANGUAGE plpgsql;
-    `);
+    const applied = await this.getAppliedMigrations();
+    const newest = Math.max(0, ...applied);
+    if (newest > SCHEMA_VERSION) {
+      console.warn(`[MIGRATE] Database schema v${newest} is newer than this build (v${SCHEMA_VERSION})`);
+    }
 
-    // Drop trigger if exists and create new one (PostgreSQL doesn't support IF NOT EXISTS for triggers)
-    await this.db.exec(`
-      DROP TRIGGER IF EXISTS trig_update_content_tsvector ON pages;
-      CREATE TRIGGER trig_update_content_tsvector
-        BEFORE INSERT OR UPDATE ON pages
-        FOR EACH ROW
-        EXECUTE FUNCTION update_content_tsvector();
-    `);
+    for (const migration of MIGRATIONS) {
+      if (applied.has(migration.version)) continue;
 
-    // Create summarization queue table for database-backed queue
-    console.log('[QUEUE-DB] Creating summarization queue table...');
-    await this.db.exec(`
-      CREATE TABLE IF NOT EXISTS summarization_queue (
-        id SERIAL PRIMARY KEY,
-        url TEXT UNIQUE NOT NULL,
-        title TEXT,
-        domain TEXT,
-        content_text TEXT,
-        attempts INTEGER DEFAULT 0,
-        max_attempts INTEGER DEFAULT 3,
-        status TEXT DEFAULT 'pending',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        processed_at TIMESTAMP
-      )
-    `);
-
-    // Create index for efficient queue processing
-    await this.db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_summarization_queue_status
-      ON summarization_queue(status, created_at);
-    `);
-    console.log('[QUEUE-DB] ✅ Summarization queue table created successfully');
+      // Migrations for optional extensions stay pending until the extension is loaded
+      const missing = (migration.requires || []).filter(ext => !this.extensions.has(ext));
+      if (missing.length > 0) {
+        console.warn(`[MIGRATE] Skipping migration ${migration.version} (${migration.name}): ${missing.join(', ')} not available`);
+        continue;
+      }
 
-    // Create chat thread table
-    console.log('[CHAT-DB] Creating chat thread table...');
-    await this.db.exec(`
-      CREATE TABLE IF NOT EXISTS chat_thread (
-        id TEXT PRIMARY KEY,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+      console.log(`[MIGRATE] Applying migration ${migration.version}: ${migration.name}`);
+      try {
+        await this.db.transaction(async (tx) => {
+          await migration.up(tx);
+          await tx.query(
+            'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+            [migration.version, migration.name]
+          );
+        });
+      } catch (error) {
+        console.error(`[MIGRATE] Migration ${migration.version} failed:`, error);
+        throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+      }
+    }
 
-    // Create chat message table
-    console.log('[CHAT-DB] Creating chat message table...');
-    await this.db.exec(`
-      CREATE TABLE IF NOT EXISTS chat_message (
-        id TEXT PRIMARY KEY,
-        thread_id TEXT NOT NULL REFERENCES chat_thread(id),
-        role TEXT NOT NULL CHECK (role IN ('user', 'assistant', 'system')),
-        content TEXT NOT NULL,
-        metadata JSONB,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+    const trgm = await this.db.query(`SELECT 1 FROM pg_extension WHERE extname = 'pg_trgm'`);
+    this.hasTrigram = this.extensions.has('pg_trgm') && trgm.rows.length > 0;
 
-    // Add metadata column if it doesn't exist (for existing databases)
+    // Session settings for HNSW scans. Iterative scans keep filtered vector queries
+    // (site:, date ranges) from coming back short when the first ef_search candidates are filtered out.
     try {
-      await this.db.exec(`ALTER TABLE chat_message ADD COLUMN metadata JSONB`);
-      console.log('[CHAT-DB] Added metadata column to existing chat_message table');
+      await this.db.exec(`
+        SET hnsw.ef_search = ${HNSW_EF_SEARCH};
+        SET hnsw.iterative_scan = strict_order;
+      `);
     } catch (error) {
-      // Column already exists, which is fine
-      if (!error.message.includes('already exists')) {
-        console.log('[CHAT-DB] Note: metadata column addition skipped (likely already exists)');
-      }
+      console.warn('[DB] Could not configure HNSW search settings:', error.message);
     }
 
-    // Create chat message embedding table (optional for semantic recall)
-    console.log('[CHAT-DB] Creating chat message embedding table...');
-    await this.db.exec(`
-      CREATE TABLE IF NOT EXISTS chat_message_embedding (
-        message_id TEXT PRIMARY KEY REFERENCES chat_message(id) ON DELETE CASCADE,
-        embedding vector(384)
-      )
-    `);
+    this._isVecTable = true;
+  }
 
-    // Create indexes for chat tables
-    await this.db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_chat_message_thread ON chat_message(thread_id);
-      CREATE INDEX IF NOT EXISTS idx_chat_message_created ON chat_message(created_at DESC);
-      CREATE INDEX IF NOT EXISTS idx_chat_message_embedding_vec ON chat_message_embedding USING ivfflat (embedding vector_cosine_ops) WITH (lists = 10);
-    `);
-    console.log('[CHAT-DB] ✅ Chat message tables created successfully');
+  async getAppliedMigrations() {
+    const result = await this.db.query('SELECT version FROM schema_migrations');
+    return new Set(result.rows.map(row => row.version));
+  }
 
-    this._isVecTable = true;
+  // Highest version with every migration up to it applied. A migration skipped for a missing
+  // extension leaves a gap, so later ones don't count towards the version.
+  async getSchemaVersion() {
+    const applied = await this.getAppliedMigrations();
+    let version = 0;
+    for (const migration of MIGRATIONS) {
+      if (!applied.has(migration.version)) break;
+      version = migration.version;
+    }
+    return version;
+  }
+
+  // Migrations this build has that the database doesn't, with the extensions they wait for
+  async getPendingMigrations() {
+    const applied = await this.getAppliedMigrations();
+    return MIGRATIONS
+      .filter(migration => !applied.has(migration.version))
+      .map(({ version, name, requires = [] }) => ({ version, name, requires }));
   }
 
   async insert(table, data) {
@@ -591,10 +1286,17 @@ class DatabaseWrapper {
       return { id: null };
     }
 
+    // One row per page: variants of the URL and the page's own canonical link collapse
+    // into a single address. Visits were recorded under the rules-only form.
+    const rules = await getCanonicalRules();
+    const visitedUrl = canonicalizeUrl(pageData.url, rules);
+    const url = canonicalizeUrl(pageData.url, rules, pageData.page_meta?.canonicalUrl);
+    const domain = canonicalDomain(url) || pageData.domain || '';
+
     // Check if this URL already exists to determine if it's a new page
     let isNewPage = false;
     try {
-      const existingPage = await this.db.query('SELECT id FROM pages WHERE url = $1 LIMIT 1', [pageData.url]);
+      const existingPage = await this.db.query('SELECT id FROM pages WHERE url = $1 LIMIT 1', [url]);
       isNewPage = existingPage.rows.length === 0;
     } catch (error) {
       console.warn('[DB] Failed to check existing page:', error);
@@ -605,27 +1307,39 @@ class DatabaseWrapper {
       // Convert Float32Array to PostgreSQL array format
       const embeddingArray = `[${Array.from(pageData.embedding).join(',')}]`;
       const normalizedSummary = typeof pageData.summary === 'string' ? pageData.summary : null;
+      const fingerprint = simhash(pageData.content_text) || '';
 
       // Use PostgreSQL UPSERT (INSERT ... ON CONFLICT)
       const result = await this.db.query(`
         INSERT INTO pages (
           url, domain, title, content_text, summary, favicon_url,
-          first_visit_at, last_visit_at, visit_count, embedding
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10::vector)
+          first_visit_at, last_visit_at, visit_count, embedding, headings, extraction_quality,
+          page_meta, published_at, author, content_simhash
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10::vector, $11, $12, $13, $14, $15, $16)
         ON CONFLICT (url) DO UPDATE SET
           title = EXCLUDED.title,
           content_text = EXCLUDED.content_text,
+          headings = EXCLUDED.headings,
+          extraction_quality = EXCLUDED.extraction_quality,
+          page_meta = COALESCE(EXCLUDED.page_meta, pages.page_meta),
+          published_at = COALESCE(EXCLUDED.published_at, pages.published_at),
+          author = COALESCE(EXCLUDED.author, pages.author),
+          content_simhash = EXCLUDED.content_simhash,
+          chunks_indexed_at = CASE
+            WHEN pages.content_text IS DISTINCT FROM EXCLUDED.content_text THEN NULL
+            ELSE pages.chunks_indexed_at
+          END,
           summary = EXCLUDED.summary,
           domain = EXCLUDED.domain,
-          favicon_url = EXCLUDED.favicon_url,
-          last_visit_at = EXCLUDED.last_visit_at,
-          visit_count = pages.visit_count + 1,
+          favicon_url = COALESCE(NULLIF(EXCLUDED.favicon_url, ''), pages.favicon_url),
+          last_visit_at = GREATEST(pages.last_visit_at, EXCLUDED.last_visit_at),
+          visit_count = GREATEST(pages.visit_count, EXCLUDED.visit_count),
           embedding = EXCLUDED.embedding,
           updated_at = CURRENT_TIMESTAMP
         RETURNING id
       `, [
-        pageData.url || '',
-        pageData.domain || '',
+        url || '',
+        domain,
         pageData.title || '',
         pageData.content_text || '',
         normalizedSummary,
@@ -633,39 +1347,464 @@ class DatabaseWrapper {
         pageData.first_visit_at,
         pageData.last_visit_at,
         pageData.visit_count || 1,
-        embeddingArray
+        embeddingArray,
+        Array.isArray(pageData.headings) ? pageData.headings : null,
+        pageData.extraction_quality ?? null,
+        pageData.page_meta ? JSON.stringify(pageData.page_meta) : null,
+        pageData.published_at ?? null,
+        pageData.author ?? null,
+        fingerprint
       ]);
 
       const insertedId = result.rows[0]?.id;
       logger.debug(`[DB] Page ${isNewPage ? 'inserted' : 'updated'} successfully with ID: ${insertedId}`);
 
-      return { id: insertedId, isNew: isNewPage };
+      await this.addPageUrls(insertedId, [pageData.url, visitedUrl], url);
+      await this.linkVisits(insertedId, [url, visitedUrl], pageData.last_visit_at);
+      await this.assignDuplicateGroup(insertedId, embeddingArray, fingerprint);
+
+      return { id: insertedId, isNew: isNewPage, url };
     } catch (error) {
       console.error('[DB] Insert page failed:', error);
       throw error;
     }
   }
 
+  async getPagesNeedingChunks(limit, excludeIds = []) {
+    const result = await this.db.query(`
+      SELECT id, url, title, content_text
+      FROM pages
+      WHERE chunks_indexed_at IS NULL AND NOT (id = ANY($2::int[]))
+      ORDER BY last_visit_at DESC NULLS LAST
+      LIMIT $1
+    `, [limit, excludeIds]);
+    return result.rows;
+  }
+
+  // Swap a page's passages for a freshly computed set. The page is only marked done if its
+  // content is still what was chunked; otherwise the next pass picks it up again.
+  async replacePageChunks(pageId, contentText, chunks) {
+    await this.db.transaction(async (tx) => {
+      await tx.query('DELETE FROM page_chunks WHERE page_id = $1', [pageId]);
+      for (const chunk of chunks) {
+        await tx.query(
+          'INSERT INTO page_chunks (page_id, chunk_index, content, embedding) VALUES ($1, $2, $3, $4::vector)',
+          [pageId, chunk.index, chunk.content, `[${Array.from(chunk.embedding).join(',')}]`]
+        );
+      }
+      await tx.query(
+        'UPDATE pages SET chunks_indexed_at = $2 WHERE id = $1 AND content_text IS NOT DISTINCT FROM $3',
+        [pageId, Date.now(), contentText]
+      );
+    });
+  }
+
+  // Put a page in the group of its nearest near-duplicate, or in no group when it has none
+  async assignDuplicateGroup(pageId, embeddingArray, fingerprint) {
+    if (!pageId) return null;
+
+    try {
+      let groupId = null;
+      if (fingerprint) {
+        const result = await this.db.query(`
+          SELECT id, content_simhash, duplicate_group_id, embedding <=> $1::vector AS distance
+          FROM pages
+          WHERE id <> $2 AND embedding IS NOT NULL AND content_simhash <> ''
+          ORDER BY embedding <=> $1::vector
+          LIMIT $3
+        `, [embeddingArray, pageId, NEAR_DUPLICATE_CANDIDATES]);
+
+        const match = result.rows.find(row =>
+          row.distance <= NEAR_DUPLICATE_MAX_DISTANCE &&
+          hammingDistance(fingerprint, row.content_simhash) <= NEAR_DUPLICATE_MAX_HAMMING
+        );
+        if (match) {
+          groupId = match.duplicate_group_id ?? match.id;
+          if (match.duplicate_group_id == null) {
+            await this.db.query('UPDATE pages SET duplicate_group_id = $1 WHERE id = $1', [match.id]);
+          }
+        }
+      }
+
+      await this.db.query('UPDATE pages SET duplicate_group_id = $2 WHERE id = $1', [pageId, groupId]);
+      return groupId;
+    } catch (error) {
+      console.warn('[DB] Failed to assign duplicate group:', error);
+      return null;
+    }
+  }
+
+  // Fingerprint and group pages that have no SimHash yet, oldest first, so each page is
+  // compared with everything indexed before it. Pages still waiting for an embedding are
+  // left to updatePageEmbedding.
+  async groupNearDuplicates() {
+    const counts = { fingerprinted: 0, grouped: 0 };
+    while (true) {
+      const result = await this.db.query(`
+        SELECT id, content_text, embedding::text AS embedding
+        FROM pages
+        WHERE content_simhash IS NULL AND embedding IS NOT NULL
+        ORDER BY id
+        LIMIT 100
+      `);
+      if (result.rows.length === 0) break;
+
+      for (const row of result.rows) {
+        const fingerprint = simhash(row.content_text) || '';
+        await this.db.query('UPDATE pages SET content_simhash = $2 WHERE id = $1', [row.id, fingerprint]);
+        counts.fingerprinted++;
+        if (fingerprint) {
+          const groupId = await this.assignDuplicateGroup(row.id, row.embedding, fingerprint);
+          if (groupId != null) counts.grouped++;
+        }
+      }
+    }
+    return counts;
+  }
+
+  // Keep the best-ranked page of each near-duplicate group and list the rest of the group
+  // on it, whether or not the other copies matched the query; matchedCopies counts the
+  // copies that did match, so callers can still tell how many candidates there were
+  async collapseDuplicates(results) {
+    const groupIds = [...new Set(results.map(r => r.duplicate_group_id).filter(id => id != null))];
+    if (groupIds.length === 0) return results;
+
+    const members = new Map();
+    try {
+      const result = await this.db.query(`
+        SELECT id, url, domain, title, favicon_url, last_visit_at, duplicate_group_id
+        FROM pages
+        WHERE duplicate_group_id = ANY($1::int[])
+        ORDER BY last_visit_at DESC NULLS LAST
+      `, [groupIds]);
+      for (const row of result.rows) {
+        if (!members.has(row.duplicate_group_id)) members.set(row.duplicate_group_id, []);
+        members.get(row.duplicate_group_id).push(row);
+      }
+    } catch (error) {
+      console.warn('[DB] Failed to load duplicate groups:', error);
+      return results;
+    }
+
+    const matched = new Map();
+    for (const { duplicate_group_id: groupId } of results) {
+      if (groupId != null) matched.set(groupId, (matched.get(groupId) || 0) + 1);
+    }
+
+    const seen = new Set();
+    const collapsed = [];
+    for (const result of results) {
+      const groupId = result.duplicate_group_id;
+      if (groupId != null) {
+        if (seen.has(groupId)) continue;
+        seen.add(groupId);
+        const copies = (members.get(groupId) || []).filter(row => row.id !== result.id);
+        if (copies.length > 0) {
+          collapsed.push({
+            ...result,
+            duplicateCount: copies.length,
+            duplicates: copies.slice(0, MAX_COLLAPSED_COPIES),
+            matchedCopies: matched.get(groupId) - 1
+          });
+          continue;
+        }
+      }
+      collapsed.push(result);
+    }
+    return collapsed;
+  }
+
+  // Attach visits recorded before the page was indexed, or create one if none were seen
+  async linkVisits(pageId, urls, visitAt) {
+    const [url] = urls;
+    if (!pageId || !url) return;
+
+    try {
+      await this.db.query(
+        'UPDATE visits SET page_id = $1 WHERE url = ANY($2::text[]) AND page_id IS NULL',
+        [pageId, [...new Set(urls)]]
+      );
+      await this.db.query(`
+        INSERT INTO visits (page_id, url, visit_at)
+        SELECT $1, $2, $3
+        WHERE NOT EXISTS (SELECT 1 FROM visits WHERE page_id = $1)
+        ON CONFLICT (url, visit_at) DO NOTHING
+      `, [pageId, url, Math.floor(visitAt || Date.now())]);
+    } catch (error) {
+      console.warn('[DB] Failed to link visits:', error);
+    }
+  }
+
+  async recordVisit(visit) {
+    if (!visit?.url) return { error: 'Missing URL' };
+
+    try {
+      const visitAt = Math.floor(visit.visitTime || Date.now());
+      const result = await this.db.query(`
+        INSERT INTO visits (page_id, url, visit_at, tab_id, transition_type, referrer_url)
+        VALUES ($6, $1, $2, $3, $4, $5)
+        ON CONFLICT (url, visit_at) DO NOTHING
+        RETURNING id, page_id
+      `, [
+        await canonicalPageUrl(visit.url),
+        visitAt,
+        visit.tabId ?? null,
+        visit.transitionType || null,
+        visit.referrerUrl || null,
+        await this.findPageId(visit.url)
+      ]);
+
+      const row = result.rows[0];
+      if (!row) {
+        return { success: true, duplicate: true };
+      }
+
+      // Keep the denormalized counters on pages in step for queries that still sort by them
+      if (row.page_id) {
+        await this.db.query(`
+          UPDATE pages SET
+            visit_count = visit_count + 1,
+            last_visit_at = GREATEST(last_visit_at, $2)
+          WHERE id = $1
+        `, [row.page_id, visitAt]);
+      }
+
+      return { success: true, id: row.id, pageId: row.page_id };
+    } catch (error) {
+      console.error('[DB] Record visit failed:', error);
+      return { error: error.message };
+    }
+  }
+
+  // Replace the collapsed pages counters with figures from the visits table and
+  // add the individual visit times (most recent first)
+  async attachVisitHistory(rows) {
+    const ids = rows.map(r => r.id).filter(id => id != null);
+    if (ids.length === 0) return rows;
+
+    try {
+      const result = await this.db.query(`
+        SELECT
+          page_id,
+          COUNT(*) AS visit_count,
+          MIN(visit_at) AS first_visit_at,
+          MAX(visit_at) AS last_visit_at,
+          (array_agg(visit_at ORDER BY visit_at DESC))[1:$2] AS visit_times
+        FROM visits
+        WHERE page_id = ANY($1::int[])
+        GROUP BY page_id
+      `, [ids, MAX_VISIT_TIMES]);
+
+      const byPage = new Map(result.rows.map(r => [r.page_id, r]));
+      return rows.map(row => {
+        const v = byPage.get(row.id);
+        if (!v) return row;
+        return {
+          ...row,
+          visit_count: parseInt(v.visit_count),
+          first_visit_at: Number(v.first_visit_at),
+          last_visit_at: Number(v.last_visit_at),
+          visit_times: (v.visit_times || []).map(Number)
+        };
+      });
+    } catch (error) {
+      console.warn('[DB] Failed to load visit history:', error);
+      return rows;
+    }
+  }
+
+  // Log a result opened from search or chat (sent by the background, which tracks dwell)
+  async recordSearchClick(click) {
+    if (!click?.url || !click?.query) return { error: 'Missing query or URL' };
+
+    try {
+      let domain = null;
+      try {
+        domain = new URL(click.url).hostname;
+      } catch {
+        // Keep the click without a domain
+      }
+
+      const result = await this.db.query(`
+        INSERT INTO search_clicks (query, url, domain, rank, skipped_urls, source, mode, profile_id, clicked_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id
+      `, [
+        click.query,
+        click.url,
+        domain,
+        Number.isInteger(click.rank) ? click.rank : null,
+        JSON.stringify(Array.isArray(click.skippedUrls) ? click.skippedUrls : []),
+        click.source || null,
+        click.mode || null,
+        click.profileId || null,
+        Math.floor(click.clickedAt || Date.now())
+      ]);
+
+      return { success: true, id: result.rows[0].id };
+    } catch (error) {
+      console.error('[DB] Record search click failed:', error);
+      return { error: error.message };
+    }
+  }
+
+  async updateSearchClickDwell(id, dwellMs) {
+    if (id == null || !Number.isFinite(dwellMs)) return { error: 'Missing click id or dwell time' };
+
+    try {
+      await this.db.query('UPDATE search_clicks SET dwell_ms = $2 WHERE id = $1', [id, Math.round(dwellMs)]);
+      return { success: true };
+    } catch (error) {
+      console.error('[DB] Update click dwell failed:', error);
+      return { error: error.message };
+    }
+  }
+
+  // Boosts for the candidates' URLs and domains, learned from recent clicks
+  async getClickBoosts(query, candidates) {
+    if (!candidates.length) return null;
+
+    try {
+      const urls = [...new Set(candidates.map(c => c.url).filter(Boolean))];
+      const domains = [...new Set(candidates.map(c => c.domain).filter(Boolean))];
+      const result = await this.db.query(`
+        SELECT query, url, domain, dwell_ms, skipped_urls, clicked_at
+        FROM search_clicks
+        WHERE clicked_at >= $1
+          AND (url = ANY($2::text[]) OR domain = ANY($3::text[]) OR skipped_urls ?| $2::text[])
+        ORDER BY clicked_at DESC
+        LIMIT $4
+      `, [Date.now() - CLICK_FEEDBACK_DAYS * 24 * 60 * 60 * 1000, urls, domains, MAX_FEEDBACK_CLICKS]);
+
+      if (result.rows.length === 0) return null;
+      return learnClickBoosts(result.rows, query);
+    } catch (error) {
+      console.warn('[DB] Click feedback lookup failed:', error);
+      return null;
+    }
+  }
+
+  // Translate query operator filters (see utils/query-parser.js) into SQL conditions on the
+  // given table alias. Parameters are numbered from startIndex.
+  buildFilterClause(filters, alias, startIndex) {
+    const conditions = [];
+    const params = [];
+    if (!filters) return { sql: '', params };
+
+    const param = (value) => {
+      params.push(value);
+      return `$${startIndex + params.length - 1}`;
+    };
+    const contains = (value) => `%${value.replace(/[\\%_]/g, '\\$&')}%`;
+    const fullText = `(COALESCE(${alias}.title, '') || ' ' || COALESCE(${alias}.content_text, '') || ' ' || ${alias}.url)`;
+    const siteMatch = (site) => {
+      const p = param(site);
+      return `(regexp_replace(COALESCE(${alias}.domain, ''), '^www\\.', '') = ${p} OR COALESCE(${alias}.domain, '') LIKE ('%.' || ${p}))`;
+    };
+
+    if (filters.sites?.length) {
+      conditions.push(`(${filters.sites.map(siteMatch).join(' OR ')})`);
+    }
+    for (const site of filters.excludeSites || []) {
+      conditions.push(`NOT ${siteMatch(site)}`);
+    }
+    for (const term of filters.titleTerms || []) {
+      conditions.push(`${alias}.title ILIKE ${param(contains(term))}`);
+    }
+    for (const phrase of filters.phrases || []) {
+      conditions.push(`${fullText} ILIKE ${param(contains(phrase))}`);
+    }
+    for (const phrase of filters.excludePhrases || []) {
+      conditions.push(`${fullText} NOT ILIKE ${param(contains(phrase))}`);
+    }
+    for (const term of filters.excludeTerms || []) {
+      conditions.push(`NOT COALESCE(${alias}.content_tsvector @@ plainto_tsquery('english', ${param(term)}), false)`);
+    }
+
+    // Date ranges must be satisfied by a single visit
+    if (filters.before != null || filters.after != null) {
+      const range = [];
+      if (filters.before != null) range.push(`v.visit_at < ${param(filters.before)}`);
+      if (filters.after != null) range.push(`v.visit_at >= ${param(filters.after)}`);
+      conditions.push(`EXISTS (SELECT 1 FROM visits v WHERE v.page_id = ${alias}.id AND ${range.join(' AND ')})`);
+    }
+
+    for (const author of filters.authors || []) {
+      conditions.push(`${alias}.author ILIKE ${param(contains(author))}`);
+    }
+    for (const author of filters.excludeAuthors || []) {
+      conditions.push(`COALESCE(${alias}.author, '') NOT ILIKE ${param(contains(author))}`);
+    }
+    if (filters.publishedAfter != null) conditions.push(`${alias}.published_at >= ${param(filters.publishedAfter)}`);
+    if (filters.publishedBefore != null) conditions.push(`${alias}.published_at < ${param(filters.publishedBefore)}`);
+
+    if (filters.minVisits != null || filters.maxVisits != null) {
+      const count = `(SELECT COUNT(*) FROM visits v WHERE v.page_id = ${alias}.id)`;
+      if (filters.minVisits != null) conditions.push(`${count} >= ${param(filters.minVisits)}`);
+      if (filters.maxVisits != null) conditions.push(`${count} <= ${param(filters.maxVisits)}`);
+    }
+
+    const contentType = CONTENT_TYPES[filters.contentType];
+    if (contentType) {
+      const host = `COALESCE(${alias}.domain, '')`;
+      const matches = [
+        ...contentType.domains.map(siteMatch),
+        ...contentType.hostPrefixes.map(prefix => `${host} LIKE ${param(`${prefix}%`)}`),
+        ...contentType.pathContains.map(part => `${alias}.url ILIKE ${param(contains(part))}`)
+      ];
+      conditions.push(`(${matches.join(' OR ')})`);
+    }
+
+    return {
+      sql: conditions.map(c => `AND ${c}`).join('\n          '),
+      params
+    };
+  }
+
+  // Operator-only queries (e.g. "site:github.com after:2026-09") list matching pages by recency
+  async filterPages(filters, limit, offset = 0) {
+    try {
+      const filter = this.buildFilterClause(filters, 'pages', 3);
+      const result = await this.db.query(`
+        SELECT
+          id, url, domain, title, content_text, summary, favicon_url,
+          first_visit_at, last_visit_at, visit_count, published_at, author
+        FROM pages
+        WHERE url NOT LIKE 'chrome://%'
+          AND url NOT LIKE 'chrome-extension://%'
+          ${filter.sql}
+        ORDER BY last_visit_at DESC NULLS LAST
+        LIMIT $1 OFFSET $2
+      `, [limit, offset, ...filter.params]);
+
+      return this.attachVisitHistory(result.rows);
+    } catch (error) {
+      console.error('[DB] Filter pages failed:', error);
+      return [];
+    }
+  }
 
   async search(query, options = {}) {
-    const { mode = 'hybrid-rerank', limit = 25, offset = 0 } = options;
+    const { mode = 'hybrid-rerank', limit = 25, offset = 0, filters = null } = options;
 
     // perform search
 
     switch (mode) {
       case 'text':
-        return this.textSearch(query, limit, offset);
+        return this.attachVisitHistory(await this.textSearch(query, limit, offset, filters));
       case 'vector':
-        return this.vectorSearch(options.queryEmbedding, limit, offset);
+        return this.attachVisitHistory(await this.vectorSearch(options.queryEmbedding, limit, offset, filters));
       case 'hybrid-rrf':
       case 'hybrid-rerank':
-        return this.hybridSearch(query, options.queryEmbedding, limit, offset, mode);
+        return this.hybridSearch(query, options.queryEmbedding, limit, offset, mode, filters, options.profile);
       default:
         throw new Error(`Unknown search mode: ${mode}`);
     }
   }
 
-  async textSearch(query, limit, offset = 0) {
+  async textSearch(query, limit, offset = 0, filters = null) {
+    const filter = this.buildFilterClause(filters, 'pages', 4);
+
     try {
       // Escape special characters and prepare query
       const tsQuery = query.split(' ')
@@ -676,12 +1815,20 @@ class DatabaseWrapper {
       const result = await this.db.query(`
         SELECT
           id, url, domain, title, content_text, summary, favicon_url,
-          first_visit_at, last_visit_at, visit_count,
+          first_visit_at, last_visit_at, visit_count, published_at, author, duplicate_group_id,
           ts_rank_cd(content_tsvector, query) AS text_rank_score,
           ts_rank_cd(content_tsvector, query) AS score,
-          ts_headline('english', content_text, query, 'MaxWords=32, MinWords=1, StartSel=<mark>, StopSel=</mark>') AS snippet
-        FROM pages,
-             plainto_tsquery('english', $1) AS query
+          best_chunk.content AS passage,
+          ts_headline('english', COALESCE(best_chunk.content, content_text), query, 'MaxWords=32, MinWords=1, StartSel=<mark>, StopSel=</mark>') AS snippet
+        FROM pages
+        CROSS JOIN plainto_tsquery('english', $1) AS query
+        LEFT JOIN LATERAL (
+          SELECT c.content
+          FROM page_chunks c
+          WHERE c.page_id = pages.id AND c.content_tsvector @@ query
+          ORDER BY ts_rank_cd(c.content_tsvector, query) DESC
+          LIMIT 1
+        ) best_chunk ON true
         WHERE content_tsvector @@ query
           AND url NOT LIKE 'chrome://%'
           AND url NOT LIKE 'chrome-extension://%'
@@ -692,9 +1839,10 @@ class DatabaseWrapper {
           AND url NOT LIKE 'data:%'
           AND url NOT LIKE 'blob:%'
           AND url NOT LIKE 'javascript:%'
+          ${filter.sql}
         ORDER BY text_rank_score DESC, last_visit_at DESC
         LIMIT $2 OFFSET $3
-      `, [query, limit, offset]);
+      `, [query, limit, offset, ...filter.params]);
 
       return result.rows;
     } catch (error) {
@@ -704,7 +1852,7 @@ class DatabaseWrapper {
         const result = await this.db.query(`
           SELECT
             id, url, domain, title, content_text, summary, favicon_url,
-            first_visit_at, last_visit_at, visit_count,
+            first_visit_at, last_visit_at, visit_count, published_at, author, duplicate_group_id,
             0.5 AS text_rank_score,
             content_text AS snippet
           FROM pages
@@ -718,9 +1866,10 @@ class DatabaseWrapper {
             AND url NOT LIKE 'data:%'
             AND url NOT LIKE 'blob:%'
             AND url NOT LIKE 'javascript:%'
+            ${filter.sql}
           ORDER BY last_visit_at DESC
           LIMIT $2 OFFSET $3
-        `, [`%${query}%`, limit, offset]);
+        `, [`%${query}%`, limit, offset, ...filter.params]);
 
         return result.rows;
       } catch (fallbackError) {
@@ -730,26 +1879,24 @@ class DatabaseWrapper {
     }
   }
 
-  hasVecSupport() { return true; }
-
-  async vectorSearch(queryEmbedding, limit, offset = 0) {
-    if (!queryEmbedding) {
-      throw new Error('Query embedding required for vector search');
-    }
+  // Trigram similarity on title and domain catches typos that tsvector matching misses
+  async fuzzySearch(query, limit, filters = null) {
+    if (!this.hasTrigram || !query) return [];
 
     try {
-      // Convert Float32Array to PostgreSQL array format
-      const embeddingArray = `[${Array.from(queryEmbedding).join(',')}]`;
-
+      const filter = this.buildFilterClause(filters, 'pages', 3);
       const result = await this.db.query(`
         SELECT
           id, url, domain, title, content_text, summary, favicon_url,
-          first_visit_at, last_visit_at, visit_count,
-          1 - (embedding <=> $1::vector) AS similarity,
-          1 - (embedding <=> $1::vector) AS score,
-          embedding <=> $1::vector AS distance
+          first_visit_at, last_visit_at, visit_count, published_at, author, duplicate_group_id,
+          GREATEST(
+            similarity(COALESCE(title, ''), $1),
+            word_similarity($1, COALESCE(title, '')),
+            similarity(COALESCE(domain, ''), $1)
+          ) AS fuzzy_score,
+          LEFT(content_text, 300) AS snippet
         FROM pages
-        WHERE embedding IS NOT NULL
+        WHERE (title % $1 OR $1 <% title OR domain % $1)
           AND url NOT LIKE 'chrome://%'
           AND url NOT LIKE 'chrome-extension://%'
           AND url NOT LIKE 'moz-extension://%'
@@ -759,9 +1906,145 @@ class DatabaseWrapper {
           AND url NOT LIKE 'data:%'
           AND url NOT LIKE 'blob:%'
           AND url NOT LIKE 'javascript:%'
-        ORDER BY embedding <=> $1::vector
+          ${filter.sql}
+        ORDER BY fuzzy_score DESC, last_visit_at DESC
+        LIMIT $2
+      `, [query, limit, ...filter.params]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('[DB] Fuzzy search failed:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Suggest a corrected query for terms that match nothing in the index
+   * @param {string} text - Free text of the query (operators removed)
+   * @returns {Promise<Object|null>} { text, corrections: [{ term, replacement }] } or null
+   */
+  async suggestCorrection(text) {
+    if (!this.hasTrigram || !text) return null;
+
+    try {
+      const terms = [...new Set(text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(t => t.length >= 3))];
+      const corrections = [];
+
+      for (const term of terms) {
+        // Stop words ("the") make an empty tsquery that matches nothing, so they aren't misses
+        const check = await this.db.query(`
+          SELECT numnode(q) = 0 AS stop_word, EXISTS (SELECT 1 FROM pages WHERE content_tsvector @@ q) AS hit
+          FROM plainto_tsquery('english', $1) AS q
+        `, [term]);
+        if (check.rows[0]?.stop_word || check.rows[0]?.hit) continue;
+
+        // Nearest title words by trigrams, then the fewest edits away
+        const result = await this.db.query(`
+          SELECT word, similarity(word, $1) AS sim, frequency
+          FROM search_vocabulary
+          WHERE word % $1 AND word <> $1
+          ORDER BY sim DESC, frequency DESC
+          LIMIT $2
+        `, [term, SUGGESTION_CANDIDATES]);
+
+        const maxEdits = term.length <= 4 ? 1 : MAX_SUGGESTION_EDITS;
+        const candidates = result.rows
+          .map(row => ({ ...row, edits: editDistance(term, row.word) }))
+          .filter(row => row.edits <= maxEdits)
+          .sort((a, b) => a.edits - b.edits || b.sim - a.sim || b.frequency - a.frequency);
+
+        // A title word may not be in the searchable text; only suggest words that match
+        for (const candidate of candidates) {
+          const found = await this.db.query(
+            `SELECT 1 FROM pages WHERE content_tsvector @@ plainto_tsquery('english', $1) LIMIT 1`,
+            [candidate.word]
+          );
+          if (found.rows.length > 0) {
+            corrections.push({ term, replacement: candidate.word });
+            break;
+          }
+        }
+      }
+
+      if (corrections.length === 0) return null;
+
+      let corrected = text;
+      for (const { term, replacement } of corrections) {
+        corrected = replaceTerm(corrected, term, replacement);
+      }
+      return { text: corrected, corrections };
+    } catch (error) {
+      console.warn('[DB] Suggestion lookup failed:', error);
+      return null;
+    }
+  }
+
+  hasVecSupport() { return true; }
+
+  async vectorSearch(queryEmbedding, limit, offset = 0, filters = null) {
+    if (!queryEmbedding) {
+      throw new Error('Query embedding required for vector search');
+    }
+
+    try {
+      // Convert Float32Array to PostgreSQL array format
+      const embeddingArray = `[${Array.from(queryEmbedding).join(',')}]`;
+      const filter = this.buildFilterClause(filters, 'p', 5);
+
+      // A page matches at the distance of its closest passage, or of its whole-page
+      // embedding when that is closer (or the page hasn't been chunked yet)
+      const result = await this.db.query(`
+        WITH chunk_hits AS (
+          SELECT c.page_id, c.embedding <=> $1::vector AS distance
+          FROM page_chunks c
+          JOIN pages p ON p.id = c.page_id
+          WHERE c.embedding IS NOT NULL
+            ${filter.sql}
+          ORDER BY c.embedding <=> $1::vector
+          LIMIT $4
+        ),
+        page_hits AS (
+          SELECT p.id AS page_id, p.embedding <=> $1::vector AS distance
+          FROM pages p
+          WHERE p.embedding IS NOT NULL
+            ${filter.sql}
+          ORDER BY p.embedding <=> $1::vector
+          LIMIT $4
+        ),
+        hits AS (
+          SELECT page_id, MIN(distance) AS distance
+          FROM (SELECT * FROM chunk_hits UNION ALL SELECT * FROM page_hits) h
+          GROUP BY page_id
+        )
+        SELECT
+          p.id, p.url, p.domain, p.title, p.content_text, p.summary, p.favicon_url,
+          p.first_visit_at, p.last_visit_at, p.visit_count, p.published_at, p.author, p.duplicate_group_id,
+          1 - hits.distance AS similarity,
+          1 - hits.distance AS score,
+          hits.distance AS distance,
+          best_chunk.content AS passage,
+          best_chunk.content AS snippet
+        FROM hits
+        JOIN pages p ON p.id = hits.page_id
+        LEFT JOIN LATERAL (
+          SELECT c.content
+          FROM page_chunks c
+          WHERE c.page_id = p.id AND c.embedding IS NOT NULL
+          ORDER BY c.embedding <=> $1::vector
+          LIMIT 1
+        ) best_chunk ON true
+        WHERE p.url NOT LIKE 'chrome://%'
+          AND p.url NOT LIKE 'chrome-extension://%'
+          AND p.url NOT LIKE 'moz-extension://%'
+          AND p.url NOT LIKE 'edge://%'
+          AND p.url NOT LIKE 'about:%'
+          AND p.url NOT LIKE 'file://%'
+          AND p.url NOT LIKE 'data:%'
+          AND p.url NOT LIKE 'blob:%'
+          AND p.url NOT LIKE 'javascript:%'
+        ORDER BY hits.distance
         LIMIT $2 OFFSET $3
-      `, [embeddingArray, limit, offset]);
+      `, [embeddingArray, limit, offset, Math.max((limit + offset) * 4, 100), ...filter.params]);
 
       return result.rows;
     } catch (error) {
@@ -770,26 +2053,121 @@ class DatabaseWrapper {
     }
   }
 
-  async hybridSearch(query, queryEmbedding, limit, offset, mode) {
-    // Get candidates from both search methods
-    const needed = Math.min(offset + limit, 200);
-    const candidateSize = Math.min(needed * 6, 300); // Increased candidate pool for better recall
-    const [textResults, vectorResults] = await Promise.all([
-      this.textSearch(query, candidateSize, 0),
-      this.vectorSearch(queryEmbedding, candidateSize, 0)
+  /**
+   * "More like this": nearest neighbours of an indexed page, by its whole-page embedding
+   * @param {Object} options - Configuration options
+   * @param {number} options.pageId - Source page id (or pass url)
+   * @param {string} options.url - Source page URL
+   * @param {number} options.limit - Maximum neighbours (default: 10)
+   * @param {boolean} options.excludeSameDomain - Skip pages on the source's domain
+   * @returns {Promise<Object>} { source: { id, url, domain, title }, results } or { error }
+   */
+  async findSimilarPages({ pageId = null, url = null, limit = 10, excludeSameDomain = false } = {}) {
+    if (pageId == null && !url) return { error: 'Missing page id or URL' };
+
+    try {
+      const found = await this.db.query(
+        'SELECT id, url, domain, title, duplicate_group_id, embedding::text AS embedding FROM pages WHERE id = $1',
+        [pageId ?? await this.findPageId(url)]
+      );
+      const page = found.rows[0];
+      if (!page) return { error: 'This page has not been indexed yet' };
+      if (!page.embedding) return { error: 'This page has not been embedded yet' };
+
+      const source = { id: page.id, url: page.url, domain: page.domain, title: page.title };
+      const filters = excludeSameDomain && page.domain
+        ? { excludeSites: [page.domain.toLowerCase().replace(/^www\./, '')] }
+        : null;
+
+      // The page is its own nearest neighbour and its near-duplicate copies come next;
+      // rank twice what is needed, since the other copies collapse into one result
+      const neighbours = await this.vectorSearch(JSON.parse(page.embedding), (limit + 1) * 2, 0, filters);
+      const others = neighbours.filter(row =>
+        row.id !== page.id && (page.duplicate_group_id == null || row.duplicate_group_id !== page.duplicate_group_id)
+      );
+      const results = (await this.collapseDuplicates(others))
+        .slice(0, limit)
+        .map(({ content_text, ...row }) => row);
+
+      return { source, results: await this.attachVisitHistory(results) };
+    } catch (error) {
+      console.error('[DB] Similar pages failed:', error);
+      return { error: error.message };
+    }
+  }
+
+  // An indexed page by URL, as visited or by any address that canonicalizes to it
+  async findPageByUrl(url) {
+    if (!url) return null;
+
+    try {
+      const id = await this.findPageId(url);
+      if (id == null) return null;
+      const result = await this.db.query(`
+        SELECT id, url, domain, title, summary, favicon_url, first_visit_at, last_visit_at, visit_count,
+          published_at, author
+        FROM pages
+        WHERE id = $1
+      `, [id]);
+      const rows = await this.attachVisitHistory(result.rows);
+      return rows[0] || null;
+    } catch (error) {
+      console.error('[DB] Page lookup failed:', error);
+      return null;
+    }
+  }
+
+  // Whole-page embedding neighbours only: one index scan, for lookups on every page load
+  async nearestPages(embedding, limit) {
+    try {
+      const embeddingArray = `[${Array.from(embedding).join(',')}]`;
+      const result = await this.db.query(`
+        SELECT id, url, domain, title, summary, favicon_url, last_visit_at, visit_count, published_at, author,
+          1 - (embedding <=> $1::vector) AS similarity
+        FROM pages
+        WHERE embedding IS NOT NULL
+        ORDER BY embedding <=> $1::vector
+        LIMIT $2
+      `, [embeddingArray, limit]);
+      return result.rows;
+    } catch (error) {
+      console.error('[DB] Nearest pages failed:', error);
+      return [];
+    }
+  }
+
+  async hybridSearch(query, queryEmbedding, limit, offset, mode, filters = null, profile = null) {
+    // Get candidates from both search methods; deep requests fetch at least as many as they return
+    const needed = offset + limit;
+    const candidateSize = Math.max(needed, Math.min(needed * RANKING.candidateMultiplier, RANKING.maxCandidates));
+    const [textResults, vectorResults, fuzzyResults] = await Promise.all([
+      this.textSearch(query, candidateSize, 0, filters),
+      this.vectorSearch(queryEmbedding, candidateSize, 0, filters),
+      this.fuzzySearch(query, candidateSize, filters)
     ]);
 
+    // Both branches rank twice what is needed, since near-duplicate copies collapse into one result
     if (mode === 'hybrid-rrf') {
-      const fused = this.reciprocalRankFusion(textResults, vectorResults, needed);
-      return fused.slice(offset, offset + limit);
+      const fused = this.reciprocalRankFusion(textResults, vectorResults, needed * 2, { fuzzyResults });
+      const collapsed = await this.collapseDuplicates(fused);
+      return this.attachVisitHistory(collapsed.slice(offset, offset + limit));
     } else {
-      const candidates = this.reciprocalRankFusion(textResults, vectorResults, needed * 2);
-      const reranked = this.rerankCandidates(candidates, query, textResults, vectorResults, needed);
-      return reranked.slice(offset, offset + limit);
+      // Recency and visit scores come from the visits table
+      const candidates = await this.attachVisitHistory(
+        this.reciprocalRankFusion(textResults, vectorResults, needed * 2, { fuzzyResults })
+      );
+      const clickBoosts = await this.getClickBoosts(query, candidates);
+      const reranked = this.rerankCandidates(candidates, query, textResults, vectorResults, needed * 2, {
+        fuzzyResults, profile, clickBoosts
+      });
+      const collapsed = await this.collapseDuplicates(reranked);
+      return collapsed.slice(offset, offset + limit);
     }
   }
 
-  reciprocalRankFusion(textResults, vectorResults, limit, alpha = 0.4, k = 60) {
+  reciprocalRankFusion(textResults, vectorResults, limit, {
+    alpha = RANKING.rrfAlpha, k = RANKING.rrfK, fuzzyResults = []
+  } = {}) {
     const scores = new Map();
     const docMap = new Map();
 
@@ -804,7 +2182,17 @@ class DatabaseWrapper {
     textResults.forEach((doc, index) => {
       const rrfScore = (1 - alpha) / (k + index + 1);
       scores.set(doc.id, (scores.get(doc.id) || 0) + rrfScore);
-      docMap.set(doc.id, doc);
+      // Keep the highlighted text snippet but prefer the semantically closest passage
+      const vecDoc = docMap.get(doc.id);
+      docMap.set(doc.id, vecDoc ? { ...doc, passage: vecDoc.passage || doc.passage } : doc);
+    });
+
+    // Fuzzy contribution: only adds documents the other sources missed, never replaces them
+    fuzzyResults.forEach((doc, index) => {
+      const rrfScore = RANKING.fuzzyWeight / (k + index + 1);
+      scores.set(doc.id, (scores.get(doc.id) || 0) + rrfScore);
+      const existing = docMap.get(doc.id);
+      docMap.set(doc.id, existing ? { ...existing, fuzzy_score: doc.fuzzy_score } : doc);
     });
 
     // Sort by RRF score and return documents
@@ -818,9 +2206,14 @@ class DatabaseWrapper {
       }));
   }
 
-  rerankCandidates(candidates, query, textResults, vectorResults, needCount) {
+  rerankCandidates(candidates, query, textResults, vectorResults, needCount, {
+    fuzzyResults = [], profile = null, clickBoosts = null
+  } = {}) {
+    profile = profile || DEFAULT_RANKING_PROFILE;
+
     // Normalized weighted hybrid: cosine (via distance), ts_rank text score, recency, visits
     const now = Date.now();
+    const queryWords = new Set((query || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(w => w.length >= 2));
 
     // Build maps for quick lookup
     const vecDistMap = new Map();
@@ -830,6 +2223,10 @@ class DatabaseWrapper {
     vectorResults.forEach(d => { if (d.id != null && typeof d.distance === 'number') vecDistMap.set(d.id, d.distance); });
     textResults.forEach(d => { if (d.id != null && typeof d.text_rank_score === 'number') textRankMap.set(d.id, d.text_rank_score); });
 
+    // Trigram similarity is already in [0, 1]
+    const fuzzyMap = new Map();
+    fuzzyResults.forEach(d => { if (d.id != null && typeof d.fuzzy_score === 'number') fuzzyMap.set(d.id, d.fuzzy_score); });
+
     const vecVals = Array.from(vecDistMap.values());
     const textRankVals = Array.from(textRankMap.values());
 
@@ -878,22 +2275,23 @@ class DatabaseWrapper {
     candidates.forEach(d => visitVals.push(Number(d.visit_count) || 0));
     const maxVisits = Math.max(1, ...visitVals);
 
-    // Scoring weights: normalized to 1.0 for proper blending with RRF
+    // Scoring weights from the ranking profile, normalized to 1.0 for proper blending with RRF
     // Vector and text search already capture title/domain/URL matches
-    const wVec = 0.40;      // Semantic similarity (embeddings)
-    const wTextRank = 0.30; // Lexical matching (PostgreSQL FTS)
-    const wRec = 0.20;      // Recency boost (exponential decay)
-    const wVis = 0.10;      // Visit frequency (log-scaled)
+    const { vector: wVec, text: wTextRank, recency: wRec, visits: wVis } = profile.weights;
 
     const scored = candidates.map(doc => {
       const vDist = vecDistMap.get(doc.id);
       const vScore = (typeof vDist === 'number') ? vecN.norm(vDist) : 0;
 
+      // Lexical score: a close title match counts even when the query is misspelled
       const textRank = textRankMap.get(doc.id);
-      const tScore = (typeof textRank === 'number') ? textRankN.norm(textRank) : 0;
+      const tScore = Math.max(
+        (typeof textRank === 'number') ? textRankN.norm(textRank) : 0,
+        fuzzyMap.get(doc.id) || 0
+      );
 
       const days = (now - (doc.last_visit_at || now)) / (1000 * 60 * 60 * 24);
-      const rec = Math.exp(-Math.log(2) * days / 14);
+      const rec = Math.exp(-Math.log(2) * days / profile.recencyHalfLifeDays);
 
       const vc = Number(doc.visit_count) || 0;
       const vis = Math.log(vc + 1) / Math.log(maxVisits + 1);
@@ -901,8 +2299,23 @@ class DatabaseWrapper {
       // Base score: weighted combination normalized to [0, 1]
       const base = (wVec * vScore) + (wTextRank * tScore) + (wRec * rec) + (wVis * vis);
 
-      // Blend base score (95%) with RRF score (5%) for final ranking
-      const finalScore = base > 0 ? (0.95 * base + 0.05 * (doc.rrfScore || 0)) : (doc.rrfScore || 0);
+      // Learned from clicks: the page itself counts more than its domain
+      const clickBoost = clickBoosts
+        ? 0.7 * (clickBoosts.urls.get(doc.url) || 0) + 0.3 * (clickBoosts.domains.get(doc.domain) || 0)
+        : 0;
+
+      // Blend base score with a small share of the RRF score for final ranking
+      const blended = base > 0
+        ? ((1 - RANKING.rrfBlend) * base + RANKING.rrfBlend * (doc.rrfScore || 0))
+        : (doc.rrfScore || 0);
+      // Publish date and author from page metadata, centred so undated pages lose nothing
+      const publishedDays = doc.published_at ? Math.max(0, now - Number(doc.published_at)) / (1000 * 60 * 60 * 24) : null;
+      const published = publishedDays == null ? 0 : Math.exp(-Math.log(2) * publishedDays / RANKING.publishedHalfLifeDays) - 0.5;
+      const authorWords = (doc.author || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(w => w.length >= 2);
+      const authorMatch = authorWords.length && authorWords.every(w => queryWords.has(w)) ? 1 : 0;
+
+      const finalScore = blended + RANKING.clickBoostWeight * clickBoost +
+        RANKING.publishedWeight * published + RANKING.authorMatchWeight * authorMatch;
 
       return {
         ...doc,
@@ -911,7 +2324,11 @@ class DatabaseWrapper {
         vScore,
         tScore,
         recency: rec,
-        visitsNorm: vis
+        visitsNorm: vis,
+        clickBoost,
+        published,
+        authorMatch,
+        profileId: profile.id
       };
     })
       .sort((a, b) => b.finalScore - a.finalScore)
@@ -930,7 +2347,9 @@ class DatabaseWrapper {
     const {
       mode = 'hybrid-rerank',
       limit = 25,
-      queryEmbedding
+      queryEmbedding,
+      filters,
+      profile = DEFAULT_RANKING_PROFILE
     } = options;
 
     logger.debug('[DB] Searching with keywords:', keywords);
@@ -950,7 +2369,9 @@ class DatabaseWrapper {
     const results = await this.search(vectorQuery, {
       mode,
       limit: limit * 2, // Get more results for filtering
-      queryEmbedding
+      queryEmbedding,
+      filters,
+      profile
     });
 
     // Apply keyword boosting
@@ -963,14 +2384,15 @@ class DatabaseWrapper {
         const matchCount = keywords.keywords.filter(keyword =>
           content.includes(keyword.toLowerCase())
         ).length;
-        boostScore += (matchCount / keywords.keywords.length) * 0.1;
+        boostScore += (matchCount / keywords.keywords.length) * profile.keywordBoost;
       }
 
 
       return {
         ...result,
         finalScore: (result.finalScore || result.score || 0) + boostScore,
-        keywordBoost: boostScore
+        keywordBoost: boostScore,
+        profileId: profile.id
       };
     });
 
@@ -999,6 +2421,8 @@ class DatabaseWrapper {
       return {
         pageCount: parseInt(stats.page_count),
         embeddingCount: parseInt(stats.embedding_count),
+        schemaVersion: await this.getSchemaVersion(),
+        pendingMigrations: await this.getPendingMigrations(),
         hasVecSupport: this.hasVecSupport()
       };
     } catch (error) {
@@ -1006,20 +2430,477 @@ class DatabaseWrapper {
       return {
         pageCount: 0,
         embeddingCount: 0,
+        schemaVersion: null,
+        pendingMigrations: [],
         hasVecSupport: this.hasVecSupport()
       };
     }
   }
 
+  /**
+   * Compare approximate (index) nearest neighbours with an exact scan.
+   * Stored embeddings are used as sample queries.
+   * @param {Object} options - { samples, k }
+   * @returns {Promise<Object>} { k, samples, tables: [{ table, index, rows, recall, indexUsed, indexMs, exactMs }] }
+   */
+  async checkVectorRecall({ samples = 20, k = 10 } = {}) {
+    const tables = [];
+
+    for (const { table, index, key } of VECTOR_INDEXES) {
+      const rows = parseInt((await this.db.query(
+        `SELECT COUNT(*) AS count FROM ${table} WHERE embedding IS NOT NULL`
+      )).rows[0].count);
+      if (rows === 0) {
+        tables.push({ table, index, rows, recall: null, indexUsed: false, indexMs: 0, exactMs: 0 });
+        continue;
+      }
+
+      const knn = `
+        SELECT ${key} AS key FROM ${table}
+        WHERE embedding IS NOT NULL
+        ORDER BY embedding <=> $1::vector
+        LIMIT ${k}
+      `;
+      const queries = await this.db.query(
+        `SELECT embedding::text AS embedding FROM ${table} WHERE embedding IS NOT NULL ORDER BY random() LIMIT $1`,
+        [samples]
+      );
+
+      // Small tables are often seq-scanned anyway, which makes recall trivially perfect
+      const plan = await this.db.query(`EXPLAIN ${knn}`, [queries.rows[0].embedding]);
+      const indexUsed = plan.rows.some(r => Object.values(r).join(' ').includes(index));
+
+      let found = 0;
+      let expected = 0;
+      let indexMs = 0;
+      let exactMs = 0;
+      for (const { embedding } of queries.rows) {
+        let start = performance.now();
+        const approx = await this.db.query(knn, [embedding]);
+        indexMs += performance.now() - start;
+
+        start = performance.now();
+        const exact = await this.db.transaction(async (tx) => {
+          await tx.exec('SET LOCAL enable_indexscan = off; SET LOCAL enable_bitmapscan = off;');
+          return tx.query(knn, [embedding]);
+        });
+        exactMs += performance.now() - start;
+
+        const approxKeys = new Set(approx.rows.map(r => r.key));
+        expected += exact.rows.length;
+        found += exact.rows.filter(r => approxKeys.has(r.key)).length;
+      }
+
+      tables.push({
+        table,
+        index,
+        rows,
+        recall: expected > 0 ? found / expected : null,
+        indexUsed,
+        indexMs: indexMs / queries.rows.length,
+        exactMs: exactMs / queries.rows.length
+      });
+    }
+
+    return { k, samples, tables };
+  }
+
+  async rebuildVectorIndexes() {
+    const rebuilt = [];
+    for (const { index } of VECTOR_INDEXES) {
+      const start = performance.now();
+      await this.db.exec(`REINDEX INDEX ${index}`);
+      rebuilt.push({ index, ms: Math.round(performance.now() - start) });
+    }
+    return rebuilt;
+  }
+
+  async getEvalQueries() {
+    const result = await this.db.query(`
+      SELECT id, query, expected_urls, notes, created_at, updated_at
+      FROM eval_query
+      ORDER BY created_at, id
+    `);
+    return result.rows.map(row => ({
+      ...row,
+      expected_urls: typeof row.expected_urls === 'string' ? JSON.parse(row.expected_urls) : row.expected_urls || []
+    }));
+  }
+
+  // Upsert by query text, so re-adding a query updates its expected URLs
+  async saveEvalQuery(query, expectedUrls = [], notes = null) {
+    const text = (query || '').trim();
+    const urls = [...new Set((expectedUrls || []).map(u => String(u).trim()).filter(Boolean))];
+    if (!text) throw new Error('Query is required');
+    if (urls.length === 0) throw new Error('At least one expected URL is required');
+
+    const now = Date.now();
+    const result = await this.db.query(`
+      INSERT INTO eval_query (query, expected_urls, notes, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $4)
+      ON CONFLICT (query) DO UPDATE SET
+        expected_urls = EXCLUDED.expected_urls,
+        notes = EXCLUDED.notes,
+        updated_at = EXCLUDED.updated_at
+      RETURNING id
+    `, [text, JSON.stringify(urls), notes || null, now]);
+    return result.rows[0].id;
+  }
+
+  async deleteEvalQuery(id) {
+    const result = await this.db.query('DELETE FROM eval_query WHERE id = $1', [id]);
+    return result.affectedRows || 0;
+  }
+
+  async saveEvalRun({ ranAt, label, config, metrics, details }) {
+    const result = await this.db.query(`
+      INSERT INTO eval_run (ran_at, label, config, metrics, details)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id
+    `, [ranAt, label || null, JSON.stringify(config), JSON.stringify(metrics), JSON.stringify(details)]);
+    return result.rows[0].id;
+  }
+
+  // Newest first; per-query details are left out to keep the history light
+  async getEvalRuns(limit = 20) {
+    const result = await this.db.query(`
+      SELECT id, ran_at, label, config, metrics
+      FROM eval_run
+      ORDER BY ran_at DESC
+      LIMIT $1
+    `, [limit]);
+    const parse = (value) => typeof value === 'string' ? JSON.parse(value) : value;
+    return result.rows.map(row => ({ ...row, config: parse(row.config), metrics: parse(row.metrics) }));
+  }
+
+  async countRows(table) {
+    const result = await this.db.query(`SELECT COUNT(*) AS count FROM ${table}`);
+    return parseInt(result.rows[0]?.count || 0);
+  }
+
+  // Read a table in fixed-size batches so large histories never sit in one result set
+  async exportTable(spec, onBatch) {
+    const vectorColumns = new Set(spec.vectorColumns || []);
+    const selectList = spec.select || spec.columns
+      .map(col => vectorColumns.has(col) ? `${col}::text AS ${col}` : col)
+      .join(', ');
+
+    let offset = 0;
+    while (true) {
+      const result = await this.db.query(`
+        SELECT ${selectList}
+        FROM ${spec.name}
+        ORDER BY ${spec.orderBy}
+        LIMIT $1 OFFSET $2
+      `, [BACKUP_BATCH_SIZE, offset]);
+
+      const rows = result.rows || [];
+      if (rows.length === 0) break;
+
+      // pgvector values arrive as '[0.1,0.2,...]' text, which is valid JSON
+      for (const row of rows) {
+        for (const col of vectorColumns) {
+          if (typeof row[col] === 'string') {
+            row[col] = JSON.parse(row[col]);
+          }
+        }
+      }
+
+      await onBatch(rows);
+      offset += rows.length;
+      if (rows.length < BACKUP_BATCH_SIZE) break;
+    }
+  }
+
+  async getEmbeddingDimension() {
+    // pgvector stores the declared dimension as the column's type modifier
+    const result = await this.db.query(`
+      SELECT atttypmod FROM pg_attribute
+      WHERE attrelid = 'pages'::regclass AND attname = 'embedding'
+    `);
+    const typmod = result.rows[0]?.atttypmod;
+    return typmod > 0 ? typmod : null;
+  }
+
+  async truncateBackupTables(tx) {
+    const tables = BACKUP_TABLES.map(spec => spec.name).join(', ');
+    await tx.exec(`TRUNCATE TABLE ${tables} RESTART IDENTITY CASCADE`);
+    if (this.hasTrigram) await tx.exec('TRUNCATE TABLE search_vocabulary');
+  }
+
+  async resetBackupSequences(tx) {
+    for (const table of ['pages', 'visits', 'summarization_queue', 'search_clicks', 'eval_query', 'eval_run']) {
+      await tx.query(`
+        SELECT setval(pg_get_serial_sequence('${table}', 'id'), COALESCE((SELECT MAX(id) FROM ${table}), 0) + 1, false)
+      `);
+    }
+  }
+
+  // Restore one batch of backup rows. In replace mode ids are kept; in merge mode rows are
+  // matched on their natural keys (page URL, page alias, queue URL, thread/message id, click URL and time,
+  // golden query text, evaluation run time).
+  async importBackupRows(tx, table, rows, { mode, keepEmbeddings }) {
+    const counts = { inserted: 0, merged: 0, skipped: 0 };
+    const replace = mode === 'replace';
+    const toVector = (value) => (keepEmbeddings && Array.isArray(value) && value.length === EMBEDDING_DIM)
+      ? `[${value.join(',')}]`
+      : null;
+
+    for (const row of rows) {
+      switch (table) {
+        case 'pages': {
+          // On URL conflict: add visit counts, widen the visit window, and keep the content
+          // (with its embedding) from whichever copy was visited most recently
+          const result = await tx.query(`
+            INSERT INTO pages (
+              ${replace ? 'id, ' : ''}url, domain, title, content_text, summary, favicon_url,
+              first_visit_at, last_visit_at, visit_count, embedding, created_at, updated_at,
+              headings, extraction_quality, page_meta, published_at, author
+            ) VALUES (${replace ? '$18, ' : ''}$1, $2, $3, $4, $5, $6, $7, $8, $9, $10::vector, $11, $12, $13, $14, $15, $16, $17)
+            ON CONFLICT (url) DO UPDATE SET
+              visit_count = pages.visit_count + EXCLUDED.visit_count,
+              first_visit_at = LEAST(pages.first_visit_at, EXCLUDED.first_visit_at),
+              last_visit_at = GREATEST(pages.last_visit_at, EXCLUDED.last_visit_at),
+              title = CASE WHEN EXCLUDED.last_visit_at > pages.last_visit_at THEN EXCLUDED.title ELSE pages.title END,
+              domain = CASE WHEN EXCLUDED.last_visit_at > pages.last_visit_at THEN EXCLUDED.domain ELSE pages.domain END,
+              content_text = CASE WHEN EXCLUDED.last_visit_at > pages.last_visit_at THEN EXCLUDED.content_text ELSE pages.content_text END,
+              headings = CASE WHEN EXCLUDED.last_visit_at > pages.last_visit_at THEN EXCLUDED.headings ELSE pages.headings END,
+              extraction_quality = CASE WHEN EXCLUDED.last_visit_at > pages.last_visit_at THEN EXCLUDED.extraction_quality ELSE pages.extraction_quality END,
+              page_meta = CASE WHEN EXCLUDED.last_visit_at > pages.last_visit_at THEN EXCLUDED.page_meta ELSE pages.page_meta END,
+              published_at = CASE WHEN EXCLUDED.last_visit_at > pages.last_visit_at THEN EXCLUDED.published_at ELSE pages.published_at END,
+              author = CASE WHEN EXCLUDED.last_visit_at > pages.last_visit_at THEN EXCLUDED.author ELSE pages.author END,
+              summary = CASE WHEN EXCLUDED.last_visit_at > pages.last_visit_at THEN EXCLUDED.summary ELSE pages.summary END,
+              favicon_url = CASE WHEN EXCLUDED.last_visit_at > pages.last_visit_at THEN EXCLUDED.favicon_url ELSE pages.favicon_url END,
+              embedding = CASE WHEN EXCLUDED.last_visit_at > pages.last_visit_at THEN EXCLUDED.embedding ELSE pages.embedding END,
+              chunks_indexed_at = CASE WHEN EXCLUDED.last_visit_at > pages.last_visit_at THEN NULL ELSE pages.chunks_indexed_at END
+            RETURNING (xmax = 0) AS inserted
+          `, [
+            row.url,
+            row.domain || '',
+            row.title || '',
+            row.content_text || '',
+            row.summary ?? null,
+            row.favicon_url || '',
+            row.first_visit_at ?? null,
+            row.last_visit_at ?? null,
+            row.visit_count || 1,
+            toVector(row.embedding),
+            row.created_at || new Date().toISOString(),
+            row.updated_at || new Date().toISOString(),
+            Array.isArray(row.headings) ? row.headings : null,
+            row.extraction_quality ?? null,
+            row.page_meta ? JSON.stringify(row.page_meta) : null,
+            row.published_at ?? null,
+            row.author ?? null,
+            ...(replace ? [row.id] : [])
+          ]);
+          if (result.rows[0]?.inserted) counts.inserted++; else counts.merged++;
+          break;
+        }
+
+        case 'page_urls': {
+          const result = await tx.query(`
+            INSERT INTO page_urls (url, page_id)
+            SELECT $1, id FROM pages WHERE url = $2
+            ON CONFLICT (url) DO NOTHING
+            RETURNING url
+          `, [row.url, row.page_url]);
+          if (result.rows.length > 0) counts.inserted++; else counts.skipped++;
+          break;
+        }
+
+        case 'visits': {
+          // Page ids differ between databases when merging, so re-link visits by URL
+          const result = await tx.query(`
+            INSERT INTO visits (${replace ? 'id, ' : ''}page_id, url, visit_at, tab_id, transition_type, referrer_url)
+            VALUES (
+              ${replace ? '$6, ' : ''}
+              COALESCE((SELECT id FROM pages WHERE url = $1), (SELECT page_id FROM page_urls WHERE url = $1)),
+              $1, $2, $3, $4, $5
+            )
+            ON CONFLICT (url, visit_at) DO NOTHING
+            RETURNING id
+          `, [
+            row.url,
+            row.visit_at,
+            row.tab_id ?? null,
+            row.transition_type ?? null,
+            row.referrer_url ?? null,
+            ...(replace ? [row.id] : [])
+          ]);
+          if (result.rows.length > 0) counts.inserted++; else counts.skipped++;
+          break;
+        }
+
+        case 'summarization_queue': {
+          const result = await tx.query(`
+            INSERT INTO summarization_queue (
+              ${replace ? 'id, ' : ''}url, title, domain, content_text, attempts, max_attempts, status, created_at, processed_at
+            ) VALUES (${replace ? '$10, ' : ''}$1, $2, $3, $4, $5, $6, $7, $8, $9)
+            ON CONFLICT (url) DO NOTHING
+            RETURNING id
+          `, [
+            row.url,
+            row.title || '',
+            row.domain || '',
+            row.content_text || '',
+            row.attempts || 0,
+            row.max_attempts || 3,
+            row.status || 'pending',
+            row.created_at || new Date().toISOString(),
+            row.processed_at ?? null,
+            ...(replace ? [row.id] : [])
+          ]);
+          if (result.rows.length > 0) counts.inserted++; else counts.skipped++;
+          break;
+        }
+
+        case 'chat_thread': {
+          const result = await tx.query(`
+            INSERT INTO chat_thread (id, created_at) VALUES ($1, $2)
+            ON CONFLICT (id) DO NOTHING
+            RETURNING id
+          `, [row.id, row.created_at || new Date().toISOString()]);
+          if (result.rows.length > 0) counts.inserted++; else counts.merged++;
+          break;
+        }
+
+        case 'chat_message': {
+          // Messages are merged by id, so re-importing the same backup is a no-op
+          const result = await tx.query(`
+            INSERT INTO chat_message (id, thread_id, role, content, metadata, created_at)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (id) DO NOTHING
+            RETURNING id
+          `, [
+            row.id,
+            row.thread_id,
+            row.role,
+            row.content,
+            row.metadata ? JSON.stringify(row.metadata) : null,
+            row.created_at || new Date().toISOString()
+          ]);
+          if (result.rows.length > 0) counts.inserted++; else counts.skipped++;
+          break;
+        }
+
+        case 'chat_message_embedding': {
+          const vector = toVector(row.embedding);
+          if (!vector) {
+            counts.skipped++;
+            break;
+          }
+          const result = await tx.query(`
+            INSERT INTO chat_message_embedding (message_id, embedding)
+            SELECT $1, $2::vector
+            WHERE EXISTS (SELECT 1 FROM chat_message WHERE id = $1)
+            ON CONFLICT (message_id) DO NOTHING
+            RETURNING message_id
+          `, [row.message_id, vector]);
+          if (result.rows.length > 0) counts.inserted++; else counts.skipped++;
+          break;
+        }
+
+        case 'search_clicks': {
+          const result = await tx.query(`
+            INSERT INTO search_clicks (
+              ${replace ? 'id, ' : ''}query, url, domain, rank, skipped_urls, source, mode, profile_id, clicked_at, dwell_ms
+            )
+            SELECT ${replace ? '$11, ' : ''}$1, $2, $3, $4, $5, $6, $7, $8, $9, $10
+            WHERE NOT EXISTS (SELECT 1 FROM search_clicks WHERE url = $2 AND clicked_at = $9)
+            RETURNING id
+          `, [
+            row.query || '',
+            row.url,
+            row.domain ?? null,
+            row.rank ?? null,
+            JSON.stringify(Array.isArray(row.skipped_urls) ? row.skipped_urls : []),
+            row.source ?? null,
+            row.mode ?? null,
+            row.profile_id ?? null,
+            row.clicked_at,
+            row.dwell_ms ?? null,
+            ...(replace ? [row.id] : [])
+          ]);
+          if (result.rows.length > 0) counts.inserted++; else counts.skipped++;
+          break;
+        }
+
+        case 'eval_query': {
+          // A golden query that already exists keeps its local expected URLs
+          const result = await tx.query(`
+            INSERT INTO eval_query (${replace ? 'id, ' : ''}query, expected_urls, notes, created_at, updated_at)
+            VALUES (${replace ? '$6, ' : ''}$1, $2, $3, $4, $5)
+            ON CONFLICT (query) DO NOTHING
+            RETURNING id
+          `, [
+            row.query,
+            JSON.stringify(Array.isArray(row.expected_urls) ? row.expected_urls : []),
+            row.notes ?? null,
+            row.created_at ?? null,
+            row.updated_at ?? null,
+            ...(replace ? [row.id] : [])
+          ]);
+          if (result.rows.length > 0) counts.inserted++; else counts.skipped++;
+          break;
+        }
+
+        case 'eval_run': {
+          const result = await tx.query(`
+            INSERT INTO eval_run (${replace ? 'id, ' : ''}ran_at, label, config, metrics, details)
+            SELECT ${replace ? '$6, ' : ''}$1, $2, $3, $4, $5
+            WHERE NOT EXISTS (SELECT 1 FROM eval_run WHERE ran_at = $1)
+            RETURNING id
+          `, [
+            row.ran_at,
+            row.label ?? null,
+            row.config ? JSON.stringify(row.config) : null,
+            JSON.stringify(row.metrics || {}),
+            row.details ? JSON.stringify(row.details) : null,
+            ...(replace ? [row.id] : [])
+          ]);
+          if (result.rows.length > 0) counts.inserted++; else counts.skipped++;
+          break;
+        }
+
+        default:
+          counts.skipped++;
+      }
+    }
+
+    return counts;
+  }
+
+  // A page re-embedded after import is fingerprinted and grouped here, since grouping needs
+  // its embedding
+  async updatePageEmbedding(id, embedding) {
+    const embeddingArray = `[${Array.from(embedding).join(',')}]`;
+    const result = await this.db.query(
+      'UPDATE pages SET embedding = $1::vector WHERE id = $2 RETURNING content_text, content_simhash',
+      [embeddingArray, id]
+    );
+    const page = result.rows[0];
+    if (!page) return;
+
+    const fingerprint = page.content_simhash ?? (simhash(page.content_text) || '');
+    if (page.content_simhash == null) {
+      await this.db.query('UPDATE pages SET content_simhash = $2 WHERE id = $1', [id, fingerprint]);
+    }
+    await this.assignDuplicateGroup(id, embeddingArray, fingerprint);
+  }
+
   async clear() {
     // Clear all tables
     try {
-      await this.db.exec('TRUNCATE TABLE pages RESTART IDENTITY CASCADE');
+      await this.db.exec('TRUNCATE TABLE pages, visits, search_clicks RESTART IDENTITY CASCADE');
+      if (this.hasTrigram) await this.db.exec('TRUNCATE TABLE search_vocabulary');
       await this.db.exec('VACUUM');
     } catch (error) {
       console.error('[DB] Clear database failed:', error);
       // Fallback to DELETE if TRUNCATE fails
       try {
+        await this.db.exec('DELETE FROM visits');
+        await this.db.exec('DELETE FROM search_clicks');
         await this.db.exec('DELETE FROM pages');
         await this.db.exec('VACUUM');
       } catch (fallbackError) {
@@ -1029,6 +2910,121 @@ class DatabaseWrapper {
     }
   }
 
+  async getMaintenanceJobs() {
+    const result = await this.db.query('SELECT name, status, finished_at, error FROM maintenance_jobs');
+    return result.rows;
+  }
+
+  async recordMaintenanceJob(name, status, { result = null, error = null } = {}) {
+    const now = Date.now();
+    const running = status === 'running';
+    await this.db.query(`
+      INSERT INTO maintenance_jobs (name, status, started_at, finished_at, result, error)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (name) DO UPDATE SET
+        status = EXCLUDED.status,
+        started_at = COALESCE(EXCLUDED.started_at, maintenance_jobs.started_at),
+        finished_at = EXCLUDED.finished_at,
+        result = EXCLUDED.result,
+        error = EXCLUDED.error
+    `, [name, status, running ? now : null, running ? null : now, result ? JSON.stringify(result) : null, error]);
+  }
+
+  // Fold pages whose URLs canonicalize to the same address into one row. The row already at
+  // the canonical URL is kept (else the most recently visited one); it takes over the others'
+  // visits, clicks and addresses, adds up their visit counts, and is renamed to the canonical URL.
+  async mergeDuplicatePages(rules) {
+    const result = await this.db.query(`
+      SELECT id, url, last_visit_at, page_meta->>'canonicalUrl' AS canonical_link FROM pages
+    `);
+
+    const groups = new Map();
+    for (const row of result.rows) {
+      const url = canonicalizeUrl(row.url, rules, row.canonical_link);
+      if (!groups.has(url)) groups.set(url, []);
+      groups.get(url).push(row);
+    }
+
+    // A group that fails is left as it was, so one bad page can't block the rest
+    const counts = { pages: result.rows.length, merged: 0, renamed: 0, failed: 0 };
+    for (const [url, rows] of groups) {
+      if (rows.length === 1 && rows[0].url === url) continue;
+
+      try {
+        const keep = await this.db.transaction(async (tx) => {
+          // A page outside the group can already hold the address, when its own canonical
+          // link sends it elsewhere or an earlier group was merged into it
+          let keep = rows.find(row => row.url === url);
+          if (!keep) {
+            const existing = await tx.query('SELECT id, url FROM pages WHERE url = $1', [url]);
+            keep = existing.rows[0] ||
+              rows.reduce((best, row) => Number(row.last_visit_at || 0) > Number(best.last_visit_at || 0) ? row : best);
+          }
+          const dropped = rows.filter(row => row.id !== keep.id);
+          const droppedIds = dropped.map(row => row.id);
+
+          if (droppedIds.length > 0) {
+            await tx.query('UPDATE visits SET page_id = $1 WHERE page_id = ANY($2::int[])', [keep.id, droppedIds]);
+            await tx.query(`
+              UPDATE pages SET
+                visit_count = pages.visit_count + d.visit_count,
+                first_visit_at = LEAST(pages.first_visit_at, d.first_visit_at),
+                last_visit_at = GREATEST(pages.last_visit_at, d.last_visit_at)
+              FROM (
+                SELECT COALESCE(SUM(visit_count), 0) AS visit_count,
+                  MIN(first_visit_at) AS first_visit_at, MAX(last_visit_at) AS last_visit_at
+                FROM pages WHERE id = ANY($2::int[])
+              ) d
+              WHERE pages.id = $1
+            `, [keep.id, droppedIds]);
+            await tx.query('UPDATE page_urls SET page_id = $1 WHERE page_id = ANY($2::int[])', [keep.id, droppedIds]);
+            await tx.query('DELETE FROM summarization_queue WHERE url = ANY($1::text[])', [dropped.map(row => row.url)]);
+            await tx.query('DELETE FROM pages WHERE id = ANY($1::int[])', [droppedIds]);
+          }
+
+          // The old addresses still lead to the page
+          await tx.query(`
+            INSERT INTO page_urls (url, page_id)
+            SELECT old_url, $1 FROM unnest($2::text[]) AS old_url WHERE old_url <> $3
+            ON CONFLICT (url) DO UPDATE SET page_id = EXCLUDED.page_id
+          `, [keep.id, rows.map(row => row.url), url]);
+
+          await tx.query('UPDATE search_clicks SET url = $1 WHERE url = ANY($2::text[])', [url, rows.map(row => row.url)]);
+
+          if (keep.url !== url) {
+            await tx.query(`
+              UPDATE summarization_queue SET url = $1
+              WHERE url = $2 AND NOT EXISTS (SELECT 1 FROM summarization_queue WHERE url = $1)
+            `, [url, keep.url]);
+            await tx.query('UPDATE pages SET url = $1, domain = $2 WHERE id = $3', [url, canonicalDomain(url), keep.id]);
+          }
+          return { ...keep, merged: droppedIds.length };
+        });
+
+        counts.merged += keep.merged;
+        if (keep.url !== url) counts.renamed++;
+      } catch (error) {
+        counts.failed++;
+        console.warn('[DB] Failed to merge pages for', url, error);
+      }
+    }
+
+    // Other addresses in their form under these rules, which is what lookups try
+    const aliases = await this.db.query('SELECT url, page_id FROM page_urls');
+    const renamed = aliases.rows
+      .map(alias => ({ url: canonicalizeUrl(alias.url, rules), pageId: alias.page_id }))
+      .filter((alias, i) => alias.url !== aliases.rows[i].url);
+    if (renamed.length > 0) {
+      await this.db.query(`
+        INSERT INTO page_urls (url, page_id)
+        SELECT * FROM unnest($1::text[], $2::int[])
+        ON CONFLICT (url) DO NOTHING
+      `, [renamed.map(alias => alias.url), renamed.map(alias => alias.pageId)]);
+    }
+
+    return counts;
+  }
+
   // Chat message management functions
   async ensureChatThread(threadId = 'default') {
     try {
@@ -1199,8 +3195,7 @@ async function initializeEmbeddings() {
 
   const { pipeline } = mod;
   // Start with the bundled small quantized model
-  const LOCAL_SMALL = 'Xenova/bge-small-en-v1.5-quantized';
-  embedder = await pipeline('feature-extraction', LOCAL_SMALL);
+  embedder = await pipeline('feature-extraction', LOCAL_EMBED_MODEL);
 
   embedModel = {
     initialized: true,
@@ -1211,44 +3206,80 @@ async function initializeEmbeddings() {
       return data instanceof Float32Array ? data : new Float32Array(data);
     }
   };
-  modelStatus = { using: 'local', warming: false, lastError: null };
+  modelStatus = { using: 'local', model: LOCAL_EMBED_MODEL, warming: false, lastError: null };
 }
 
 // Page ingestion
+// Page columns from the content script's metadata (see extractPageMeta in content-extractor.js)
+function pageMetaFields(meta) {
+  if (!meta) return {};
+  return {
+    page_meta: meta,
+    published_at: Number.isFinite(meta.publishedAt) ? Math.floor(meta.publishedAt) : null,
+    author: meta.author || null,
+    favicon_url: meta.favicon || ''
+  };
+}
+
+// Extractions scoring below this are login walls, error pages and navigation shells
+const MIN_EXTRACTION_QUALITY = 0.15;
+
+function nearEmptyReason(quality) {
+  return typeof quality === 'number' && quality < MIN_EXTRACTION_QUALITY
+    ? `Near-empty page (extraction quality ${quality})`
+    : null;
+}
+
 async function ingestPage(pageInfo) {
   try {
     // Use extracted content if available, otherwise fallback
     const content = pageInfo.extractedContent ? {
       title: pageInfo.extractedContent.title || pageInfo.title || 'Untitled',
       text: pageInfo.extractedContent.text || '',
-      summary: pageInfo.extractedContent.summary || null
+      summary: pageInfo.extractedContent.summary || null,
+      headings: pageInfo.extractedContent.headings || null,
+      quality: pageInfo.extractedContent.quality ?? null,
+      meta: pageInfo.extractedContent.meta || null
     } : {
       title: pageInfo.title || 'Untitled',
       text: '',
-      summary: null
+      summary: null,
+      headings: null,
+      quality: null,
+      meta: null
     };
 
+    // Pages captured with the keyboard command are indexed whatever their quality
+    const skipReason = pageInfo.forced ? null : nearEmptyReason(content.quality);
+    if (skipReason) {
+      console.log(`[INGESTION] Skipping ${pageInfo.url}: ${skipReason}`);
+      return { status: 'skipped', reason: skipReason };
+    }
+
+    // The address the page is stored under (insertPage works it out again from pageInfo.url)
+    const url = await canonicalPageUrl(pageInfo.url, content.meta?.canonicalUrl);
+    const domain = new URL(url).hostname;
+
     // Prepare summary - queue for later processing if needed
     let summary = content.summary;
     if (!summary) {
-      summary = buildFallbackSummary(content.text, content.title, pageInfo.url);
+      summary = buildFallbackSummary(content.text, content.title, url);
       // Queue for AI summarization if content is substantial
       if (content.text && content.text.trim().length > 100) {
         // Queue asynchronously without blocking ingestion
-        queueForSummarization(pageInfo.url, {
+        queueForSummarization(url, {
           text: content.text,
           title: content.title,
-          url: pageInfo.url,
-          domain: new URL(pageInfo.url).hostname
+          url,
+          domain
         }).catch(error => {
-          console.error(`[SUMMARIZATION] Failed to queue item: ${pageInfo.url}`, error);
+          console.error(`[SUMMARIZATION] Failed to queue item: ${url}`, error);
         });
       }
     }
 
     // Generate embedding for content (always create one for sqlite-vec compatibility)
     // Include title, domain, and content for better semantic matching
-    const domain = new URL(pageInfo.url).hostname;
     const textToEmbed = content.title + ' ' + domain + ' ' + content.text;
     const embedding = textToEmbed.trim().length > 0 ? await embed(textToEmbed) : await embed('webpage');
 
@@ -1265,7 +3296,10 @@ async function ingestPage(pageInfo) {
       first_visit_at: Math.floor(pageInfo.visitTime || Date.now()),
       last_visit_at: Math.floor(pageInfo.visitTime || Date.now()),
       visit_count: 1,
-      embedding: embedding
+      embedding: embedding,
+      headings: content.headings,
+      extraction_quality: content.quality,
+      ...pageMetaFields(content.meta)
     });
 
     // Notify UI if this is a new page (not just an update)
@@ -1274,7 +3308,7 @@ async function ingestPage(pageInfo) {
         await chrome.runtime.sendMessage({
           type: 'content_indexed',
           data: {
-            url: pageInfo.url,
+            url,
             title: content.title,
             domain: domain,
             isNew: true,
@@ -1288,6 +3322,9 @@ async function ingestPage(pageInfo) {
       }
     }
 
+    // Passages are embedded in the background so ingestion isn't held up by long pages
+    processChunkQueue();
+
     return { status: 'success', pageId: pageResult.id };
   } catch (error) {
     console.error('[OFFSCREEN] Failed to ingest page:', error);
@@ -1299,27 +3336,36 @@ async function ingestPage(pageInfo) {
 async function ingestCapturedContent(capturedData) {
 
   try {
+    const skipReason = nearEmptyReason(capturedData.quality);
+    if (skipReason) {
+      console.log(`[INGESTION] Skipping captured ${capturedData.url}: ${skipReason}`);
+      return { status: 'skipped', reason: skipReason };
+    }
+
+    // The address the page is stored under (insertPage works it out again from capturedData.url)
+    const url = await canonicalPageUrl(capturedData.url, capturedData.meta?.canonicalUrl);
+    const domain = extractDomain(url) || capturedData.domain;
+
     // Generate summary - queue for later processing if needed
     let summary = capturedData.summary;
     if (!summary) {
-      summary = buildFallbackSummary(capturedData.text || '', capturedData.title || '', capturedData.url);
+      summary = buildFallbackSummary(capturedData.text || '', capturedData.title || '', url);
       // Queue for AI summarization if content is substantial
       if (capturedData.text && capturedData.text.trim().length > 100) {
         // Queue asynchronously without blocking ingestion
-        queueForSummarization(capturedData.url, {
+        queueForSummarization(url, {
           text: capturedData.text,
           title: capturedData.title,
-          url: capturedData.url,
-          domain: capturedData.domain
+          url,
+          domain
         }).catch(error => {
-          console.error(`[SUMMARIZATION] Failed to queue captured item: ${capturedData.url}`, error);
+          console.error(`[SUMMARIZATION] Failed to queue captured item: ${url}`, error);
         });
       }
     }
 
     // Generate embedding
     // Include title, domain, and content for better semantic matching
-    const domain = capturedData.domain || extractDomain(capturedData.url);
     const textToEmbed = (capturedData.title || '') + ' ' + domain + ' ' + (capturedData.text || '');
     const embedding = await embed(textToEmbed);
 
@@ -1332,11 +3378,14 @@ async function ingestCapturedContent(capturedData) {
       title: capturedData.title,
       content_text: capturedData.text,
       summary: summary,
-      domain: capturedData.domain,
+      domain,
       first_visit_at: Math.floor(capturedData.timestamp || Date.now()),
       last_visit_at: Math.floor(capturedData.timestamp || Date.now()),
       visit_count: 1,
-      embedding: embedding
+      embedding: embedding,
+      headings: capturedData.headings || null,
+      extraction_quality: capturedData.quality ?? null,
+      ...pageMetaFields(capturedData.meta)
     });
 
     // Notify UI if this is a new page (including browser-only pages being indexed)
@@ -1345,9 +3394,9 @@ async function ingestCapturedContent(capturedData) {
         await chrome.runtime.sendMessage({
           type: 'content_indexed',
           data: {
-            url: capturedData.url,
+            url,
             title: capturedData.title,
-            domain: capturedData.domain,
+            domain,
             isNew: true,
             timestamp: Date.now(),
             source: 'captured',
@@ -1360,6 +3409,8 @@ async function ingestCapturedContent(capturedData) {
       }
     }
 
+    processChunkQueue();
+
     return { status: 'success', pageId: pageResult.id, source: 'captured' };
   } catch (error) {
     console.error('[OFFSCREEN] Failed to ingest captured content:', error);
@@ -1507,6 +3558,8 @@ async function ingestCapturedQueue() {
         if (result.status === 'success') {
           processed++;
           processedUrls.push(url);
+        } else if (result.status === 'skipped') {
+          processedUrls.push(url); // nothing to retry
         }
       } catch (error) {
         console.error('[OFFSCREEN] Failed to process captured item:', url, error);
@@ -1541,7 +3594,7 @@ async function getCombinedHistory({ limit = 25, offset = 0 }) {
     const pgliteResults = await db.db.query(`
       SELECT
         id, url, domain, title, content_text, summary, favicon_url,
-        first_visit_at, last_visit_at, visit_count,
+        first_visit_at, last_visit_at, visit_count, published_at, author,
         NULL as score,
         COALESCE(substring(content_text from 1 for 200), title) as snippet
       FROM pages
@@ -1563,7 +3616,7 @@ async function getCombinedHistory({ limit = 25, offset = 0 }) {
     console.log('[OFFSCREEN] PGlite results:', formattedPgliteResults.length, formattedPgliteResults.slice(0, 2));
 
     // Merge results
-    const mergedResults = mergeHistoryResults(formattedPgliteResults, browserResults);
+    const mergedResults = mergeHistoryResults(formattedPgliteResults, browserResults, await getCanonicalRules());
     console.log('[OFFSCREEN] Merged results:', mergedResults.length, mergedResults.slice(0, 2));
 
     // Apply pagination
@@ -1585,28 +3638,36 @@ async function getCombinedHistory({ limit = 25, offset = 0 }) {
 }
 
 // Helper function to merge and deduplicate results from PGlite and browser history
-function mergeHistoryResults(pgliteResults, browserResults) {
-  // Create a map keyed by URL for deduplication
+function mergeHistoryResults(pgliteResults, browserResults, rules) {
+  // Create a map keyed by canonical URL, so Chrome's copy of an indexed page with tracking
+  // parameters or a #fragment is dropped too
   const resultMap = new Map();
 
+  // Copies collapsed under a result stay collapsed rather than coming back from Chrome history
+  const collapsedUrls = new Set();
+
   // Add PGlite results first (they have priority with AI summaries)
   if (Array.isArray(pgliteResults)) {
     pgliteResults.forEach(result => {
       if (result.url) {
-        resultMap.set(result.url, {
+        resultMap.set(canonicalizeUrl(result.url, rules), {
           ...result,
           source: 'pglite',
           hasAiSummary: !!(result.summary || result.content_text)
         });
       }
+      for (const copy of result.duplicates || []) {
+        if (copy.url) collapsedUrls.add(canonicalizeUrl(copy.url, rules));
+      }
     });
   }
 
   // Add browser history results, but don't overwrite PGlite data
   if (Array.isArray(browserResults)) {
     browserResults.forEach(result => {
-      if (result.url && !resultMap.has(result.url)) {
-        resultMap.set(result.url, {
+      const key = result.url && canonicalizeUrl(result.url, rules);
+      if (key && !resultMap.has(key) && !collapsedUrls.has(key)) {
+        resultMap.set(key, {
           id: null,
           url: result.url,
           title: result.title || 'Untitled',
@@ -1662,13 +3723,13 @@ function extractDomain(url) {
 }
 
 // Browser history integration
-async function getBrowserHistory({ query = '', limit = 1000 } = {}) {
+async function getBrowserHistory({ query = '', limit = 1000, startTime, endTime } = {}) {
   try {
     // Request browser history via background script (since offscreen can't access chrome.history directly)
     console.log('[OFFSCREEN] Requesting browser history from background...');
     const response = await chrome.runtime.sendMessage({
       type: 'get-chrome-history',
-      data: { query, limit }
+      data: { query, limit, startTime, endTime }
     });
 
     console.log('[OFFSCREEN] Browser history response:', response);
@@ -1684,10 +3745,15 @@ async function getBrowserHistory({ query = '', limit = 1000 } = {}) {
   }
 }
 
-async function getBrowserHistoryWithKeywords({ query = '', keywords, limit = 1000 } = {}) {
+async function getBrowserHistoryWithKeywords({ query = '', keywords, filters = null, limit = 1000 } = {}) {
   try {
     // Get regular browser history first
-    const historyResponse = await getBrowserHistory({ query, limit });
+    const historyResponse = await getBrowserHistory({
+      query,
+      limit,
+      startTime: filters?.after ?? undefined,
+      endTime: filters?.before ?? undefined
+    });
 
     if (historyResponse.error || !historyResponse.results) {
       return historyResponse;
@@ -1695,6 +3761,16 @@ async function getBrowserHistoryWithKeywords({ query = '', keywords, limit = 100
 
     let results = historyResponse.results;
 
+    // Chrome history can't be filtered in SQL, so apply query operators here
+    if (filters) {
+      results = results.filter(item => matchesFilters({
+        url: item.url,
+        title: item.title,
+        last_visit_at: item.lastVisitTime,
+        visit_count: item.visitCount
+      }, filters));
+    }
+
     // Apply keyword filtering if provided
     if (keywords) {
       console.log('[OFFSCREEN] Applying keyword filters to browser history:', keywords);
@@ -1732,49 +3808,199 @@ async function getBrowserHistoryWithKeywords({ query = '', keywords, limit = 100
   }
 }
 
+// Replace a whole word, case-insensitively
+function replaceTerm(text, term, replacement) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return text.replace(new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}(?=$|[^\\p{L}\\p{N}])`, 'giu'), `$1${replacement}`);
+}
+
+// Edits (insertions, deletions, substitutions, swaps of neighbours) between two words
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
 // Search implementation with browser history integration
-async function search({ query, keywords, mode = 'hybrid-rerank', limit = 25, offset = 0 }) {
+async function search({
+  query, keywords, constraints, mode = 'hybrid-rerank', limit = 25, offset = 0, profileId = null, cursor = null,
+  session: useSession = true
+} = {}) {
+  try {
+    // One-off lookups (omnibox suggestions) rank only what they return and aren't cached
+    if (!useSession) {
+      const ranked = await rankSearchResults({ query, keywords, constraints, mode, profileId, limit: offset + limit });
+      if (ranked.error) return ranked;
+      return { results: ranked.results.slice(offset, offset + limit), suggestion: ranked.suggestion || null };
+    }
+
+    // Later pages come from the session created by the first one, so they never shift or repeat
+    const key = JSON.stringify([query, keywords || null, constraints || null, mode, profileId]);
+    let session = getSearchSession(cursor, key);
+    if (!session) {
+      if (cursor) {
+        logger.debug('[SEARCH] Session expired, ranking again:', cursor);
+      }
+      const ranked = await rankSearchResults({ query, keywords, constraints, mode, profileId, limit: SEARCH_SESSION_DEPTH });
+      if (ranked.error) return ranked;
+      session = createSearchSession(key, ranked, SEARCH_SESSION_DEPTH);
+    }
+
+    // Paging past what was ranked: rank deeper, keeping the results already shown in place
+    if (offset + limit > session.results.length && session.truncated && session.depth < MAX_SEARCH_SESSION_DEPTH) {
+      const deepened = await deepenSearchSession(session, { query, keywords, constraints, mode, profileId }, offset);
+      if (deepened.error) return deepened;
+    }
+
+    const results = session.results.slice(offset, offset + limit);
+    const complete = !session.truncated || session.depth >= MAX_SEARCH_SESSION_DEPTH;
+    return {
+      results,
+      suggestion: offset === 0 ? session.suggestion : null,
+      cursor: session.cursor,
+      total: session.results.length, // a lower bound when truncated
+      truncated: session.truncated,
+      exhausted: complete && offset + results.length >= session.results.length
+    };
+  } catch (error) {
+    console.error('[OFFSCREEN] Search failed:', error);
+    return { error: error.message };
+  }
+}
+
+function getSearchSession(cursor, key) {
+  const now = Date.now();
+  for (const [id, session] of searchSessions) {
+    if (now - session.createdAt > SEARCH_SESSION_TTL_MS) searchSessions.delete(id);
+  }
+
+  const session = cursor ? searchSessions.get(cursor) : null;
+  return session && session.key === key ? session : null;
+}
+
+function createSearchSession(key, { results, suggestion = null, truncated = false }, depth) {
+  // Drop the oldest session once the cache is full
+  if (searchSessions.size >= MAX_SEARCH_SESSIONS) {
+    searchSessions.delete(searchSessions.keys().next().value);
+  }
+
+  const session = {
+    cursor: crypto.randomUUID(),
+    key,
+    results: withoutContent(results),
+    suggestion,
+    depth,
+    truncated,
+    createdAt: Date.now()
+  };
+  searchSessions.set(session.cursor, session);
+  return session;
+}
+
+// Rank again with more results per source. The first `shown` results have been returned
+// already and stay as they are; the deeper ranking fills in after them.
+async function deepenSearchSession(session, params, shown) {
+  const depth = Math.min(session.depth * 4, MAX_SEARCH_SESSION_DEPTH);
+  logger.debug(`[SEARCH] Ranking ${depth} results per source for page at ${shown}`);
+  const ranked = await rankSearchResults({ ...params, limit: depth });
+  if (ranked.error) return ranked;
+
+  const kept = session.results.slice(0, shown);
+  const seen = new Set(kept.map(result => result.url));
+  session.results = [...kept, ...withoutContent(ranked.results).filter(result => !seen.has(result.url))];
+  session.depth = depth;
+  session.truncated = !!ranked.truncated;
+  return session;
+}
+
+// Full page text isn't shown in results and would make every cached session large
+function withoutContent(results) {
+  return results.map(({ content_text, ...result }) => result);
+}
+
+// Rank every result for a query, from both PGlite and browser history
+async function rankSearchResults({ query, keywords, constraints, mode, profileId, limit = SEARCH_SESSION_DEPTH }) {
   try {
+    // Operators (site:, before:, -term, ...) and structured constraints from chat
+    // (time range, domains, content type) become filters; the rest is ranked
+    const parsed = parseSearchQuery(query);
+    const searchText = parsed.text;
+    applyConstraints(parsed.filters, constraints);
+    const filters = hasActiveFilters(parsed.filters) ? parsed.filters : null;
+
     // For empty queries, return combined browser history + PGlite data
-    if (!query || query.trim().length === 0) {
-      return await getCombinedHistory({ limit, offset });
+    if (!searchText && !filters) {
+      return await getCombinedHistory({ limit: 2000 }); // all it loads: up to 1000 per source
     }
 
     logger.debug('[SEARCH] Query:', query);
+    if (filters) {
+      logger.debug('[SEARCH] Filters:', filters);
+    }
     if (keywords) {
       logger.debug('[SEARCH] Extracted keywords:', keywords);
     }
 
     // For search queries, get results from both sources
-    const [pgliteResponse, browserResponse] = await Promise.allSettled([
+    const [pgliteResponse, browserResponse, suggestionResponse] = await Promise.allSettled([
       // PGlite search with embeddings and keyword filtering
       (async () => {
-        const queryEmbedding = await embed(query);
-        return await db.searchWithKeywords(query, keywords, {
+        if (!searchText) {
+          return await db.filterPages(filters, limit, 0);
+        }
+        const [queryEmbedding, profile] = await Promise.all([embed(searchText), getRankingProfile(profileId)]);
+        return await db.searchWithKeywords(searchText, keywords, {
           mode,
-          limit: Math.ceil(limit * 1.5), // Get more results for merging
-          offset: 0, // Always start from beginning for merging
-          queryEmbedding
+          limit,
+          offset: 0,
+          queryEmbedding,
+          filters,
+          profile
         });
       })(),
       // Browser history search with keyword filtering
-      getBrowserHistoryWithKeywords({ query, keywords, limit: Math.ceil(limit * 1.5) })
+      getBrowserHistoryWithKeywords({
+        query: searchText || filters?.sites[0] || '',
+        keywords,
+        filters,
+        limit
+      }),
+      // "Did you mean" for misspelled terms
+      db.suggestCorrection(searchText)
     ]);
 
     const pgliteResults = pgliteResponse.status === 'fulfilled' ? pgliteResponse.value : [];
     const browserResults = browserResponse.status === 'fulfilled' ? browserResponse.value.results || [] : [];
 
     // Merge and deduplicate results
-    const mergedResults = mergeHistoryResults(pgliteResults, browserResults);
+    const mergedResults = mergeHistoryResults(pgliteResults, browserResults, await getCanonicalRules());
+
+    // The suggestion carries the full query so operators survive the correction
+    const correction = suggestionResponse.status === 'fulfilled' ? suggestionResponse.value : null;
+    const suggestion = correction ? {
+      text: correction.text,
+      query: correction.corrections.reduce(
+        (raw, { term, replacement }) => replaceTerm(raw, term, replacement), query
+      )
+    } : null;
 
-    // Apply pagination
-    const startIndex = offset;
-    const endIndex = startIndex + limit;
-    const paginatedResults = mergedResults.slice(startIndex, endIndex);
+    // A source that filled its limit may have more matches than were ranked; PGlite's
+    // count is taken before near-duplicate copies were collapsed into one result
+    const pgliteCandidates = pgliteResults.reduce((count, result) => count + 1 + (result.matchedCopies || 0), 0);
+    const truncated = pgliteCandidates >= limit || browserResults.length >= limit;
 
-    return { results: paginatedResults };
+    return { results: mergedResults, suggestion, truncated };
   } catch (error) {
-    console.error('[OFFSCREEN] Search failed:', error);
+    console.error('[OFFSCREEN] Ranking search results failed:', error);
     return { error: error.message };
   }
 }
@@ -1782,7 +4008,6 @@ async function search({ query, keywords, mode = 'hybrid-rerank', limit = 25, off
 // Remote warm-up: prefetch larger remote model and hot-swap when ready
 async function warmRemoteModel() {
   const { pipeline, env } = await import(chrome.runtime.getURL('lib/transformers.min.js'));
-  const REMOTE_MODEL = 'Xenova/bge-small-en-v1.5'; // 384-dim output; compatible with vec0 schema
 
   const prevCache = env.useBrowserCache;
   const prevRemote = env.allowRemoteModels;
@@ -1794,13 +4019,13 @@ async function warmRemoteModel() {
     modelStatus.warming = true;
     modelStatus.lastError = null;
 
-    const warm = await pipeline('feature-extraction', REMOTE_MODEL);
+    const warm = await pipeline('feature-extraction', REMOTE_EMBED_MODEL);
 
     // Optionally verify output dim ~384 by running a tiny embedding
     try {
       const testOut = await warm('warmup test', { pooling: 'mean', normalize: true });
       const dim = (testOut?.data || testOut)?.length || 0;
-      if (dim && dim !== 384) {
+      if (dim && dim !== EMBEDDING_DIM) {
         throw new Error(`Incompatible embedding dimension: ${dim}`);
       }
     } catch (e) {
@@ -1819,6 +4044,7 @@ async function warmRemoteModel() {
       }
     };
     modelStatus.using = 'remote';
+    modelStatus.model = REMOTE_EMBED_MODEL;
   } catch (e) {
     modelStatus.lastError = String(e?.message || e);
   } finally {
@@ -1844,6 +4070,77 @@ async function embed(text) {
   return await embedModel.embed(text);
 }
 
+// Previously visited pages close in meaning to a page's title and text (the active tab)
+async function findRelatedPages({ url = '', title = '', text = '', limit = 5 } = {}) {
+  try {
+    const input = [title, text].filter(Boolean).join('\n\n').trim();
+    if (!input) return { results: [] };
+
+    const embedding = await embed(input);
+    const current = normalizeUrlForMatch(url);
+    const rows = await db.vectorSearch(embedding, limit + 5, 0, null);
+    const results = rows
+      .filter(row => row.similarity >= RELATED_MIN_SIMILARITY && normalizeUrlForMatch(row.url) !== current)
+      .slice(0, limit)
+      .map(({ content_text, ...row }) => row);
+
+    return { results: await db.attachVisitHistory(results) };
+  } catch (error) {
+    console.error('[OFFSCREEN] Related pages failed:', error);
+    return { error: error.message };
+  }
+}
+
+// Earlier reading close to a page that just loaded. Uses the page's stored embedding
+// when it is already indexed, otherwise an embedding of its title.
+async function findRevisitMatches({ url, title = '', threshold = 0.7, limit = 10 } = {}) {
+  try {
+    if (!url) return { error: 'Missing URL' };
+
+    const pageId = await db.findPageId(url);
+    const indexed = await db.db.query(
+      'SELECT embedding::text AS embedding FROM pages WHERE id = $1 AND embedding IS NOT NULL',
+      [pageId]
+    );
+    const embedding = indexed.rows[0]
+      ? JSON.parse(indexed.rows[0].embedding)
+      : (title.trim() ? await embed(title) : null);
+    if (!embedding) return { count: 0, results: [] };
+
+    const current = normalizeUrlForMatch(url);
+    const rows = await db.nearestPages(embedding, limit + 1);
+    const results = rows
+      .filter(row => row.similarity >= threshold && row.id !== pageId && normalizeUrlForMatch(row.url) !== current)
+      .slice(0, limit);
+
+    return { count: results.length, results };
+  } catch (error) {
+    console.error('[OFFSCREEN] Revisit check failed:', error);
+    return { error: error.message };
+  }
+}
+
+// "Have I visited this?": the link's page if it is in history, and pages like it
+async function checkVisited({ url, title = '', limit = 10 } = {}) {
+  try {
+    if (!url) return { error: 'Missing URL' };
+
+    const page = await db.findPageByUrl(url);
+    const similar = await findRevisitMatches({
+      url: page?.url || url,
+      title: page?.title || title || url, // a URL's words still say something about the page
+      threshold: RELATED_MIN_SIMILARITY,
+      limit
+    });
+    if (similar.error) return similar;
+
+    return { page, similar: similar.results };
+  } catch (error) {
+    console.error('[OFFSCREEN] Visited check failed:', error);
+    return { error: error.message };
+  }
+}
+
 // Database utilities
 async function clearDatabase() {
   // Clear database
@@ -1860,6 +4157,92 @@ async function getDatabaseStats() {
   return await db.stats();
 }
 
+// Run every golden query against each search mode and store the scores
+async function runSearchEvaluation({ label = null, modes = EVAL_MODES, profileId = null } = {}) {
+  try {
+    if (!db) throw new Error('Database not initialized');
+
+    const profile = await getRankingProfile(profileId);
+
+    const queries = await db.getEvalQueries();
+    if (queries.length === 0) {
+      return { error: 'No evaluation queries saved yet' };
+    }
+
+    const startedAt = Date.now();
+    const scoresByMode = Object.fromEntries(modes.map(mode => [mode, []]));
+    const details = [];
+
+    for (const q of queries) {
+      // Same query handling as the search page, minus the Chrome history merge
+      const parsed = parseSearchQuery(q.query);
+      const filters = hasActiveFilters(parsed.filters) ? parsed.filters : null;
+      const queryEmbedding = parsed.text ? await embed(parsed.text) : null;
+      const perMode = {};
+
+      for (const mode of modes) {
+        const results = parsed.text
+          ? await db.search(parsed.text, { mode, limit: EVAL_RECALL_K, offset: 0, filters, queryEmbedding, profile })
+          : await db.filterPages(filters, EVAL_RECALL_K, 0);
+        const score = evaluateRanking(results.map(r => r.url), q.expected_urls, {
+          ndcgK: EVAL_NDCG_K,
+          recallK: EVAL_RECALL_K
+        });
+        scoresByMode[mode].push(score);
+        perMode[mode] = score;
+      }
+
+      details.push({ queryId: q.id, query: q.query, modes: perMode });
+    }
+
+    const metrics = Object.fromEntries(
+      Object.entries(scoresByMode).map(([mode, scores]) => [mode, summarizeEvaluations(scores)])
+    );
+    const run = {
+      ranAt: startedAt,
+      label,
+      config: {
+        ...RANKING,
+        profile: { id: profile.id, weights: profile.weights, recencyHalfLifeDays: profile.recencyHalfLifeDays },
+        ndcgK: EVAL_NDCG_K,
+        recallK: EVAL_RECALL_K
+      },
+      metrics,
+      details
+    };
+    const id = await db.saveEvalRun(run);
+
+    console.log(`[EVAL] ✅ Evaluated ${queries.length} queries in ${Date.now() - startedAt}ms`, metrics);
+    return { run: { id, ...run } };
+  } catch (error) {
+    console.error('[EVAL] Evaluation run failed:', error);
+    return { error: error.message };
+  }
+}
+
+// Vector index checks for the debug page
+async function checkVectorRecall(options = {}) {
+  try {
+    if (!db) throw new Error('Database not initialized');
+    return await db.checkVectorRecall(options);
+  } catch (error) {
+    console.error('[DB] Vector recall check failed:', error);
+    return { error: error.message };
+  }
+}
+
+async function rebuildVectorIndexes() {
+  try {
+    if (!db) throw new Error('Database not initialized');
+    const rebuilt = await db.rebuildVectorIndexes();
+    console.log('[DB] ✅ Rebuilt vector indexes:', rebuilt);
+    return { rebuilt };
+  } catch (error) {
+    console.error('[DB] Vector index rebuild failed:', error);
+    return { error: error.message };
+  }
+}
+
 // Utility functions for debug page
 async function executeSQL({ query, writeMode = false }) {
   // Execute SQL
@@ -1910,18 +4293,59 @@ async function clearModelCache() {
   }
 }
 
+// Build a gzipped JSON Lines archive: one manifest line, then one line per row
 async function exportDatabase() {
   try {
     if (!db) {
       throw new Error('Database not initialized');
     }
 
-    const stats = await db.stats();
+    const counts = {};
+    for (const spec of BACKUP_TABLES) {
+      counts[spec.name] = await db.countRows(spec.name);
+    }
+
+    const manifest = {
+      format: BACKUP_FORMAT,
+      formatVersion: BACKUP_FORMAT_VERSION,
+      schemaVersion: await db.getSchemaVersion(),
+      skippedMigrations: (await db.getPendingMigrations()).map(migration => migration.version),
+      embeddingModel: modelStatus.model || LOCAL_EMBED_MODEL,
+      embeddingDim: EMBEDDING_DIM,
+      exportedAt: new Date().toISOString(),
+      extensionVersion: chrome.runtime.getManifest().version,
+      tables: counts
+    };
+
+    // Each batch becomes its own Blob so the serialized strings can be released as we go
+    const parts = [new Blob([JSON.stringify({ manifest }) + '\n'])];
+    for (const spec of BACKUP_TABLES) {
+      await db.exportTable(spec, (rows) => {
+        const lines = rows.map(row => JSON.stringify({ table: spec.name, row })).join('\n') + '\n';
+        parts.push(new Blob([lines]));
+      });
+      logger.debug(`[BACKUP] Exported ${counts[spec.name]} rows from ${spec.name}`);
+    }
+
+    const raw = new Blob(parts, { type: 'application/x-ndjson' });
+    const gzipped = await new Response(
+      raw.stream().pipeThrough(new CompressionStream('gzip'))
+    ).blob();
+    const archive = new Blob([gzipped], { type: 'application/gzip' });
+
+    // Blob URLs are same-origin, so the requesting extension page can download this one directly
+    const url = URL.createObjectURL(archive);
+    setTimeout(() => URL.revokeObjectURL(url), BACKUP_URL_TTL);
+
+    const date = new Date().toISOString().slice(0, 10);
+    console.log(`[BACKUP] ✅ Archive ready: ${archive.size} bytes`, counts);
+
     return {
       success: true,
-      stats,
-      timestamp: Date.now(),
-      message: 'Database export shows stats only (full export not implemented)'
+      url,
+      filename: `history-copilot-backup-${date}.jsonl.gz`,
+      size: archive.size,
+      manifest
     };
   } catch (error) {
     console.error('[OFFSCREEN] Database export failed:', error);
@@ -1929,11 +4353,268 @@ async function exportDatabase() {
   }
 }
 
-async function importDatabase(data) {
-  return {
-    success: false,
-    error: 'Database import not implemented'
-  };
+// Read a backup archive line by line, transparently gunzipping it
+async function* readBackupLines(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to read backup archive (${response.status})`);
+  }
+
+  const blob = await response.blob();
+  const magic = new Uint8Array(await blob.slice(0, 2).arrayBuffer());
+  const isGzip = magic[0] === 0x1f && magic[1] === 0x8b;
+  const stream = isGzip ? blob.stream().pipeThrough(new DecompressionStream('gzip')) : blob.stream();
+  const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+
+  let buffered = '';
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffered += value;
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) yield JSON.parse(line);
+    }
+  }
+  if (buffered.trim()) yield JSON.parse(buffered);
+}
+
+// bge-small quantized and full-precision produce interchangeable vectors
+function embeddingModelsCompatible(a, b) {
+  const base = (model) => String(model || '').replace(/-quantized$/, '');
+  return base(a) === base(b);
+}
+
+async function importDatabase({ url, mode = 'merge', onEmbeddingMismatch = 'refuse' } = {}) {
+  if (!url) {
+    return { success: false, error: 'Missing backup archive URL' };
+  }
+
+  try {
+    if (!db) {
+      throw new Error('Database not initialized');
+    }
+    if (mode !== 'merge' && mode !== 'replace') {
+      throw new Error(`Unknown import mode: ${mode}`);
+    }
+
+    const lines = readBackupLines(url);
+    const first = await lines.next();
+    const manifest = first.value?.manifest;
+
+    if (!manifest || manifest.format !== BACKUP_FORMAT) {
+      throw new Error('Not a History Copilot backup archive');
+    }
+    if (manifest.formatVersion > BACKUP_FORMAT_VERSION || manifest.schemaVersion > SCHEMA_VERSION) {
+      throw new Error(`Backup was created by a newer version (schema ${manifest.schemaVersion}); update the extension first`);
+    }
+
+    // Embeddings are only reusable when they match the live column and the active model
+    const liveDim = await db.getEmbeddingDimension() || EMBEDDING_DIM;
+    const liveModel = modelStatus.model || LOCAL_EMBED_MODEL;
+    const dimMatches = manifest.embeddingDim === liveDim;
+    const modelMatches = embeddingModelsCompatible(manifest.embeddingModel, liveModel);
+    const keepEmbeddings = dimMatches && modelMatches;
+
+    if (!keepEmbeddings) {
+      const reason = !dimMatches
+        ? `embedding dimension ${manifest.embeddingDim} does not match vector(${liveDim})`
+        : `embedding model ${manifest.embeddingModel} does not match ${liveModel}`;
+      if (onEmbeddingMismatch !== 'reembed') {
+        throw new Error(`Import refused: ${reason}`);
+      }
+      console.warn(`[BACKUP] ${reason}; importing without embeddings and re-embedding afterwards`);
+    }
+
+    const tables = {};
+    await db.db.transaction(async (tx) => {
+      if (mode === 'replace') {
+        await db.truncateBackupTables(tx);
+      }
+
+      let batchTable = null;
+      let batch = [];
+      const flush = async () => {
+        if (!batch.length) return;
+        const counts = await db.importBackupRows(tx, batchTable, batch, { mode, keepEmbeddings });
+        const total = tables[batchTable] || (tables[batchTable] = { inserted: 0, merged: 0, skipped: 0 });
+        total.inserted += counts.inserted;
+        total.merged += counts.merged;
+        total.skipped += counts.skipped;
+        batch = [];
+      };
+
+      for await (const entry of lines) {
+        if (!entry?.table || !entry.row) continue;
+        if (entry.table !== batchTable || batch.length >= BACKUP_BATCH_SIZE) {
+          await flush();
+          batchTable = entry.table;
+        }
+        batch.push(entry.row);
+      }
+      await flush();
+
+      if (mode === 'replace') {
+        await db.resetBackupSequences(tx);
+      }
+    });
+
+    const pending = await db.db.query('SELECT COUNT(*) AS count FROM pages WHERE embedding IS NULL');
+    const reembedQueued = parseInt(pending.rows[0]?.count || 0);
+    if (reembedQueued > 0) {
+      processReembedQueue();
+    }
+    processChunkQueue();
+    // Backups from older versions may hold several URL variants of one page, and imported
+    // pages have no near-duplicate fingerprint yet
+    runMaintenanceJob('merge-duplicate-urls').then(() => runMaintenanceJob('group-near-duplicates'));
+
+    console.log(`[BACKUP] ✅ Import complete (${mode})`, tables);
+    return { success: true, mode, tables, reembedQueued, manifest };
+  } catch (error) {
+    console.error('[OFFSCREEN] Database import failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Split pages into passages and embed each one. Pages with chunks_indexed_at = NULL form
+// the queue, which covers new pages, changed content and the backfill of older pages.
+async function processChunkQueue() {
+  if (isChunking || !db) return;
+  isChunking = true;
+
+  const failedIds = [];
+  let processed = 0;
+  try {
+    while (true) {
+      const pages = await db.getPagesNeedingChunks(CHUNK_BATCH_SIZE, failedIds);
+      if (pages.length === 0) break;
+
+      for (const page of pages) {
+        try {
+          const passages = chunkText(page.content_text, {
+            size: CHUNK_SIZE,
+            overlap: CHUNK_OVERLAP,
+            maxChunks: MAX_CHUNKS_PER_PAGE
+          });
+
+          const chunks = [];
+          for (let i = 0; i < passages.length; i++) {
+            // Prefix the title so short passages keep their context
+            const embedding = await embed(`${page.title || ''}\n${passages[i]}`);
+            chunks.push({ index: i, content: passages[i], embedding });
+          }
+
+          await db.replacePageChunks(page.id, page.content_text, chunks);
+          processed++;
+        } catch (error) {
+          console.warn(`[CHUNKS] Failed to chunk ${page.url}:`, error.message);
+          failedIds.push(page.id);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('[CHUNKS] Chunk queue failed:', error);
+  } finally {
+    isChunking = false;
+    if (processed > 0) {
+      logger.debug(`[CHUNKS] Indexed passages for ${processed} pages`);
+    }
+  }
+}
+
+// Re-embed pages whose embeddings were dropped on import. The NULL embedding column is the
+// queue itself, so an interrupted run resumes on the next start.
+async function processReembedQueue() {
+  if (isReembedding || !db) return;
+  isReembedding = true;
+
+  const failedIds = [];
+  let processed = 0;
+  try {
+    while (true) {
+      const result = await db.db.query(`
+        SELECT id, url, title, domain, content_text
+        FROM pages
+        WHERE embedding IS NULL AND NOT (id = ANY($1::int[]))
+        ORDER BY last_visit_at DESC NULLS LAST
+        LIMIT 25
+      `, [failedIds]);
+
+      if (result.rows.length === 0) break;
+
+      for (const row of result.rows) {
+        try {
+          const textToEmbed = (row.title || '') + ' ' + (row.domain || '') + ' ' + (row.content_text || '');
+          const embedding = await embed(textToEmbed.trim().length > 0 ? textToEmbed : 'webpage');
+          await db.updatePageEmbedding(row.id, embedding);
+          processed++;
+        } catch (error) {
+          console.warn(`[BACKUP] Re-embed failed for ${row.url}:`, error.message);
+          failedIds.push(row.id);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('[BACKUP] Re-embed queue failed:', error);
+  } finally {
+    isReembedding = false;
+    if (processed > 0) {
+      console.log(`[BACKUP] ✅ Re-embedded ${processed} pages`);
+    }
+    if (processed >= REINDEX_AFTER_REEMBED) {
+      await rebuildVectorIndexes();
+    }
+  }
+}
+
+// Canonical form of a page URL under the current rules, preferring the page's own canonical link
+async function canonicalPageUrl(url, canonicalLink = null) {
+  return canonicalizeUrl(url, await getCanonicalRules(), canonicalLink);
+}
+
+// Run maintenance jobs that haven't completed; a failed job is tried again on the next start
+async function runMaintenanceJobs() {
+  if (!db) return;
+
+  try {
+    const jobs = await db.getMaintenanceJobs();
+    const done = new Set(jobs.filter(job => job.status === 'done').map(job => job.name));
+    for (const job of MAINTENANCE_JOBS) {
+      if (!done.has(job.name)) await runMaintenanceJob(job.name);
+    }
+  } catch (error) {
+    console.error('[MAINTENANCE] Failed to run maintenance jobs:', error);
+  }
+}
+
+function runMaintenanceJob(name) {
+  const job = MAINTENANCE_JOBS.find(j => j.name === name);
+  if (!job) return Promise.resolve({ error: `Unknown maintenance job: ${name}` });
+
+  if (!runningMaintenanceJobs.has(name)) {
+    runningMaintenanceJobs.set(name, performMaintenanceJob(job).finally(() => runningMaintenanceJobs.delete(name)));
+  }
+  return runningMaintenanceJobs.get(name);
+}
+
+async function performMaintenanceJob(job) {
+  const { name } = job;
+  try {
+    console.log(`[MAINTENANCE] Running ${name}`);
+    await db.recordMaintenanceJob(name, 'running');
+    const result = await job.run();
+    await db.recordMaintenanceJob(name, 'done', { result });
+    console.log(`[MAINTENANCE] ✅ ${name} finished`, result);
+    return { name, status: 'done', result };
+  } catch (error) {
+    console.error(`[MAINTENANCE] ${name} failed:`, error);
+    try {
+      await db.recordMaintenanceJob(name, 'failed', { error: error.message });
+    } catch { }
+    return { error: error.message };
+  }
 }
 
 // Summarization queue functions
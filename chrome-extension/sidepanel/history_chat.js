@@ -4,6 +4,8 @@
 import { aiBridge } from '../bridge/ai-bridge.js';
 import { keywordExtractor } from '../bridge/keyword-extractor.js';
 import { logger } from '../utils/logger.js';
+import { sendOffscreenRequest } from '../utils/messaging.js';
+import { takeSidePanelIntent, onSidePanelIntent } from '../utils/side-panel-intent.js';
 
 // DOM elements
 let chatMessages;
@@ -84,8 +86,11 @@ function initializeChatPage() {
   updateModelStatusChat();
   startModelWarmWatcherChat();
 
-  // Load chat history
-  loadChatHistory();
+  // Load chat history, then ask any question handed over from the context menu
+  loadChatHistory().then(async () => {
+    const intent = await takeSidePanelIntent(['chat']);
+    if (intent?.type === 'chat') askQuestion(intent.question);
+  });
 
   // Host-permissions onboarding
   setupPermissionsOnboarding();
@@ -167,6 +172,22 @@ function setupEventListeners() {
     advancedToggleChat.addEventListener('click', toggleChatSettingsDropdown);
   }
 
+  // Questions from the context menu are asked here; anything else is for the search page
+  onSidePanelIntent(async () => {
+    const intent = await takeSidePanelIntent(['chat']);
+    if (intent?.type === 'chat') {
+      askQuestion(intent.question);
+    } else if (intent) {
+      window.location.href = 'history_search.html';
+    }
+  });
+
+  // Log opened source links for click-feedback ranking
+  chatMessages.addEventListener('click', handleMessageLinkClick);
+  chatMessages.addEventListener('auxclick', (e) => {
+    if (e.button === 1) handleMessageLinkClick(e);
+  });
+
   // Close dropdown when clicking outside
   document.addEventListener('click', (e) => {
     if (!advancedToggleChat.contains(e.target) && !advancedPanelChat.contains(e.target)) {
@@ -280,6 +301,19 @@ async function handleChatSubmit(e) {
   scrollToBottom();
 }
 
+// Submit a question as if it had been typed
+function askQuestion(question) {
+  if (!question) {
+    // Keyboard shortcut: just open on chat
+    chatInput.focus();
+    return;
+  }
+  if (isGenerating) return;
+  chatInput.value = question;
+  handleInputResize();
+  chatForm.requestSubmit();
+}
+
 function addUserMessage(message) {
   const messageDiv = document.createElement('div');
   messageDiv.className = 'message user-message';
@@ -354,7 +388,14 @@ async function processChatRequest(userMessage) {
     // Step 1: Extract keywords and determine intent using Chrome AI
     console.log('[CHAT] Step 1: Analyzing query intent and extracting keywords:', userMessage);
     updateChatProgress('Waiting for Chrome AI to load...');
-    const extractedKeywords = await keywordExtractor.extractKeywords(userMessage, updateChatProgress);
+    let extractedKeywords;
+    try {
+      extractedKeywords = await keywordExtractor.extractKeywords(userMessage, updateChatProgress);
+    } catch (extractionError) {
+      // Still search (with local date-phrase parsing) when structured extraction isn't available
+      console.warn('[CHAT] Keyword extraction unavailable, using local fallback:', extractionError.message);
+      extractedKeywords = keywordExtractor.extractLocally(userMessage);
+    }
     console.log('[CHAT] Step 1 complete: Intent analysis:', {
       isSearch: extractedKeywords.is_search_query,
       keywords: extractedKeywords
@@ -413,6 +454,7 @@ async function processChatRequest(userMessage) {
         search_metadata: {
           is_search_query: true,
           keywords: extractedKeywords.keywords,
+          constraints: extractedKeywords.constraints || null,
           original_query: userMessage
         }
       };
@@ -429,20 +471,27 @@ async function processChatRequest(userMessage) {
 
 async function searchHistoryWithKeywords(extractedKeywords, originalQuery) {
   try {
-    // Use extracted keywords as the search query instead of original message
-    const keywordsQuery = extractedKeywords.keywords?.join(' ') || originalQuery;
+    // Use extracted keywords as the search query instead of original message. With no
+    // keywords but a constraint ("what did I read yesterday"), list matching pages instead.
+    const constraints = extractedKeywords.constraints;
+    const hasConstraints = !!(constraints?.time_range || constraints?.domains?.length ||
+      (constraints?.content_type && constraints.content_type !== 'any'));
+    const keywordsQuery = extractedKeywords.keywords?.join(' ') || (hasConstraints ? '' : originalQuery);
 
     logger.debug('[CHAT] Original query:', originalQuery);
     logger.debug('[CHAT] Extracted keywords:', extractedKeywords);
     logger.debug('[CHAT] Search query (keywords joined):', keywordsQuery);
+    logger.debug('[CHAT] Search constraints:', constraints);
 
-    const response = await chrome.runtime.sendMessage({
+    const response = await sendOffscreenRequest({
       target: 'offscreen',
       type: 'search',
       data: {
         query: keywordsQuery,
         // Commented out keyword boosting to match history_search.js behavior
         // keywords: extractedKeywords,
+        // Time range, domains and content type are applied as filters before ranking
+        constraints: constraints || null,
         mode: 'hybrid-rerank',
         limit: 25
       }
@@ -675,6 +724,11 @@ function formatLastVisit(timestamp) {
   }
 }
 
+// Absolute timestamp for listing individual visits
+function formatVisitDate(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
 function buildSearchContext(searchResults, quality = null) {
   console.log('[CHAT] buildSearchContext: Building context for AI with', searchResults?.length || 0, 'results');
 
@@ -744,9 +798,14 @@ function buildSearchContext(searchResults, quality = null) {
       context += `### Visit History\n${visitInfo.join(', ')}\n`;
     }
 
-    // Main content
-    if (result.summary || result.snippet) {
-      const content = result.summary || result.snippet;
+    // Every recorded visit, most recent first
+    if (Array.isArray(result.visit_times) && result.visit_times.length > 0) {
+      context += `### Visited On\n${result.visit_times.map(formatVisitDate).join('\n')}\n`;
+    }
+
+    // Main content: the passage that matched the query beats a whole-page summary
+    const content = result.passage || result.summary || result.snippet;
+    if (content) {
       context += `### Content\n${content}\n`;
     }
 
@@ -761,6 +820,32 @@ function buildSearchContext(searchResults, quality = null) {
 
 
 
+// The query a chat search ran with, as recorded in its search metadata
+function chatSearchQuery(searchMetadata) {
+  return searchMetadata?.keywords?.join(' ') || searchMetadata?.original_query || '';
+}
+
+function handleMessageLinkClick(e) {
+  const link = e.target.closest('.message-link');
+  if (!link) return;
+
+  const container = link.closest('.message-links');
+  const links = Array.from(container.querySelectorAll('.message-link'));
+  const index = links.indexOf(link);
+
+  chrome.runtime.sendMessage({
+    type: 'search-click',
+    data: {
+      query: container.dataset.query || '',
+      url: link.href,
+      rank: index + 1,
+      skippedUrls: links.slice(0, index).map(l => l.href),
+      source: 'chat',
+      mode: 'hybrid-rerank'
+    }
+  }).catch(error => logger.debug('[CHAT] Failed to log link click:', error?.message));
+}
+
 function addAssistantMessage(content, searchResults = [], searchMetadata = null) {
   const messageDiv = document.createElement('div');
   messageDiv.className = 'message assistant-message';
@@ -771,7 +856,7 @@ function addAssistantMessage(content, searchResults = [], searchMetadata = null)
   let linksHtml = '';
   if (searchResults.length > 0) {
     linksHtml = `
-      <div class="message-links">
+      <div class="message-links" data-query="${escapeHtml(chatSearchQuery(searchMetadata?.search_metadata)).replace(/"/g, '&quot;')}">
         ${searchResults.slice(0, 5).map(result => `
           <a href="${result.url}" class="message-link" target="_blank" rel="noopener noreferrer">
             <img src="${result.favicon_url || getFaviconUrl(result.url, result.domain)}" class="message-link-favicon" alt="" onerror="this.style.display='none'">
@@ -1278,7 +1363,8 @@ async function addAssistantMessageFromHistory(content, metadata = null) {
     // Re-create the extractedKeywords object to match the format expected by searchHistoryWithKeywords
     const extractedKeywords = {
       is_search_query: true,
-      keywords: metadata.search_metadata.keywords || []
+      keywords: metadata.search_metadata.keywords || [],
+      constraints: metadata.search_metadata.constraints || null
     };
 
     // Return the search promise so the caller can track completion
@@ -1289,7 +1375,7 @@ async function addAssistantMessageFromHistory(content, metadata = null) {
         // Generate links HTML if we have results
         if (searchResults.length > 0) {
           const linksHtml = `
-            <div class="message-links">
+            <div class="message-links" data-query="${escapeHtml(chatSearchQuery(metadata.search_metadata)).replace(/"/g, '&quot;')}">
               ${searchResults.slice(0, 5).map(result => `
                 <a href="${result.url}" class="message-link" target="_blank" rel="noopener noreferrer">
                   <img src="${result.favicon_url || getFaviconUrl(result.url, result.domain)}" class="message-link-favicon" alt="" onerror="this.style.display='none'">
@@ -2,6 +2,13 @@
  * AI History Search - Search Page Controller
  */
 import { logger } from '../utils/logger.js';
+import { sendOffscreenRequest } from '../utils/messaging.js';
+import { parseSearchQuery, removeOperator } from '../utils/query-parser.js';
+import {
+  DEFAULT_PROFILE_ID, getRankingProfiles, getSelectedProfileId, setSelectedProfileId,
+  saveRankingProfile, resetRankingProfile
+} from '../utils/ranking-profiles.js';
+import { takeSidePanelIntent, onSidePanelIntent } from '../utils/side-panel-intent.js';
 
 
 
@@ -17,10 +24,26 @@ let emptyState;
 let errorState;
 let resultsList;
 let loadMoreButton;
+let resultsTruncated;
 let toggleRemoteWarm;
 let toggleDebugDetails;
 let modelStatusEl;
 let processingStatus;
+let queryChips;
+let didYouMean;
+let rankingProfileSelect;
+let rankingProfileDescription;
+let editRankingProfileButton;
+let rankingProfileEditor;
+let similarToTabButton;
+let similarBanner;
+let toggleRevisitBadge;
+let toggleRevisitPageHint;
+let revisitThresholdInput;
+let revisitThresholdValue;
+let relatedSection;
+let relatedList;
+let toggleRelatedButton;
 
 // State
 let currentQuery = '';
@@ -28,8 +51,27 @@ let currentResults = [];
 let currentOffset = 0;
 let isLoading = false;
 let hasMoreResults = false;
+let truncatedTotal = null; // results shown when a search stopped before every match was ranked
+let searchCursor = null; // session token from the first page, sent with "Load More"
 let lastBatch = [];
 let isAutoLoading = false;
+let rankingProfiles = [];
+let selectedProfileId = DEFAULT_PROFILE_ID;
+let similarSource = null; // { pageId, url, title } while showing "more like this" results
+let similarOtherSitesOnly = false;
+
+// "Related to this page": refreshed when the active tab changes
+const RELATED_REFRESH_DELAY_MS = 800;
+let relatedTimer = null;
+let relatedUrl = null; // tab URL the panel currently shows neighbours for
+let relatedRequest = 0; // drops responses for a tab that is no longer active
+let relatedCollapsed = false;
+
+// Revisit hints (aiPrefs); the background applies the same defaults
+const DEFAULT_REVISIT_THRESHOLD = 0.7;
+
+// Side panel intents this page shows itself; 'chat' ones are left for the chat page
+const SEARCH_PAGE_INTENTS = ['search', 'revisit', 'visited'];
 
 // Initialize debug details preference
 window.showDebugDetails = false;
@@ -57,10 +99,26 @@ function initializeSearchPage() {
   errorState = document.getElementById('errorState');
   resultsList = document.getElementById('resultsList');
   loadMoreButton = document.getElementById('loadMoreButton');
+  resultsTruncated = document.getElementById('resultsTruncated');
   toggleRemoteWarm = document.getElementById('toggleRemoteWarm');
   toggleDebugDetails = document.getElementById('toggleDebugDetails');
   modelStatusEl = document.getElementById('modelStatus');
   processingStatus = document.getElementById('processingStatus');
+  queryChips = document.getElementById('queryChips');
+  didYouMean = document.getElementById('didYouMean');
+  rankingProfileSelect = document.getElementById('rankingProfile');
+  rankingProfileDescription = document.getElementById('rankingProfileDescription');
+  editRankingProfileButton = document.getElementById('editRankingProfile');
+  rankingProfileEditor = document.getElementById('rankingProfileEditor');
+  similarToTabButton = document.getElementById('similarToTab');
+  similarBanner = document.getElementById('similarBanner');
+  toggleRevisitBadge = document.getElementById('toggleRevisitBadge');
+  toggleRevisitPageHint = document.getElementById('toggleRevisitPageHint');
+  revisitThresholdInput = document.getElementById('revisitThreshold');
+  revisitThresholdValue = document.getElementById('revisitThresholdValue');
+  relatedSection = document.getElementById('relatedSection');
+  relatedList = document.getElementById('relatedList');
+  toggleRelatedButton = document.getElementById('toggleRelated');
 
   if (!searchInput) {
     console.error('[SEARCH] Required DOM elements not found');
@@ -73,6 +131,12 @@ function initializeSearchPage() {
   // Load saved preferences and auto-execute last search
   loadAndExecuteLastSearch();
 
+  // Ranking profiles for hybrid-rerank
+  loadRankingProfiles();
+
+  // Pages related to the active tab
+  setupRelatedPages();
+
   // Query model status on load
   updateModelStatus();
   startModelWarmWatcher();
@@ -96,9 +160,18 @@ async function loadAndExecuteLastSearch() {
   try {
     const lastQuery = await loadUserPreferences();
 
+    // Opened from the toolbar badge, the in-page hint, a context menu or the omnibox
+    const intent = await takeSidePanelIntent(SEARCH_PAGE_INTENTS);
+    if (intent) {
+      applySidePanelIntent(intent);
+      // The keyboard shortcut sends no query and still wants the last search
+      if (intent.type !== 'search' || intent.query != null) return;
+    }
+
     if (lastQuery && lastQuery.trim().length >= 2) {
       // Set the search input to the saved query
       searchInput.value = lastQuery;
+      renderQueryChips(lastQuery);
 
       // Auto-execute the search
       performSearch(lastQuery, 0, true);
@@ -174,6 +247,30 @@ function setupEventListeners() {
   // Clear search button
   clearSearchButton.addEventListener('click', handleClearSearch);
 
+  // "Pages like this tab"
+  if (similarToTabButton) {
+    similarToTabButton.addEventListener('click', handleSimilarToTab);
+  }
+
+  // Badge, context menu or omnibox used while the panel is already open
+  onSidePanelIntent(async () => {
+    const intent = await takeSidePanelIntent(SEARCH_PAGE_INTENTS);
+    if (intent) applySidePanelIntent(intent);
+  });
+
+  // Revisit hint settings
+  toggleRevisitBadge?.addEventListener('change', (e) => {
+    saveAiPrefs({ revisitBadge: !!e.target.checked }).catch(err => console.warn('[SEARCH] Failed to save revisit pref:', err));
+  });
+  toggleRevisitPageHint?.addEventListener('change', (e) => {
+    saveAiPrefs({ revisitPageHint: !!e.target.checked }).catch(err => console.warn('[SEARCH] Failed to save revisit pref:', err));
+  });
+  revisitThresholdInput?.addEventListener('input', () => renderRevisitThreshold(revisitThresholdInput.value));
+  revisitThresholdInput?.addEventListener('change', () => {
+    saveAiPrefs({ revisitThreshold: Number(revisitThresholdInput.value) })
+      .catch(err => console.warn('[SEARCH] Failed to save revisit pref:', err));
+  });
+
   // Advanced options toggle
   advancedToggle.addEventListener('click', toggleSettingsDropdown);
 
@@ -236,6 +333,16 @@ function setupEventListeners() {
     radio.addEventListener('change', handleSearchModeChange);
   });
 
+  // Ranking profile picker and editor
+  if (rankingProfileSelect) {
+    rankingProfileSelect.addEventListener('change', handleRankingProfileChange);
+  }
+  if (editRankingProfileButton) {
+    editRankingProfileButton.addEventListener('click', () => {
+      rankingProfileEditor.classList.toggle('hidden');
+    });
+  }
+
   // Load more button
   loadMoreButton.addEventListener('click', handleLoadMore);
 
@@ -277,6 +384,7 @@ function setupTabNavigation() {
 let searchTimeout;
 function handleSearchInput(e) {
   const query = e.target.value.trim();
+  renderQueryChips(query);
 
   // Clear previous timeout
   clearTimeout(searchTimeout);
@@ -312,6 +420,399 @@ function handleSearchSubmit() {
   }
 }
 
+// Show each recognised operator as a removable chip under the search box
+const CHIP_LABELS = {
+  site: 'site',
+  intitle: 'title',
+  phrase: 'phrase',
+  exclude: 'without',
+  before: 'before',
+  after: 'after',
+  visits: 'visits',
+  author: 'author',
+  published: 'published',
+  when: 'when'
+};
+
+function renderQueryChips(query) {
+  if (!queryChips) return;
+
+  const { operators, datePhrase } = parseSearchQuery(query);
+  queryChips.innerHTML = '';
+  queryChips.classList.toggle('hidden', operators.length === 0 && !datePhrase);
+
+  operators.forEach(operator => {
+    const chip = document.createElement('span');
+    chip.className = 'query-chip';
+    if (operator.negated) chip.classList.add('negated');
+
+    const label = document.createElement('span');
+    const prefix = operator.negated && operator.type !== 'exclude' ? 'not ' : '';
+    label.textContent = `${prefix}${CHIP_LABELS[operator.type] || operator.type}: ${operator.value}`;
+    chip.appendChild(label);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'query-chip-remove';
+    remove.title = 'Remove filter';
+    remove.textContent = '×';
+    remove.addEventListener('click', () => {
+      searchInput.value = removeOperator(searchInput.value, operator);
+      searchInput.dispatchEvent(new Event('input', { bubbles: true }));
+      searchInput.focus();
+    });
+    chip.appendChild(remove);
+
+    queryChips.appendChild(chip);
+  });
+
+  // A time phrase in the text is only a filter once the user opts in
+  if (datePhrase) {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'query-chip suggested';
+    chip.title = `Only show pages visited ${datePhrase.label}`;
+    chip.textContent = `+ ${CHIP_LABELS.when}: ${datePhrase.label}`;
+    chip.addEventListener('click', () => {
+      searchInput.value = datePhrase.query;
+      searchInput.dispatchEvent(new Event('input', { bubbles: true }));
+      searchInput.focus();
+    });
+    queryChips.appendChild(chip);
+  }
+}
+
+// "Did you mean" link for misspelled terms; clicking it runs the corrected query
+function renderSuggestion(suggestion) {
+  if (!didYouMean) return;
+
+  didYouMean.innerHTML = '';
+  didYouMean.classList.toggle('hidden', !suggestion);
+  if (!suggestion) return;
+
+  didYouMean.appendChild(document.createTextNode('Did you mean '));
+  const link = document.createElement('button');
+  link.type = 'button';
+  link.className = 'did-you-mean-link';
+  link.textContent = suggestion.text;
+  link.addEventListener('click', () => {
+    searchInput.value = suggestion.query;
+    searchInput.dispatchEvent(new Event('input', { bubbles: true }));
+    searchInput.focus();
+  });
+  didYouMean.appendChild(link);
+  didYouMean.appendChild(document.createTextNode('?'));
+}
+
+// "More like this": replace the results with the nearest neighbours of one page
+async function showSimilarPages(source) {
+  if (isLoading) return;
+
+  isLoading = true;
+  similarSource = source;
+  renderSuggestion(null);
+  renderSimilarBanner();
+  showLoadingState();
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      target: 'offscreen',
+      type: 'similar-pages',
+      data: {
+        pageId: source.pageId,
+        url: source.url,
+        limit: 25,
+        excludeSameDomain: similarOtherSitesOnly
+      }
+    });
+
+    if (response.error) {
+      throw new Error(response.error);
+    }
+
+    similarSource = { ...source, pageId: response.source.id, title: response.source.title || source.title };
+    renderSimilarBanner();
+
+    currentResults = response.results || [];
+    lastBatch = currentResults;
+    currentOffset = currentResults.length;
+    searchCursor = null;
+    hasMoreResults = false;
+    truncatedTotal = null;
+
+    if (currentResults.length === 0) {
+      showEmptyState(true);
+    } else {
+      displayResults();
+    }
+  } catch (error) {
+    console.error('[SEARCH] Similar pages failed:', error);
+    showErrorState(error.message);
+  } finally {
+    isLoading = false;
+  }
+}
+
+async function handleSimilarToTab() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (!tab?.url) return;
+    showSimilarPages({ url: tab.url, title: tab.title });
+  } catch (error) {
+    console.error('[SEARCH] Failed to read the active tab:', error);
+  }
+}
+
+function renderSimilarBanner() {
+  if (!similarBanner) return;
+
+  similarBanner.innerHTML = '';
+  similarBanner.classList.toggle('hidden', !similarSource);
+  if (!similarSource) return;
+
+  const label = document.createElement('span');
+  label.className = 'similar-banner-label';
+  label.textContent = similarSource.label || `Similar to ${similarSource.title || similarSource.url}`;
+  label.title = similarSource.url || '';
+
+  const back = document.createElement('button');
+  back.type = 'button';
+  back.className = 'similar-banner-back';
+  back.textContent = 'Back to results';
+  back.addEventListener('click', () => performSearch(currentQuery));
+
+  similarBanner.appendChild(label);
+
+  // Revisit and visited lists aren't neighbour searches, so there is nothing to re-query
+  if (similarSource.fixed) {
+    similarBanner.appendChild(back);
+    return;
+  }
+
+  const otherSites = document.createElement('label');
+  otherSites.className = 'similar-banner-option';
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = similarOtherSitesOnly;
+  checkbox.addEventListener('change', () => {
+    similarOtherSitesOnly = checkbox.checked;
+    showSimilarPages(similarSource);
+  });
+  otherSites.appendChild(checkbox);
+  otherSites.appendChild(document.createTextNode(' Other sites only'));
+
+  similarBanner.appendChild(otherSites);
+  similarBanner.appendChild(back);
+}
+
+function applySidePanelIntent(intent) {
+  switch (intent.type) {
+    case 'revisit':
+      showRevisitPages(intent);
+      break;
+    case 'search':
+      if (intent.query == null) {
+        // Keyboard shortcut: just open on search
+        searchInput.focus();
+        break;
+      }
+      // "See all results" from the omnibox, or a selection from the context menu
+      searchInput.value = intent.query || '';
+      renderQueryChips(searchInput.value);
+      performSearch(searchInput.value.length >= 2 ? searchInput.value : '');
+      break;
+    case 'visited':
+      showVisitedCheck(intent);
+      break;
+    case 'chat':
+      // The chat page takes the question when it loads
+      window.location.href = 'history_chat.html';
+      break;
+    default:
+      console.warn('[SEARCH] Unknown side panel intent:', intent.type);
+  }
+}
+
+function showRevisitPages(intent) {
+  similarSource = {
+    url: intent.url,
+    title: intent.title,
+    fixed: true,
+    label: `Read before, related to ${intent.title || intent.url}`
+  };
+  showPageList(intent.results || []);
+}
+
+// "Have I visited this?" for a link: the page itself if it's in history, then similar pages
+async function showVisitedCheck(intent) {
+  if (isLoading) return;
+
+  isLoading = true;
+  similarSource = { url: intent.url, title: intent.title, fixed: true, label: 'Checking your history…' };
+  renderSuggestion(null);
+  renderSimilarBanner();
+  showLoadingState();
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      target: 'offscreen',
+      type: 'check-visited',
+      data: { url: intent.url, title: intent.title, limit: 10 }
+    });
+
+    if (response.error) {
+      throw new Error(response.error);
+    }
+
+    const { page, similar = [] } = response;
+    const visits = Number(page?.visit_count) || 0;
+    similarSource.label = page
+      ? `Visited ${visits === 1 ? 'once' : `${visits} times`}, last ${formatLastVisit(page.last_visit_at)}`
+      : `Not visited yet${similar.length ? ', but you read similar pages' : ''}`;
+    renderSimilarBanner();
+
+    showPageList(page ? [page, ...similar] : similar);
+  } catch (error) {
+    console.error('[SEARCH] Visited check failed:', error);
+    showErrorState(error.message);
+  } finally {
+    isLoading = false;
+  }
+}
+
+// Show a precomputed list of pages in place of search results
+function showPageList(results) {
+  currentResults = results;
+  lastBatch = currentResults;
+  currentOffset = currentResults.length;
+  searchCursor = null;
+  hasMoreResults = false;
+  truncatedTotal = null;
+
+  if (currentResults.length === 0) {
+    showEmptyState(true);
+  } else {
+    displayResults();
+  }
+}
+
+function renderRevisitThreshold(value) {
+  if (revisitThresholdValue) {
+    revisitThresholdValue.textContent = Number(value).toFixed(2);
+  }
+}
+
+async function setupRelatedPages() {
+  if (!relatedSection) return;
+
+  try {
+    const stored = await chrome.storage.local.get(['relatedPagesCollapsed']);
+    relatedCollapsed = !!stored.relatedPagesCollapsed;
+  } catch (error) {
+    console.error('[SEARCH] Failed to load related pages preference:', error);
+  }
+
+  toggleRelatedButton?.addEventListener('click', async () => {
+    relatedCollapsed = !relatedCollapsed;
+    applyRelatedCollapsed();
+    try {
+      await chrome.storage.local.set({ relatedPagesCollapsed: relatedCollapsed });
+    } catch (error) {
+      console.error('[SEARCH] Failed to save related pages preference:', error);
+    }
+  });
+  applyRelatedCollapsed();
+
+  chrome.tabs.onActivated.addListener(scheduleRelatedRefresh);
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo.status === 'complete' && tab.active) scheduleRelatedRefresh();
+  });
+  chrome.windows.onFocusChanged.addListener(scheduleRelatedRefresh);
+
+  scheduleRelatedRefresh();
+}
+
+function scheduleRelatedRefresh() {
+  clearTimeout(relatedTimer);
+  relatedTimer = setTimeout(refreshRelatedPages, RELATED_REFRESH_DELAY_MS);
+}
+
+async function refreshRelatedPages() {
+  const request = ++relatedRequest;
+
+  try {
+    const tab = await chrome.runtime.sendMessage({ type: 'get-tab-info' });
+    if (request !== relatedRequest) return;
+
+    if (!tab || tab.error || !/^https?:/.test(tab.url)) {
+      relatedUrl = null;
+      renderRelatedPages([]);
+      return;
+    }
+    if (tab.url === relatedUrl) return;
+    relatedUrl = tab.url;
+
+    const response = await chrome.runtime.sendMessage({
+      target: 'offscreen',
+      type: 'related-pages',
+      data: { url: tab.url, title: tab.title, text: tab.text, limit: 5 }
+    });
+    if (request !== relatedRequest) return;
+
+    if (response?.error) {
+      throw new Error(response.error);
+    }
+    renderRelatedPages(response.results || []);
+  } catch (error) {
+    logger.debug('[SEARCH] Related pages unavailable:', error?.message);
+    relatedUrl = null; // try again on the next tab change
+    renderRelatedPages([]);
+  }
+}
+
+function renderRelatedPages(results) {
+  relatedList.innerHTML = '';
+  relatedSection.classList.toggle('hidden', results.length === 0);
+
+  results.forEach(result => {
+    const link = document.createElement('a');
+    link.className = 'related-item';
+    link.href = result.url;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.title = result.url;
+
+    const favicon = document.createElement('img');
+    favicon.className = 'related-favicon';
+    favicon.src = result.favicon_url || getFaviconUrl(result.url, result.domain);
+    favicon.alt = '';
+    favicon.onerror = () => { favicon.style.visibility = 'hidden'; };
+
+    const title = document.createElement('span');
+    title.className = 'related-item-title';
+    title.textContent = result.title || result.url;
+
+    const meta = document.createElement('span');
+    meta.className = 'related-item-meta';
+    meta.textContent = result.last_visit_at
+      ? `${result.domain || ''} · ${formatLastVisit(result.last_visit_at)}`
+      : result.domain || '';
+
+    link.appendChild(favicon);
+    link.appendChild(title);
+    link.appendChild(meta);
+    relatedList.appendChild(link);
+  });
+}
+
+function applyRelatedCollapsed() {
+  relatedList.classList.toggle('hidden', relatedCollapsed);
+  if (toggleRelatedButton) {
+    toggleRelatedButton.textContent = relatedCollapsed ? 'Show' : 'Hide';
+    toggleRelatedButton.setAttribute('aria-expanded', String(!relatedCollapsed));
+  }
+}
+
 function toggleSettingsDropdown() {
   const isHidden = advancedPanel.classList.contains('hidden');
 
@@ -365,6 +866,10 @@ async function performSearch(query, offset = 0, isAutoLoad = false) {
   currentQuery = query;
   isLoading = true;
   isAutoLoading = isAutoLoad;
+  if (offset === 0) {
+    similarSource = null;
+    renderSimilarBanner();
+  }
 
   // Show loading state
   if (offset === 0) {
@@ -377,8 +882,10 @@ async function performSearch(query, offset = 0, isAutoLoad = false) {
     }
 
     showLoadingState();
+    renderSuggestion(null);
     currentResults = [];
     currentOffset = 0;
+    searchCursor = null;
   } else {
     loadMoreButton.textContent = 'Loading...';
     loadMoreButton.disabled = true;
@@ -403,14 +910,16 @@ async function performSearch(query, offset = 0, isAutoLoad = false) {
     }
 
     // Send search request to offscreen document
-    const response = await chrome.runtime.sendMessage({
+    const response = await sendOffscreenRequest({
       target: 'offscreen',
       type: 'search',
       data: {
         query: query,
         mode: getSelectedSearchMode(),
+        profileId: selectedProfileId,
         limit: 25,
-        offset: offset
+        offset: offset,
+        cursor: offset > 0 ? searchCursor : null
       }
     });
 
@@ -418,12 +927,16 @@ async function performSearch(query, offset = 0, isAutoLoad = false) {
       throw new Error(response.error);
     }
 
+    // A "more like this" or revisit list was opened while this search ran
+    if (similarSource) return;
+
     const results = response.results || [];
     logger.debug('[SEARCH] Got results from offscreen:', results.length, 'first few:', results.slice(0, 3));
 
     if (offset === 0) {
       currentResults = results;
       lastBatch = results;
+      renderSuggestion(response.suggestion);
     } else {
       // Dedupe on append by id or URL
       const seen = new Set(currentResults.map(r => r.id || r.url));
@@ -432,8 +945,10 @@ async function performSearch(query, offset = 0, isAutoLoad = false) {
       lastBatch = filtered;
     }
 
-    currentOffset = currentResults.length;
-    hasMoreResults = (results.length === 25); // backend page full
+    searchCursor = response.cursor || null;
+    currentOffset = offset + results.length;
+    hasMoreResults = response.exhausted === false;
+    truncatedTotal = response.truncated && response.exhausted ? response.total : null;
 
     // Display results
     if (currentResults.length === 0 && offset === 0) {
@@ -483,6 +998,7 @@ function hideAllStates() {
   errorState.classList.add('hidden');
   resultsList.classList.add('hidden');
   loadMoreButton.classList.add('hidden');
+  resultsTruncated.classList.add('hidden');
 }
 
 function displayResults() {
@@ -516,6 +1032,10 @@ function displayResults() {
   } else {
     loadMoreButton.classList.add('hidden');
   }
+  resultsTruncated.textContent = truncatedTotal
+    ? `Showing the top ${truncatedTotal} matches. Add words or filters to see others.`
+    : '';
+  resultsTruncated.classList.toggle('hidden', !truncatedTotal);
 
   // Restore scroll position after animations complete (only on initial load, not pagination)
   if (currentOffset === (lastBatch?.length || 0)) {
@@ -553,6 +1073,10 @@ function createResultElement(result) {
   link.className = 'result-link';
   link.target = '_blank';
   link.rel = 'noopener noreferrer';
+  link.addEventListener('click', () => logResultClick(result));
+  link.addEventListener('auxclick', (e) => {
+    if (e.button === 1) logResultClick(result);
+  });
 
   // Header row container (favicon + header as siblings)
   const headerRow = document.createElement('div');
@@ -564,6 +1088,12 @@ function createResultElement(result) {
   favicon.src = result.favicon_url || getFaviconUrl(result.url, result.domain);
   favicon.alt = '';
   favicon.onerror = () => {
+    // The page's own icon may be gone; try the favicon service before the placeholder
+    if (result.favicon_url && !favicon.dataset.fallback) {
+      favicon.dataset.fallback = 'service';
+      favicon.src = getFaviconUrl(result.url, result.domain);
+      return;
+    }
     favicon.style.background = 'linear-gradient(135deg, #7dd3fc, #a78bfa)';
     favicon.src = 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="white" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M12 6v6l4 2"/></svg>';
   };
@@ -621,9 +1151,22 @@ function createResultElement(result) {
     const lastVisit = document.createElement('span');
     lastVisit.className = 'last-visit';
     lastVisit.innerHTML = `🕒 ${formatLastVisit(result.last_visit_at)}`;
+    if (Array.isArray(result.visit_times) && result.visit_times.length > 1) {
+      lastVisit.title = result.visit_times.map(t => new Date(t).toLocaleString()).join('\n');
+    }
     metadata.appendChild(lastVisit);
   }
 
+  // Publish date and author from the page's own metadata (if available)
+  if (result.published_at) {
+    const published = document.createElement('span');
+    published.className = 'published-date';
+    const date = new Date(Number(result.published_at)).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+    published.textContent = result.author ? `📅 ${date} · ${result.author}` : `📅 ${date}`;
+    published.title = 'Published';
+    metadata.appendChild(published);
+  }
+
   // Relevance indicator removed - replaced with debug details when enabled
 
   // Assemble details elements
@@ -651,9 +1194,97 @@ function createResultElement(result) {
 
   article.appendChild(link);
 
+  // Only indexed pages have an embedding to search from
+  if (result.id != null) {
+    const similarButton = document.createElement('button');
+    similarButton.type = 'button';
+    similarButton.className = 'result-similar-button';
+    similarButton.textContent = 'Similar';
+    similarButton.title = 'Find pages like this one';
+    similarButton.addEventListener('click', () => {
+      showSimilarPages({ pageId: result.id, url: result.url, title: result.title });
+    });
+    article.appendChild(similarButton);
+  }
+
+  // Near-duplicate copies the hybrid search collapsed into this result
+  if (result.duplicates?.length) {
+    article.appendChild(createDuplicateCopies(result));
+  }
+
   return article;
 }
 
+function createDuplicateCopies(result) {
+  const container = document.createElement('div');
+  container.className = 'duplicate-copies';
+
+  const count = result.duplicateCount || result.duplicates.length;
+  const label = `${count} similar ${count === 1 ? 'copy' : 'copies'}`;
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'duplicate-copies-toggle';
+  toggle.textContent = `▸ ${label}`;
+  toggle.setAttribute('aria-expanded', 'false');
+
+  const list = document.createElement('ul');
+  list.className = 'duplicate-copies-list';
+  list.hidden = true;
+
+  for (const copy of result.duplicates) {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = copy.url;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.title = copy.url;
+    link.textContent = copy.title || copy.url;
+    link.addEventListener('click', () => logResultClick(result, copy.url));
+
+    const domain = document.createElement('span');
+    domain.className = 'duplicate-copy-domain';
+    domain.textContent = copy.domain || '';
+
+    item.appendChild(link);
+    item.appendChild(domain);
+    list.appendChild(item);
+  }
+
+  toggle.addEventListener('click', () => {
+    list.hidden = !list.hidden;
+    toggle.textContent = `${list.hidden ? '▸' : '▾'} ${label}`;
+    toggle.setAttribute('aria-expanded', String(!list.hidden));
+  });
+
+  container.appendChild(toggle);
+  container.appendChild(list);
+  return container;
+}
+
+// Log an opened result for click-feedback ranking. Results ranked above it count as skipped.
+// A collapsed copy is logged at the rank of the result it was collapsed into.
+function logResultClick(result, url = result.url) {
+  // Neighbour lists aren't ranked for a query, so they say nothing about the query's ranking
+  if (similarSource) return;
+
+  const index = currentResults.indexOf(result);
+  const skippedUrls = index > 0 ? currentResults.slice(0, index).map(r => r.url) : [];
+
+  chrome.runtime.sendMessage({
+    type: 'search-click',
+    data: {
+      query: currentQuery,
+      url,
+      rank: index === -1 ? null : index + 1,
+      skippedUrls,
+      source: 'search',
+      mode: getSelectedSearchMode(),
+      profileId: selectedProfileId
+    }
+  }).catch(error => logger.debug('[SEARCH] Failed to log result click:', error?.message));
+}
+
 // Create debug details row showing scoring information
 function createDebugDetailsRow(result) {
   // Only show if debug details are enabled in preferences
@@ -716,12 +1347,21 @@ function createDebugDetailsRow(result) {
   if (result.urlBoost && result.urlBoost > 0) {
     details.push(`url+${formatScore(result.urlBoost, 2)}`);
   }
+  if (result.clickBoost) {
+    details.push(`click${result.clickBoost > 0 ? '+' : ''}${formatScore(result.clickBoost, 2)}`);
+  }
 
   // Source information
   if (result.source) {
     details.push(`src: ${result.source}`);
   }
 
+  // Ranking profile that produced the score
+  if (result.profileId) {
+    const profile = rankingProfiles.find(p => p.id === result.profileId);
+    details.push(`profile: ${profile ? profile.name : result.profileId}`);
+  }
+
   if (details.length === 0) {
     return null;
   }
@@ -852,6 +1492,14 @@ async function loadUserPreferences() {
       toggleDebugDetails.checked = window.showDebugDetails;
     }
 
+    // Revisit hints: badge on by default, in-page hint off
+    if (toggleRevisitBadge) toggleRevisitBadge.checked = result.aiPrefs?.revisitBadge !== false;
+    if (toggleRevisitPageHint) toggleRevisitPageHint.checked = !!result.aiPrefs?.revisitPageHint;
+    if (revisitThresholdInput) {
+      revisitThresholdInput.value = result.aiPrefs?.revisitThreshold ?? DEFAULT_REVISIT_THRESHOLD;
+      renderRevisitThreshold(revisitThresholdInput.value);
+    }
+
     // Return the last search query for auto-execution
     return result.lastSearchQuery || null;
 
@@ -971,6 +1619,136 @@ function getSelectedSearchMode() {
   return checked ? checked.value : 'hybrid-rerank';
 }
 
+// Ranking profiles: pick one of the named weight sets and optionally adjust it
+const PROFILE_WEIGHT_FIELDS = [
+  { key: 'vector', label: 'Meaning' },
+  { key: 'text', label: 'Keywords' },
+  { key: 'recency', label: 'Recency' },
+  { key: 'visits', label: 'Visits' }
+];
+
+async function loadRankingProfiles() {
+  if (!rankingProfileSelect) return;
+
+  try {
+    [rankingProfiles, selectedProfileId] = await Promise.all([getRankingProfiles(), getSelectedProfileId()]);
+
+    rankingProfileSelect.innerHTML = '';
+    rankingProfiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.edited ? `${profile.name} (edited)` : profile.name;
+      rankingProfileSelect.appendChild(option);
+    });
+    rankingProfileSelect.value = selectedProfileId;
+
+    renderRankingProfile();
+  } catch (error) {
+    console.error('[SEARCH] Failed to load ranking profiles:', error);
+  }
+}
+
+async function handleRankingProfileChange() {
+  selectedProfileId = rankingProfileSelect.value;
+  try {
+    await setSelectedProfileId(selectedProfileId);
+  } catch (error) {
+    console.error('[SEARCH] Failed to save ranking profile:', error);
+  }
+  renderRankingProfile();
+
+  if (currentQuery) {
+    performSearch(currentQuery);
+  }
+}
+
+function renderRankingProfile() {
+  const profile = rankingProfiles.find(p => p.id === selectedProfileId);
+  if (!profile) return;
+
+  rankingProfileDescription.textContent = profile.description;
+  rankingProfileEditor.innerHTML = '';
+
+  const addRow = (label, input, format) => {
+    const row = document.createElement('label');
+    row.className = 'profile-editor-row';
+    const name = document.createElement('span');
+    name.textContent = label;
+    const value = document.createElement('span');
+    value.className = 'profile-editor-value';
+    value.textContent = format(input.value);
+    input.addEventListener('input', () => { value.textContent = format(input.value); });
+    row.append(name, input, value);
+    rankingProfileEditor.appendChild(row);
+  };
+
+  // Weights are edited as percentages and normalized to sum to 1 on save
+  const weightInputs = {};
+  PROFILE_WEIGHT_FIELDS.forEach(({ key, label }) => {
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = '0';
+    input.max = '100';
+    input.value = String(Math.round(profile.weights[key] * 100));
+    weightInputs[key] = input;
+    addRow(label, input, v => `${v}`);
+  });
+
+  const halfLife = document.createElement('input');
+  halfLife.type = 'number';
+  halfLife.min = '1';
+  halfLife.max = '365';
+  halfLife.value = String(profile.recencyHalfLifeDays);
+  addRow('Half-life', halfLife, () => 'days');
+
+  const boost = document.createElement('input');
+  boost.type = 'range';
+  boost.min = '0';
+  boost.max = '50';
+  boost.value = String(Math.round(profile.keywordBoost * 100));
+  addRow('Keyword boost', boost, v => (v / 100).toFixed(2));
+
+  const actions = document.createElement('div');
+  actions.className = 'profile-editor-actions';
+
+  const save = document.createElement('button');
+  save.type = 'button';
+  save.textContent = 'Save';
+  save.addEventListener('click', async () => {
+    try {
+      const weights = Object.fromEntries(
+        Object.entries(weightInputs).map(([key, input]) => [key, Number(input.value) / 100])
+      );
+      await saveRankingProfile(profile.id, {
+        weights,
+        recencyHalfLifeDays: Number(halfLife.value),
+        keywordBoost: Number(boost.value) / 100
+      });
+      await loadRankingProfiles();
+      if (currentQuery) performSearch(currentQuery);
+    } catch (error) {
+      console.error('[SEARCH] Failed to save ranking profile:', error);
+    }
+  });
+
+  const reset = document.createElement('button');
+  reset.type = 'button';
+  reset.textContent = 'Reset';
+  reset.disabled = !profile.edited;
+  reset.addEventListener('click', async () => {
+    try {
+      await resetRankingProfile(profile.id);
+      await loadRankingProfiles();
+      if (currentQuery) performSearch(currentQuery);
+    } catch (error) {
+      console.error('[SEARCH] Failed to reset ranking profile:', error);
+    }
+  });
+
+  actions.append(save, reset);
+  rankingProfileEditor.appendChild(actions);
+}
+
 function setSelectedSearchMode(mode) {
   const radio = document.querySelector(`input[name="searchMode"][value="${mode}"]`);
   if (radio) {
@@ -1017,7 +1795,7 @@ async function checkQueueStatus() {
       }
 
       // If processing just finished, refresh the search to show updated summaries
-      if (wasProcessing && !isProcessingPages && currentQuery) {
+      if (wasProcessing && !isProcessingPages && currentQuery && !similarSource) {
         logger.debug('[SEARCH] Processing finished, refreshing search results');
         // Small delay to ensure database is updated
         setTimeout(() => {
@@ -1106,6 +1884,11 @@ function handleContentIndexed(data) {
     return;
   }
 
+  // Don't leave a "more like this" list the user is reading
+  if (similarSource) {
+    return;
+  }
+
   // Debounce multiple rapid indexing events
   clearTimeout(window.contentIndexedTimeout);
   window.contentIndexedTimeout = setTimeout(async () => {
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSearchQuery, matchesFilters, removeOperator } from '../utils/query-parser.js';
+
+const page = (title, url = 'https://example.com/page') => ({ title, url, content_text: '' });
+
+test('operators are split from the free text', () => {
+  const { text, filters, operators } = parseSearchQuery('rust -site:reddit.com intitle:async "borrow checker" visits:>2');
+
+  assert.equal(text, 'rust borrow checker');
+  assert.deepEqual(filters.excludeSites, ['reddit.com']);
+  assert.deepEqual(filters.titleTerms, ['async']);
+  assert.deepEqual(filters.phrases, ['borrow checker']);
+  assert.equal(filters.minVisits, 3);
+  assert.deepEqual(operators.map(op => op.type), ['site', 'intitle', 'phrase', 'visits']);
+});
+
+test('an invalid operator value stays in the text', () => {
+  const { text, filters } = parseSearchQuery('notes before:someday');
+  assert.equal(text, 'notes before:someday');
+  assert.equal(filters.before, null);
+});
+
+test('removeOperator drops one operator from the query', () => {
+  const raw = 'rust site:docs.rs async';
+  const { operators } = parseSearchQuery(raw);
+  assert.equal(removeOperator(raw, operators[0]), 'rust async');
+});
+
+test('excluded terms match whole words', () => {
+  const { filters } = parseSearchQuery('tutorial -java');
+
+  assert.deepEqual(filters.excludeTerms, ['java']);
+  assert.equal(matchesFilters(page('JavaScript tutorial'), filters), true);
+  assert.equal(matchesFilters(page('Java tutorial'), filters), false);
+  assert.equal(matchesFilters(page('Tutorial', 'https://java.com/learn'), filters), false);
+  assert.equal(matchesFilters(page('Java, the language'), filters), false);
+});
+
+test('excluded terms also match their common English endings', () => {
+  const { filters } = parseSearchQuery('-bug');
+  assert.equal(matchesFilters(page('Open bugs'), filters), false);
+  assert.equal(matchesFilters(page('Debugging tips'), filters), true);
+});
+
+test('stop word exclusions are ignored', () => {
+  const { filters, operators, text } = parseSearchQuery('guide -the -And');
+
+  assert.deepEqual(filters.excludeTerms, []);
+  assert.equal(operators.length, 0);
+  assert.equal(text, 'guide');
+  assert.equal(matchesFilters(page('The guide'), filters), true);
+});
+
+test('excluded phrases and sites filter results', () => {
+  const { filters } = parseSearchQuery('-"getting started" -site:example.com');
+
+  assert.equal(matchesFilters(page('Getting started with Rust', 'https://rust-lang.org'), filters), false);
+  assert.equal(matchesFilters(page('Rust', 'https://blog.example.com/rust'), filters), false);
+  assert.equal(matchesFilters(page('Rust', 'https://rust-lang.org'), filters), true);
+});
+
+test('date filters need a visit inside the range', () => {
+  const { filters } = parseSearchQuery('after:2026-03-01 before:2026-04-01');
+  const march = new Date(2026, 2, 15).getTime();
+  const may = new Date(2026, 4, 1).getTime();
+
+  assert.equal(matchesFilters({ ...page('x'), visit_times: [may, march] }, filters), true);
+  assert.equal(matchesFilters({ ...page('x'), last_visit_at: may }, filters), false);
+});
+
+test('author filters match part of the name and skip pages without one', () => {
+  const { filters, text } = parseSearchQuery('release notes author:"jane doe" -author:bot');
+
+  assert.equal(text, 'release notes');
+  assert.deepEqual(filters.authors, ['jane doe']);
+  assert.deepEqual(filters.excludeAuthors, ['bot']);
+  assert.equal(matchesFilters({ ...page('x'), author: 'Jane Doe Smith' }, filters), true);
+  assert.equal(matchesFilters({ ...page('x'), author: 'Jane Doe (bot)' }, filters), false);
+  assert.equal(matchesFilters(page('x'), filters), false);
+});
+
+test('published ranges cover the whole year, month or day', () => {
+  const { filters } = parseSearchQuery('published:2024-05');
+
+  assert.equal(filters.publishedAfter, new Date(2024, 4, 1).getTime());
+  assert.equal(filters.publishedBefore, new Date(2024, 5, 1).getTime());
+  assert.equal(matchesFilters({ ...page('x'), published_at: new Date(2024, 4, 31, 23).getTime() }, filters), true);
+  assert.equal(matchesFilters({ ...page('x'), published_at: new Date(2024, 5, 1).getTime() }, filters), false);
+  assert.equal(matchesFilters(page('x'), filters), false);
+});
+
+test('published comparisons are open-ended', () => {
+  const after = parseSearchQuery('published:>2023').filters;
+  assert.equal(after.publishedAfter, new Date(2024, 0, 1).getTime());
+  assert.equal(after.publishedBefore, null);
+
+  const before = parseSearchQuery('published:<2023-06-15').filters;
+  assert.equal(before.publishedAfter, null);
+  assert.equal(before.publishedBefore, new Date(2023, 5, 15).getTime());
+
+  const { text, filters } = parseSearchQuery('published:2023-13 -published:2024');
+  assert.equal(text, 'published:2023-13 -published:2024');
+  assert.equal(filters.publishedAfter, null);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simhash, hammingDistance, MIN_SIMHASH_WORDS } from '../utils/simhash.js';
+
+// Deterministic filler, so every shingle is different
+const article = (seed, count = 400) =>
+  Array.from({ length: count }, (_, i) => `w${(i * 7919 + seed * 104729) % 100003}`).join(' ');
+
+test('fingerprints are 16 hex characters and depend only on the words', () => {
+  const text = article(1);
+
+  assert.match(simhash(text), /^[0-9a-f]{16}$/);
+  assert.equal(simhash(text), simhash(`  ${text.toUpperCase().replace(/ /g, ', ')}  `));
+});
+
+test('texts too short to fingerprint give null', () => {
+  assert.equal(simhash(article(1, MIN_SIMHASH_WORDS - 1)), null);
+  assert.notEqual(simhash(article(1, MIN_SIMHASH_WORDS)), null);
+  assert.equal(simhash(''), null);
+  assert.equal(simhash(null), null);
+});
+
+test('a copy with a few changed words stays within a few bits', () => {
+  const words = article(1).split(' ');
+  const copy = [...words];
+  copy.splice(0, 0, 'Mirrored', 'from', 'the', 'original');
+  copy[200] = 'changed';
+  copy.push('All', 'rights', 'reserved');
+
+  assert.ok(hammingDistance(simhash(words.join(' ')), simhash(copy.join(' '))) <= 6);
+});
+
+test('unrelated texts differ in about half the bits', () => {
+  const distance = hammingDistance(simhash(article(1)), simhash(article(2)));
+  assert.ok(distance >= 16 && distance <= 48, `distance ${distance}`);
+});
+
+test('hammingDistance counts differing bits and rejects missing fingerprints', () => {
+  assert.equal(hammingDistance('0000000000000000', '0000000000000000'), 0);
+  assert.equal(hammingDistance('0000000000000000', 'ffffffffffffffff'), 64);
+  assert.equal(hammingDistance('0000000100000003', '0000000000000000'), 3);
+  assert.equal(hammingDistance(null, '0000000000000000'), Infinity);
+  assert.equal(hammingDistance('', ''), Infinity);
+  assert.equal(hammingDistance('abc', 'abc'), Infinity);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkText } from '../utils/text-chunker.js';
+
+const words = (count) => Array.from({ length: count }, (_, i) => `word${i}`).join(' ');
+
+test('short text is a single passage', () => {
+  assert.deepEqual(chunkText('  one   two\nthree  '), ['one two three']);
+  assert.deepEqual(chunkText(''), []);
+  assert.deepEqual(chunkText(null), []);
+});
+
+test('long text is covered to the end with no passage over the size', () => {
+  const text = words(6000);
+  const chunks = chunkText(text, { size: 1000, overlap: 200 });
+
+  assert.ok(chunks.length > 24, `expected more than 24 passages, got ${chunks.length}`);
+  assert.ok(chunks.every(chunk => chunk.length <= 1000));
+  assert.ok(chunks[0].startsWith('word0 '));
+  assert.ok(chunks.at(-1).endsWith('word5999'));
+});
+
+test('neighbouring passages overlap and start on a word', () => {
+  const chunks = chunkText(words(1000), { size: 500, overlap: 100 });
+
+  for (let i = 1; i < chunks.length; i++) {
+    assert.match(chunks[i], /^word\d+ /);
+    const firstWord = chunks[i].split(' ')[0];
+    assert.ok(chunks[i - 1].includes(`${firstWord} `), `passage ${i} does not overlap the previous one`);
+  }
+});
+
+test('passages break after a sentence when there is one', () => {
+  const sentence = 'This sentence is about forty characters. ';
+  const chunks = chunkText(sentence.repeat(60), { size: 300, overlap: 50 });
+
+  assert.ok(chunks.slice(0, -1).every(chunk => chunk.endsWith('.')));
+});
+
+test('maxChunks limits the passages', () => {
+  assert.equal(chunkText(words(6000), { maxChunks: 3 }).length, 3);
+});
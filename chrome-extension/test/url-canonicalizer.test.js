@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalizeUrl, normalizeCanonicalRules, DEFAULT_CANONICAL_RULES } from '../utils/url-canonicalizer.js';
+
+test('tracking parameters are dropped and the rest sorted', () => {
+  assert.equal(
+    canonicalizeUrl('https://example.com/story?utm_source=x&id=5&fbclid=abc&b=2'),
+    'https://example.com/story?b=2&id=5'
+  );
+  assert.equal(canonicalizeUrl('https://example.com/story?utm_medium=email'), 'https://example.com/story');
+});
+
+test('fragments and trailing slashes are dropped, but not app routes', () => {
+  assert.equal(canonicalizeUrl('https://example.com/docs/#install'), 'https://example.com/docs');
+  assert.equal(canonicalizeUrl('https://example.com/'), 'https://example.com/');
+  assert.equal(canonicalizeUrl('https://app.example.com/#/settings'), 'https://app.example.com/#/settings');
+  assert.equal(canonicalizeUrl('https://app.example.com/#!/settings'), 'https://app.example.com/#!/settings');
+  assert.equal(canonicalizeUrl('https://mail.example.com/mail/u/0/#inbox/FMfcg'), 'https://mail.example.com/mail/u/0#inbox/FMfcg');
+  assert.equal(canonicalizeUrl('https://mail.example.com/mail/u/0/#inbox'), 'https://mail.example.com/mail/u/0');
+});
+
+test('AMP and mobile addresses map to the desktop page', () => {
+  assert.equal(
+    canonicalizeUrl('https://www.google.com/amp/s/news.example.com/story.amp.html'),
+    'https://news.example.com/story.html'
+  );
+  assert.equal(canonicalizeUrl('https://news.example.com/story/amp/'), 'https://news.example.com/story');
+  assert.equal(canonicalizeUrl('https://m.example.com/page'), 'https://example.com/page');
+  assert.equal(canonicalizeUrl('https://en.m.wikipedia.org/wiki/Rust'), 'https://en.wikipedia.org/wiki/Rust');
+  assert.equal(canonicalizeUrl('https://m.co/page'), 'https://m.co/page');
+});
+
+test('a canonical link is used only on the same site and not to send a page home', () => {
+  const url = 'https://www.example.com/story?id=5';
+  assert.equal(canonicalizeUrl(url, DEFAULT_CANONICAL_RULES, '/articles/story'), 'https://www.example.com/articles/story');
+  assert.equal(canonicalizeUrl(url, DEFAULT_CANONICAL_RULES, 'https://example.com/articles/story'), 'https://example.com/articles/story');
+  assert.equal(canonicalizeUrl(url, DEFAULT_CANONICAL_RULES, 'https://other.com/story'), 'https://www.example.com/story?id=5');
+  assert.equal(canonicalizeUrl(url, DEFAULT_CANONICAL_RULES, 'https://www.example.com/'), 'https://www.example.com/story?id=5');
+});
+
+test('other schemes and unparseable URLs come back unchanged', () => {
+  assert.equal(canonicalizeUrl('chrome://settings/#search'), 'chrome://settings/#search');
+  assert.equal(canonicalizeUrl('not a url'), 'not a url');
+});
+
+test('rules can be switched off and edited', () => {
+  const rules = normalizeCanonicalRules({ dropFragment: false, stripTrailingSlash: 'no', stripParams: [' Ref ', 'ref', ''] });
+
+  assert.equal(rules.dropFragment, false);
+  assert.equal(rules.stripTrailingSlash, true);
+  assert.deepEqual(rules.stripParams, ['ref']);
+  assert.equal(canonicalizeUrl('https://example.com/a/?ref=x&utm_source=y#top', rules), 'https://example.com/a?utm_source=y#top');
+});
@@ -0,0 +1,80 @@
+/**
+ * Click Feedback
+ * Turns the local log of opened search results into per-URL and per-domain boosts.
+ * A long dwell after a click is a strong positive, a quick return is a weak negative,
+ * and being skipped in favour of a lower result is a weaker negative still. Clicks from
+ * similar queries count more than clicks from unrelated ones, and old feedback fades.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const SATISFIED_DWELL_MS = 30 * 1000;
+export const BOUNCE_DWELL_MS = 10 * 1000;
+
+const SIGNALS = {
+  satisfied: 1.0, // dwell of at least SATISFIED_DWELL_MS
+  unknown: 0.5, // dwell not measured (tab not tracked, service worker restarted)
+  neutral: 0.25, // dwell between bounce and satisfied
+  bounce: -0.5, // back within BOUNCE_DWELL_MS
+  skipped: -0.25 // ranked above the clicked result but passed over
+};
+const HALF_LIFE_DAYS = 30;
+const BASE_QUERY_WEIGHT = 0.25; // share of weight a click keeps for an unrelated query
+const DOMAIN_SHARE = 0.5; // domains learn from every page on them, so count each click less
+const SATURATION = 3; // score at which the boost reaches ~76% of its maximum
+
+/**
+ * Word overlap between two queries (Jaccard on lowercased words of 2+ characters)
+ * @param {string} a - First query
+ * @param {string} b - Second query
+ * @returns {number} 0..1
+ */
+export function queryOverlap(a, b) {
+  const words = (text) => new Set((text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(w => w.length >= 2));
+  const wa = words(a);
+  const wb = words(b);
+  if (wa.size === 0 || wb.size === 0) return 0;
+  let shared = 0;
+  wa.forEach(w => { if (wb.has(w)) shared++; });
+  return shared / (wa.size + wb.size - shared);
+}
+
+/**
+ * Learn boosts from logged clicks
+ * @param {Object[]} clicks - Rows { query, url, domain, dwell_ms, skipped_urls, clicked_at }
+ * @param {string} query - The current query
+ * @param {number} now - Reference time in ms (default: Date.now())
+ * @returns {Object} { urls: Map<url, boost>, domains: Map<domain, boost> } with boosts in (-1, 1)
+ */
+export function learnClickBoosts(clicks, query, now = Date.now()) {
+  const urlScores = new Map();
+  const domainScores = new Map();
+  const add = (map, key, value) => {
+    if (key) map.set(key, (map.get(key) || 0) + value);
+  };
+
+  for (const click of clicks) {
+    const ageDays = Math.max(0, now - Number(click.clicked_at || now)) / DAY_MS;
+    const decay = Math.pow(0.5, ageDays / HALF_LIFE_DAYS);
+    const relevance = BASE_QUERY_WEIGHT + (1 - BASE_QUERY_WEIGHT) * queryOverlap(query, click.query);
+    const weight = decay * relevance;
+
+    const signal = SIGNALS[dwellSignal(click.dwell_ms)];
+    add(urlScores, click.url, signal * weight);
+    add(domainScores, click.domain, signal * weight * DOMAIN_SHARE);
+
+    for (const skipped of click.skipped_urls || []) {
+      add(urlScores, skipped, SIGNALS.skipped * weight);
+    }
+  }
+
+  const squash = (map) => new Map([...map].map(([key, score]) => [key, Math.tanh(score / SATURATION)]));
+  return { urls: squash(urlScores), domains: squash(domainScores) };
+}
+
+function dwellSignal(dwellMs) {
+  if (dwellMs == null) return 'unknown';
+  if (dwellMs >= SATISFIED_DWELL_MS) return 'satisfied';
+  if (dwellMs < BOUNCE_DWELL_MS) return 'bounce';
+  return 'neutral';
+}
@@ -0,0 +1,152 @@
+/**
+ * Date Phrase Parser
+ * Resolves natural-language time expressions ("last week", "on Tuesday", "3 days ago")
+ * into absolute ranges in local time. Used to turn chat and search queries into visit
+ * date filters, and as the fallback when Chrome AI can't extract constraints.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, couple: 2, few: 3 };
+
+const NUM = '(\\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten|a couple of|a few)';
+const UNIT = '(day|week|month|year)s?';
+const WEEKDAY = `(${WEEKDAYS.join('|')})`;
+const MONTH = `(${MONTHS.join('|')}|jan|feb|mar|apr|jun|jul|aug|sep|sept|oct|nov|dec)`;
+
+// Most specific patterns first; each resolves a match to { start, end } (end exclusive)
+const PATTERNS = [
+  { re: new RegExp(`\\b(?:in the )?(?:last|past) ${NUM} ${UNIT}\\b`, 'i'), resolve: (m, now) => lastN(m[1], m[2], now) },
+  { re: new RegExp(`\\b${NUM} ${UNIT} ago\\b`, 'i'), resolve: (m, now) => agoN(m[1], m[2], now) },
+  { re: /\b(?:earlier )?today\b/i, resolve: (m, now) => dayRange(now, 0) },
+  { re: /\b(?:the )?day before yesterday\b/i, resolve: (m, now) => dayRange(now, -2) },
+  { re: /\byesterday\b/i, resolve: (m, now) => dayRange(now, -1) },
+  { re: /\bthe other day\b/i, resolve: (m, now) => ({ start: startOfDay(now, -5), end: startOfDay(now, -1) }) },
+  { re: /\b(?:earlier )?this week\b/i, resolve: (m, now) => ({ start: startOfWeek(now), end: startOfDay(now, 1) }) },
+  { re: /\blast week\b/i, resolve: (m, now) => ({ start: startOfDay(startOfWeek(now), -7), end: startOfWeek(now) }) },
+  { re: /\blast weekend\b/i, resolve: (m, now) => ({ start: startOfDay(startOfWeek(now), -2), end: startOfWeek(now) }) },
+  { re: /\b(?:earlier )?this month\b/i, resolve: (m, now) => ({ start: startOfMonth(now, 0), end: startOfDay(now, 1) }) },
+  { re: /\blast month\b/i, resolve: (m, now) => ({ start: startOfMonth(now, -1), end: startOfMonth(now, 0) }) },
+  { re: /\bthis year\b/i, resolve: (m, now) => ({ start: new Date(new Date(now).getFullYear(), 0, 1).getTime(), end: startOfDay(now, 1) }) },
+  { re: /\blast year\b/i, resolve: (m, now) => { const y = new Date(now).getFullYear(); return { start: new Date(y - 1, 0, 1).getTime(), end: new Date(y, 0, 1).getTime() }; } },
+  { re: new RegExp(`\\b(?:on|last|this past) ${WEEKDAY}\\b`, 'i'), resolve: (m, now) => weekdayRange(m[1], now, /^last /i.test(m[0])) },
+  { re: new RegExp(`\\bin ${MONTH}(?: (\\d{4}))?\\b`, 'i'), resolve: (m, now) => monthRange(m[1], m[2], now) }
+];
+
+/**
+ * Find the first time expression in a piece of text
+ * @param {string} text - Query text
+ * @param {number} now - Reference time in ms (default: Date.now())
+ * @returns {Object|null} { start, end, label, match, index } with end exclusive, or null
+ */
+export function findDatePhrase(text, now = Date.now()) {
+  if (!text) return null;
+
+  for (const { re, resolve } of PATTERNS) {
+    const m = text.match(re);
+    if (!m) continue;
+    const range = resolve(m, now);
+    if (!range) continue;
+    return { ...range, label: m[0].trim().toLowerCase(), match: m[0], index: m.index };
+  }
+
+  return null;
+}
+
+/**
+ * Resolve an expression that should be entirely a time phrase (e.g. one returned by the AI)
+ * @param {string} phrase - Time expression such as "last week"
+ * @param {number} now - Reference time in ms (default: Date.now())
+ * @returns {Object|null} { start, end, label } or null if not understood
+ */
+export function parseDatePhrase(phrase, now = Date.now()) {
+  const found = findDatePhrase((phrase || '').trim(), now);
+  return found ? { start: found.start, end: found.end, label: found.label } : null;
+}
+
+/**
+ * Remove a found phrase from its text, tidying leftover whitespace
+ * @param {string} text - The original text
+ * @param {Object} found - Result of findDatePhrase(text)
+ * @returns {string} Text without the time expression
+ */
+export function stripDatePhrase(text, found) {
+  if (!found) return text;
+  return (text.slice(0, found.index) + text.slice(found.index + found.match.length)).replace(/\s+/g, ' ').trim();
+}
+
+// Calendar arithmetic goes through Date so ranges stay on local midnights across DST changes
+function startOfDay(time, offsetDays = 0) {
+  const d = new Date(time);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() + offsetDays).getTime();
+}
+
+// Weeks start on Monday
+function startOfWeek(time) {
+  const day = new Date(time).getDay();
+  return startOfDay(time, -((day + 6) % 7));
+}
+
+function startOfMonth(time, offset) {
+  const d = new Date(time);
+  return new Date(d.getFullYear(), d.getMonth() + offset, 1).getTime();
+}
+
+function dayRange(now, offsetDays) {
+  return { start: startOfDay(now, offsetDays), end: startOfDay(now, offsetDays + 1) };
+}
+
+function toNumber(word) {
+  const key = word.toLowerCase().replace(/^a (couple|few) of$/, '$1').replace(/^a few$/, 'few');
+  return /^\d+$/.test(key) ? parseInt(key, 10) : NUMBER_WORDS[key] || null;
+}
+
+function unitMs(unit) {
+  switch (unit.toLowerCase()) {
+    case 'day': return DAY_MS;
+    case 'week': return 7 * DAY_MS;
+    case 'month': return 30 * DAY_MS;
+    case 'year': return 365 * DAY_MS;
+    default: return null;
+  }
+}
+
+// "last 3 days" covers today and the two days before it
+function lastN(count, unit, now) {
+  const n = toNumber(count);
+  const ms = unitMs(unit);
+  if (!n || !ms) return null;
+  return { start: startOfDay(now, 1) - n * ms, end: startOfDay(now, 1) };
+}
+
+// "2 weeks ago" is the whole unit around that point, so it tolerates fuzzy memories
+function agoN(count, unit, now) {
+  const n = toNumber(count);
+  const ms = unitMs(unit);
+  if (!n || !ms) return null;
+  if (ms === DAY_MS) return dayRange(now, -n);
+  const center = startOfDay(now) - n * ms;
+  return { start: center - Math.floor(ms / 2), end: center + Math.ceil(ms / 2) };
+}
+
+// "Tuesday" is the most recent Tuesday up to today; "last Tuesday" is strictly before today
+function weekdayRange(name, now, strictlyBefore) {
+  const target = WEEKDAYS.indexOf(name.toLowerCase());
+  if (target === -1) return null;
+  let diff = (new Date(now).getDay() - target + 7) % 7;
+  if (diff === 0 && strictlyBefore) diff = 7;
+  return dayRange(now, -diff);
+}
+
+// "in March" is the most recent March that has started
+function monthRange(name, year, now) {
+  const key = name.toLowerCase().slice(0, 3);
+  const month = MONTHS.findIndex(m => m.startsWith(key));
+  if (month === -1) return null;
+  const current = new Date(now);
+  let y = year ? parseInt(year, 10) : current.getFullYear();
+  if (!year && month > current.getMonth()) y -= 1;
+  return { start: new Date(y, month, 1).getTime(), end: new Date(y, month + 1, 1).getTime() };
+}
@@ -89,4 +89,15 @@ export async function sendInitMessage(message) {
     initialDelay: 200,
     maxDelay: 1000
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Send a request to the offscreen document from an extension page. The message also reaches
+ * the background, which relays it, so the offscreen document receives it twice; the requestId
+ * lets it run the request once and answer both copies.
+ * @param {Object} message - { target: 'offscreen', type, data }
+ * @returns {Promise} Response from the offscreen document
+ */
+export function sendOffscreenRequest(message) {
+  return chrome.runtime.sendMessage({ ...message, requestId: crypto.randomUUID() });
+}
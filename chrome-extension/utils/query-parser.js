@@ -0,0 +1,376 @@
+/**
+ * Search Query Parser
+ * Splits a search box query into free text and operators. Shared by the search
+ * page (for filter chips) and the offscreen search handler (for SQL filters).
+ *
+ * Supported operators:
+ *   site:github.com     -site:example.com    pages on (or not on) a domain and its subdomains
+ *   intitle:release     words that must appear in the title
+ *   "exact phrase"      phrase that must appear in the title or content
+ *   -term  -"phrase"    words or phrases that must not appear (stop words like -the are ignored)
+ *   before:2026-09-01   visited before the start of that day
+ *   after:2026-09-01    visited on or after that day
+ *   visits:>5           visit count comparison (>, >=, <, <=, =)
+ *   author:"jane doe"   -author:bot          pages by (or not by) an author named on the page
+ *   published:2024      published:>=2024-05  publish date within, or compared to, a year, month or day
+ *   when:"last week"    visited within a plain-language time range ("yesterday", "in May", "3 days ago")
+ *
+ * A time phrase left in the free text stays part of the search, since it may be words of a
+ * title. It is returned as datePhrase so the search page can offer it as a when: filter.
+ */
+
+import { findDatePhrase, parseDatePhrase } from './date-phrases.js';
+
+// URL heuristics for the content types the keyword extractor can ask for
+export const CONTENT_TYPES = {
+  video: {
+    domains: ['youtube.com', 'youtu.be', 'vimeo.com', 'twitch.tv', 'dailymotion.com', 'loom.com'],
+    hostPrefixes: [],
+    pathContains: ['/video/', '/videos/', '/watch']
+  },
+  repository: {
+    domains: ['github.com', 'gitlab.com', 'bitbucket.org', 'codeberg.org', 'sourceforge.net'],
+    hostPrefixes: [],
+    pathContains: []
+  },
+  documentation: {
+    domains: ['readthedocs.io', 'devdocs.io', 'developer.mozilla.org'],
+    hostPrefixes: ['docs.', 'developer.', 'developers.', 'api.'],
+    pathContains: ['/docs/', '/documentation/', '/reference/', '/api/', '/manual/', '/guide/']
+  },
+  discussion: {
+    domains: ['reddit.com', 'news.ycombinator.com', 'stackoverflow.com', 'stackexchange.com',
+      'discord.com', 'discourse.org', 'lobste.rs'],
+    hostPrefixes: ['forum.', 'forums.', 'community.', 'discuss.'],
+    pathContains: ['/discussions/', '/forum/', '/thread/']
+  }
+};
+
+// PostgreSQL's english stop words. plainto_tsquery() drops them, so indexed pages can't be
+// told apart by one and an exclusion made of one is ignored on every source.
+const STOP_WORDS = new Set((
+  'i me my myself we our ours ourselves you your yours yourself yourselves he him his himself ' +
+  'she her hers herself it its itself they them their theirs themselves what which who whom this ' +
+  'that these those am is are was were be been being have has had having do does did doing a an ' +
+  'the and but if or because as until while of at by for with about against between into through ' +
+  'during before after above below to from up down in out on off over under again further then ' +
+  'once here there when where why how all any both each few more most other some such no nor not ' +
+  'only own same so than too very s t can will just don should now'
+).split(' '));
+
+const OPERATOR_PATTERN = /(-?)(?:(site|intitle|before|after|visits|author|published|when):("[^"]*"|\S+)|"([^"]*)"|(\S+))/gi;
+
+/**
+ * Parse a raw search query
+ * @param {string} raw - The query typed by the user
+ * @returns {Object} { text, operators, filters, hasFilters, datePhrase }
+ *   text: free text to rank on (terms and phrases, without operators)
+ *   operators: [{ type, value, negated, raw, index }] in query order, for display
+ *   filters: normalized constraints for matchesFilters() and the SQL layer
+ *   datePhrase: { label, raw, index, query } for a time phrase in the free text, where query
+ *     is the raw query with the phrase turned into a when: operator; null if there is none
+ */
+export function parseSearchQuery(raw) {
+  const filters = {
+    sites: [],
+    excludeSites: [],
+    titleTerms: [],
+    phrases: [],
+    excludeTerms: [],
+    excludePhrases: [],
+    before: null,
+    after: null,
+    minVisits: null,
+    maxVisits: null,
+    authors: [],
+    excludeAuthors: [],
+    publishedAfter: null,
+    publishedBefore: null,
+    contentType: null
+  };
+  const operators = [];
+  const textParts = [];
+  const plainWords = [];
+
+  for (const match of (raw || '').matchAll(OPERATOR_PATTERN)) {
+    const [token, minus, key, keyValue, phrase, word] = match;
+    const negated = minus === '-';
+    const index = match.index;
+
+    if (key) {
+      const type = key.toLowerCase();
+      const value = stripQuotes(keyValue);
+      if (!value || !applyOperator(filters, type, value, negated)) {
+        textParts.push(token);
+        continue;
+      }
+      operators.push({ type, value, negated, raw: token, index });
+    } else if (phrase !== undefined) {
+      const value = phrase.trim();
+      if (!value) continue;
+      if (negated) {
+        filters.excludePhrases.push(value);
+        operators.push({ type: 'exclude', value, negated: true, raw: token, index });
+      } else {
+        filters.phrases.push(value);
+        operators.push({ type: 'phrase', value, negated: false, raw: token, index });
+        textParts.push(value);
+      }
+    } else if (negated && word.length > 0) {
+      if (STOP_WORDS.has(word.toLowerCase())) continue;
+      filters.excludeTerms.push(word);
+      operators.push({ type: 'exclude', value: word, negated: true, raw: token, index });
+    } else {
+      textParts.push(token);
+      plainWords.push(token);
+    }
+  }
+
+  // Only offered when no visit date filter is set; quoted phrases are never read as dates
+  let datePhrase = null;
+  if (filters.before == null && filters.after == null) {
+    const found = findDatePhrase(plainWords.join(' '));
+    const index = found ? (raw || '').toLowerCase().indexOf(found.match.toLowerCase()) : -1;
+    if (index !== -1) {
+      const operator = `when:"${found.label}"`;
+      datePhrase = {
+        label: found.label,
+        raw: found.match,
+        index,
+        query: raw.slice(0, index) + operator + raw.slice(index + found.match.length)
+      };
+    }
+  }
+
+  return {
+    text: textParts.join(' ').trim(),
+    operators,
+    filters,
+    hasFilters: operators.length > 0,
+    datePhrase
+  };
+}
+
+/**
+ * Check a result against parsed filters. Used for sources that can't be filtered
+ * in SQL (Chrome history) and mirrors the SQL semantics as closely as possible.
+ * @param {Object} result - { url, domain, title, content_text, last_visit_at, visit_count, visit_times,
+ *   published_at, author }
+ * @param {Object} filters - filters from parseSearchQuery()
+ * @returns {boolean} Whether the result satisfies every filter
+ */
+export function matchesFilters(result, filters) {
+  if (!filters) return true;
+
+  const domain = (result.domain || hostnameOf(result.url)).toLowerCase();
+  const title = (result.title || '').toLowerCase();
+  const haystack = `${title} ${(result.content_text || '').toLowerCase()} ${(result.url || '').toLowerCase()}`;
+
+  if (filters.sites.length && !filters.sites.some(site => domainMatches(domain, site))) return false;
+  if (filters.excludeSites.some(site => domainMatches(domain, site))) return false;
+  if (!filters.titleTerms.every(term => title.includes(term.toLowerCase()))) return false;
+  if (!filters.phrases.every(p => haystack.includes(p.toLowerCase()))) return false;
+  if (filters.excludePhrases.some(p => haystack.includes(p.toLowerCase()))) return false;
+  if (filters.excludeTerms.some(t => containsWord(haystack, t))) return false;
+
+  if (filters.before != null || filters.after != null) {
+    const times = Array.isArray(result.visit_times) && result.visit_times.length
+      ? result.visit_times
+      : [result.last_visit_at].filter(Boolean);
+    const inRange = times.some(t =>
+      (filters.before == null || t < filters.before) && (filters.after == null || t >= filters.after)
+    );
+    if (!inRange) return false;
+  }
+
+  const visits = Number(result.visit_count) || 0;
+  if (filters.minVisits != null && visits < filters.minVisits) return false;
+  if (filters.maxVisits != null && visits > filters.maxVisits) return false;
+
+  // Pages without a known author or publish date never satisfy these filters
+  const author = (result.author || '').toLowerCase();
+  if (filters.authors?.length && !filters.authors.some(a => author.includes(a.toLowerCase()))) return false;
+  if (filters.excludeAuthors?.some(a => author.includes(a.toLowerCase()))) return false;
+  if (filters.publishedAfter != null || filters.publishedBefore != null) {
+    const published = Number(result.published_at);
+    if (!published) return false;
+    if (filters.publishedAfter != null && published < filters.publishedAfter) return false;
+    if (filters.publishedBefore != null && published >= filters.publishedBefore) return false;
+  }
+
+  const rules = CONTENT_TYPES[filters.contentType];
+  if (rules) {
+    const path = pathOf(result.url);
+    const isType = rules.domains.some(site => domainMatches(domain, site)) ||
+      rules.hostPrefixes.some(prefix => domain.startsWith(prefix)) ||
+      rules.pathContains.some(part => path.includes(part));
+    if (!isType) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Merge structured constraints (from the keyword extractor or the date-phrase fallback)
+ * into parsed filters. Time ranges intersect with any before:/after: already present.
+ * @param {Object} filters - filters from parseSearchQuery()
+ * @param {Object} constraints - { time_range: { start, end }, domains: [], content_type }
+ * @returns {Object} The same filters object, updated
+ */
+export function applyConstraints(filters, constraints) {
+  if (!constraints) return filters;
+
+  const range = constraints.time_range;
+  if (range && (range.start != null || range.end != null)) {
+    if (range.start != null) filters.after = filters.after == null ? range.start : Math.max(filters.after, range.start);
+    if (range.end != null) filters.before = filters.before == null ? range.end : Math.min(filters.before, range.end);
+  }
+
+  for (const domain of constraints.domains || []) {
+    const site = normalizeSite(domain);
+    if (site && !filters.sites.includes(site)) filters.sites.push(site);
+  }
+
+  if (CONTENT_TYPES[constraints.content_type]) {
+    filters.contentType = constraints.content_type;
+  }
+
+  return filters;
+}
+
+/**
+ * Whether filters restrict anything at all
+ * @param {Object} filters - filters from parseSearchQuery()
+ * @returns {boolean}
+ */
+export function hasActiveFilters(filters) {
+  if (!filters) return false;
+  return Object.values(filters).some(value => Array.isArray(value) ? value.length > 0 : value != null);
+}
+
+/**
+ * Remove one operator (as returned in parseSearchQuery().operators) from a raw query
+ * @param {string} raw - The original query
+ * @param {Object} operator - The operator to remove
+ * @returns {string} The query without that operator
+ */
+export function removeOperator(raw, operator) {
+  const index = raw?.startsWith(operator.raw, operator.index) ? operator.index : (raw || '').indexOf(operator.raw);
+  if (index === -1) return raw;
+  return (raw.slice(0, index) + raw.slice(index + operator.raw.length)).replace(/\s+/g, ' ').trim();
+}
+
+// Returns false when the value isn't valid for the operator, so it is kept as plain text
+function applyOperator(filters, type, value, negated) {
+  switch (type) {
+    case 'site': {
+      const site = normalizeSite(value);
+      if (!site) return false;
+      (negated ? filters.excludeSites : filters.sites).push(site);
+      return true;
+    }
+    case 'intitle':
+      if (negated) {
+        filters.excludePhrases.push(value);
+      } else {
+        filters.titleTerms.push(value);
+      }
+      return true;
+    case 'before':
+    case 'after': {
+      const range = parseDateRange(value);
+      if (!range || negated) return false;
+      if (type === 'before') {
+        filters.before = filters.before == null ? range.start : Math.min(filters.before, range.start);
+      } else {
+        filters.after = filters.after == null ? range.start : Math.max(filters.after, range.start);
+      }
+      return true;
+    }
+    case 'when': {
+      const range = parseDatePhrase(value);
+      if (!range || negated) return false;
+      filters.after = filters.after == null ? range.start : Math.max(filters.after, range.start);
+      filters.before = filters.before == null ? range.end : Math.min(filters.before, range.end);
+      return true;
+    }
+    case 'visits': {
+      const m = value.match(/^(>=|<=|>|<|=)?(\d+)$/);
+      if (!m || negated) return false;
+      const n = parseInt(m[2], 10);
+      const op = m[1] || '>=';
+      if (op === '>') filters.minVisits = n + 1;
+      else if (op === '>=') filters.minVisits = n;
+      else if (op === '<') filters.maxVisits = Math.max(0, n - 1);
+      else if (op === '<=') filters.maxVisits = n;
+      else { filters.minVisits = n; filters.maxVisits = n; }
+      return true;
+    }
+    case 'author':
+      (negated ? filters.excludeAuthors : filters.authors).push(value);
+      return true;
+    case 'published': {
+      const m = value.match(/^(>=|<=|>|<)?(.+)$/);
+      const range = m && parseDateRange(m[2]);
+      if (!range || negated) return false;
+      const op = m[1];
+      const after = op === '>' ? range.end : op === '>=' || !op ? range.start : null;
+      const before = op === '<' ? range.start : op === '<=' || !op ? range.end : null;
+      if (after != null) filters.publishedAfter = filters.publishedAfter == null ? after : Math.max(filters.publishedAfter, after);
+      if (before != null) filters.publishedBefore = filters.publishedBefore == null ? before : Math.min(filters.publishedBefore, before);
+      return true;
+    }
+    default:
+      return false;
+  }
+}
+
+// Accepts YYYY, YYYY-MM or YYYY-MM-DD in local time; end is the start of the next year, month or day
+function parseDateRange(value) {
+  const m = value.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);
+  if (!m) return null;
+  const year = parseInt(m[1], 10);
+  const month = m[2] ? parseInt(m[2], 10) - 1 : 0;
+  const day = m[3] ? parseInt(m[3], 10) : 1;
+  const start = new Date(year, month, day);
+  if (isNaN(start.getTime()) || start.getMonth() !== month) return null;
+  const end = m[3] ? new Date(year, month, day + 1) : m[2] ? new Date(year, month + 1, 1) : new Date(year + 1, 0, 1);
+  return { start: start.getTime(), end: end.getTime() };
+}
+
+function normalizeSite(value) {
+  return String(value || '').trim().toLowerCase()
+    .replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '');
+}
+
+function domainMatches(domain, site) {
+  const bare = domain.replace(/^www\./, '');
+  return bare === site || bare.endsWith(`.${site}`);
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return '';
+  }
+}
+
+function pathOf(url) {
+  try {
+    return new URL(url).pathname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+// Whole words only, like the SQL side's full-text match; the endings its English stemmer
+// folds most often are allowed too
+function containsWord(text, word) {
+  const escaped = word.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?:s|es|ed|ing)?(?![\\p{L}\\p{N}])`, 'u').test(text);
+}
+
+function stripQuotes(value) {
+  return value.replace(/^"|"$/g, '').trim();
+}
@@ -0,0 +1,142 @@
+/**
+ * Ranking Profiles
+ * Named weight sets for the hybrid-rerank scorer and the keyword boost. Built-in
+ * profiles can be edited from the search settings; edits and the selected profile
+ * live in chrome.storage.local and are read by the offscreen search handler.
+ */
+
+export const DEFAULT_PROFILE_ID = 'balanced';
+
+const PROFILES_KEY = 'rankingProfiles'; // id -> edited settings
+const SELECTED_KEY = 'rankingProfileId';
+
+export const BUILT_IN_PROFILES = [
+  {
+    id: 'balanced',
+    name: 'Balanced',
+    description: 'Meaning and keywords first, with a nudge for recent and frequent pages',
+    weights: { vector: 0.40, text: 0.30, recency: 0.20, visits: 0.10 },
+    recencyHalfLifeDays: 14,
+    keywordBoost: 0.1
+  },
+  {
+    id: 'recent-first',
+    name: 'Recent first',
+    description: 'Pages from the last few days rank above older matches',
+    weights: { vector: 0.30, text: 0.20, recency: 0.40, visits: 0.10 },
+    recencyHalfLifeDays: 3,
+    keywordBoost: 0.1
+  },
+  {
+    id: 'deep-research',
+    name: 'Deep research',
+    description: 'Best content match regardless of when or how often it was visited',
+    weights: { vector: 0.55, text: 0.35, recency: 0.05, visits: 0.05 },
+    recencyHalfLifeDays: 90,
+    keywordBoost: 0.15
+  },
+  {
+    id: 'frequent-sites',
+    name: 'Frequent sites',
+    description: 'Favour pages you keep coming back to',
+    weights: { vector: 0.30, text: 0.25, recency: 0.10, visits: 0.35 },
+    recencyHalfLifeDays: 30,
+    keywordBoost: 0.1
+  }
+];
+
+/**
+ * Validate edited settings against a built-in profile. Weights are scaled to sum to 1.
+ * @param {Object} base - The built-in profile
+ * @param {Object} settings - Edited { weights, recencyHalfLifeDays, keywordBoost }
+ * @returns {Object} A complete profile
+ */
+export function normalizeProfile(base, settings = {}) {
+  const weights = {};
+  for (const key of Object.keys(base.weights)) {
+    const value = Number(settings.weights?.[key]);
+    weights[key] = Number.isFinite(value) && value >= 0 ? value : base.weights[key];
+  }
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+  for (const key of Object.keys(weights)) {
+    weights[key] = total > 0 ? weights[key] / total : base.weights[key];
+  }
+
+  const halfLife = Number(settings.recencyHalfLifeDays);
+  const boost = Number(settings.keywordBoost);
+
+  return {
+    ...base,
+    weights,
+    recencyHalfLifeDays: Number.isFinite(halfLife) && halfLife > 0 ? halfLife : base.recencyHalfLifeDays,
+    keywordBoost: Number.isFinite(boost) ? Math.min(1, Math.max(0, boost)) : base.keywordBoost
+  };
+}
+
+/**
+ * All profiles with any saved edits applied
+ * @returns {Promise<Object[]>} Profiles, each with an `edited` flag
+ */
+export async function getRankingProfiles() {
+  const edits = await readStorage(PROFILES_KEY, {});
+  return BUILT_IN_PROFILES.map(base => edits[base.id]
+    ? { ...normalizeProfile(base, edits[base.id]), edited: true }
+    : { ...base, edited: false });
+}
+
+/**
+ * Resolve a profile by id, falling back to the selected profile and then the default
+ * @param {string} id - Profile id (optional)
+ * @returns {Promise<Object>} The profile
+ */
+export async function getRankingProfile(id = null) {
+  const profiles = await getRankingProfiles();
+  const wanted = id || await getSelectedProfileId();
+  return profiles.find(p => p.id === wanted) || profiles.find(p => p.id === DEFAULT_PROFILE_ID);
+}
+
+export async function getSelectedProfileId() {
+  const id = await readStorage(SELECTED_KEY, DEFAULT_PROFILE_ID);
+  return BUILT_IN_PROFILES.some(p => p.id === id) ? id : DEFAULT_PROFILE_ID;
+}
+
+export async function setSelectedProfileId(id) {
+  await chrome.storage.local.set({ [SELECTED_KEY]: id });
+}
+
+/**
+ * Save edits to a built-in profile
+ * @param {string} id - Profile id
+ * @param {Object} settings - { weights, recencyHalfLifeDays, keywordBoost }
+ * @returns {Promise<Object>} The normalized profile
+ */
+export async function saveRankingProfile(id, settings) {
+  const base = BUILT_IN_PROFILES.find(p => p.id === id);
+  if (!base) throw new Error(`Unknown ranking profile: ${id}`);
+
+  const profile = normalizeProfile(base, settings);
+  const edits = await readStorage(PROFILES_KEY, {});
+  edits[id] = {
+    weights: profile.weights,
+    recencyHalfLifeDays: profile.recencyHalfLifeDays,
+    keywordBoost: profile.keywordBoost
+  };
+  await chrome.storage.local.set({ [PROFILES_KEY]: edits });
+  return { ...profile, edited: true };
+}
+
+// Drop saved edits so the profile goes back to its built-in settings
+export async function resetRankingProfile(id) {
+  const edits = await readStorage(PROFILES_KEY, {});
+  delete edits[id];
+  await chrome.storage.local.set({ [PROFILES_KEY]: edits });
+}
+
+async function readStorage(key, fallback) {
+  try {
+    const stored = await chrome.storage.local.get([key]);
+    return stored?.[key] ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Search Metrics
+ * Ranking quality measures for the relevance evaluation harness on the debug page.
+ * Relevance is binary: a result is relevant when its URL is one of the expected URLs.
+ */
+
+/**
+ * Normalize a URL so trivially different forms of the same page compare equal
+ * @param {string} url - The URL to normalize
+ * @returns {string} Lowercased host without www., no fragment, no trailing slash
+ */
+export function normalizeUrlForMatch(url) {
+  try {
+    const u = new URL(String(url).trim());
+    const host = u.hostname.toLowerCase().replace(/^www\./, '');
+    const path = u.pathname.replace(/\/+$/, '');
+    return `${host}${path}${u.search}`;
+  } catch {
+    return String(url || '').trim().toLowerCase().replace(/#.*$/, '').replace(/\/+$/, '');
+  }
+}
+
+/**
+ * Score one ranked result list against the expected URLs
+ * @param {string[]} resultUrls - Result URLs in ranked order
+ * @param {string[]} expectedUrls - URLs that should be found
+ * @param {Object} options - Configuration options
+ * @param {number} options.ndcgK - Cutoff for NDCG (default: 10)
+ * @param {number} options.recallK - Cutoff for recall (default: 25)
+ * @returns {Object} { reciprocalRank, ndcg, recall, firstRank } with firstRank 1-based or null
+ */
+export function evaluateRanking(resultUrls, expectedUrls, options = {}) {
+  const { ndcgK = 10, recallK = 25 } = options;
+
+  const expected = new Set(expectedUrls.map(normalizeUrlForMatch));
+  if (expected.size === 0) {
+    return { reciprocalRank: 0, ndcg: 0, recall: 0, firstRank: null };
+  }
+
+  // Count each expected page once, even if it appears under several URL variants
+  const seen = new Set();
+  const relevant = resultUrls.map(url => {
+    const key = normalizeUrlForMatch(url);
+    if (!expected.has(key) || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const firstIndex = relevant.indexOf(true);
+
+  let dcg = 0;
+  relevant.slice(0, ndcgK).forEach((isRelevant, i) => {
+    if (isRelevant) dcg += 1 / Math.log2(i + 2);
+  });
+  let idcg = 0;
+  for (let i = 0; i < Math.min(expected.size, ndcgK); i++) {
+    idcg += 1 / Math.log2(i + 2);
+  }
+
+  const found = relevant.slice(0, recallK).filter(Boolean).length;
+
+  return {
+    reciprocalRank: firstIndex === -1 ? 0 : 1 / (firstIndex + 1),
+    ndcg: idcg > 0 ? dcg / idcg : 0,
+    recall: found / expected.size,
+    firstRank: firstIndex === -1 ? null : firstIndex + 1
+  };
+}
+
+/**
+ * Average per-query scores into one set of metrics
+ * @param {Object[]} scores - Results of evaluateRanking()
+ * @returns {Object} { mrr, ndcg, recall, queries }
+ */
+export function summarizeEvaluations(scores) {
+  const n = scores.length;
+  if (n === 0) return { mrr: 0, ndcg: 0, recall: 0, queries: 0 };
+
+  const mean = (key) => scores.reduce((sum, s) => sum + s[key], 0) / n;
+  return {
+    mrr: mean('reciprocalRank'),
+    ndcg: mean('ndcg'),
+    recall: mean('recall'),
+    queries: n
+  };
+}
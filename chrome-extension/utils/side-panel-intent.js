@@ -0,0 +1,49 @@
+/**
+ * Side Panel Intents
+ * The background hands the side panel something to show through chrome.storage.session,
+ * since the panel may still be loading when the toolbar badge, a context menu or the
+ * omnibox opens it. An intent is used once and ignored when stale.
+ *
+ * Types:
+ *   { type: 'search', query }               run a history search
+ *   { type: 'chat', question }              ask the chat (handled by the chat page)
+ *   { type: 'revisit', url, title, results } list a tab's related reading
+ *   { type: 'visited', url, title }         "Have I visited this?" for a link
+ *
+ * A search with a null query or a chat with a null question just opens that page
+ * (keyboard shortcuts).
+ */
+
+const INTENT_KEY = 'sidePanelIntent';
+const MAX_AGE_MS = 30 * 1000;
+
+/**
+ * Read the pending intent, removing it when its type is one the caller handles
+ * @param {string[]} types - Intent types the calling page handles (default: all)
+ * @returns {Promise<Object|null>} The intent, or null when there is none or it is stale
+ */
+export async function takeSidePanelIntent(types = null) {
+  try {
+    const stored = await chrome.storage.session.get([INTENT_KEY]);
+    const intent = stored?.[INTENT_KEY];
+    if (!intent || Date.now() - intent.createdAt > MAX_AGE_MS) return null;
+
+    if (!types || types.includes(intent.type)) {
+      await chrome.storage.session.remove(INTENT_KEY);
+    }
+    return intent;
+  } catch (error) {
+    console.error('[INTENT] Failed to read side panel intent:', error);
+    return null;
+  }
+}
+
+/**
+ * Call back whenever a new intent arrives while the page is open
+ * @param {Function} callback - Receives nothing; call takeSidePanelIntent() to read it
+ */
+export function onSidePanelIntent(callback) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'session' && changes[INTENT_KEY]?.newValue) callback();
+  });
+}
@@ -0,0 +1,76 @@
+/**
+ * SimHash
+ * 64-bit locality-sensitive fingerprints of page text for near-duplicate detection.
+ * Each three-word shingle votes on every bit, so mirrors, print views and syndicated
+ * copies of an article end up a few bits apart while unrelated pages differ in about half.
+ * Fingerprints are 16-character hex strings.
+ */
+
+const SHINGLE_SIZE = 3;
+const MAX_WORDS = 20000; // long pages are fingerprinted on their opening text
+export const MIN_SIMHASH_WORDS = 50; // shorter texts are too noisy to fingerprint
+
+/**
+ * Fingerprint a text
+ * @param {string} text - Page text
+ * @returns {string|null} 16 hex characters, or null when the text is too short
+ */
+export function simhash(text) {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length < MIN_SIMHASH_WORDS) return null;
+
+  const votes = new Int32Array(64);
+  const count = Math.min(words.length, MAX_WORDS) - SHINGLE_SIZE + 1;
+  for (let i = 0; i < count; i++) {
+    const shingle = words.slice(i, i + SHINGLE_SIZE).join(' ');
+    const hi = fnv1a(shingle, 0x811c9dc5);
+    const lo = fnv1a(shingle, 0x01000193);
+    for (let bit = 0; bit < 32; bit++) {
+      votes[bit] += (hi >>> bit) & 1 ? 1 : -1;
+      votes[32 + bit] += (lo >>> bit) & 1 ? 1 : -1;
+    }
+  }
+
+  let hi = 0;
+  let lo = 0;
+  for (let bit = 0; bit < 32; bit++) {
+    if (votes[bit] > 0) hi |= 1 << bit;
+    if (votes[32 + bit] > 0) lo |= 1 << bit;
+  }
+  return toHex(hi) + toHex(lo);
+}
+
+/**
+ * Number of differing bits between two fingerprints
+ * @param {string} a - Fingerprint from simhash()
+ * @param {string} b - Fingerprint from simhash()
+ * @returns {number} 0..64, or Infinity when either is missing
+ */
+export function hammingDistance(a, b) {
+  if (!a || !b || a.length !== 16 || b.length !== 16) return Infinity;
+  return popcount(parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) +
+    popcount(parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16));
+}
+
+function fnv1a(text, seed) {
+  let hash = seed >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  // Final avalanche so short shingles still spread across all bits
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b) >>> 0;
+  hash ^= hash >>> 13;
+  return hash >>> 0;
+}
+
+function popcount(n) {
+  n = n - ((n >>> 1) & 0x55555555);
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+function toHex(n) {
+  return (n >>> 0).toString(16).padStart(8, '0');
+}
@@ -0,0 +1,66 @@
+/**
+ * Text Chunker
+ * Splits page text into overlapping passages small enough for the embedding model's window
+ */
+
+/**
+ * Split text into overlapping passages, preferring sentence and word boundaries
+ * @param {string} text - The text to split
+ * @param {Object} options - Configuration options
+ * @param {number} options.size - Target passage length in characters (default: 1000)
+ * @param {number} options.overlap - Characters shared between neighbouring passages (default: 200)
+ * @param {number} options.maxChunks - Maximum number of passages to return (default: no limit)
+ * @returns {string[]} Passages in document order
+ */
+export function chunkText(text, options = {}) {
+  const {
+    size = 1000,
+    overlap = 200,
+    maxChunks = Infinity
+  } = options;
+
+  const normalized = (text || '').replace(/\s+/g, ' ').trim();
+  if (!normalized) return [];
+  if (normalized.length <= size) return [normalized];
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < normalized.length && chunks.length < maxChunks) {
+    let end = Math.min(start + size, normalized.length);
+
+    if (end < normalized.length) {
+      end = findBreak(normalized, start + Math.floor(size / 2), end);
+    }
+
+    const chunk = normalized.slice(start, end).trim();
+    if (chunk) chunks.push(chunk);
+
+    if (end >= normalized.length) break;
+
+    // Step back by the overlap, then forward to the next word so passages don't start mid-word
+    let next = Math.max(end - overlap, start + 1);
+    const space = normalized.indexOf(' ', next);
+    if (space !== -1 && space < end) next = space + 1;
+    start = next;
+  }
+
+  return chunks;
+}
+
+// Last sentence end (or failing that, last space) between min and max
+function findBreak(text, min, max) {
+  const window = text.slice(min, max);
+
+  const sentence = Math.max(
+    window.lastIndexOf('. '),
+    window.lastIndexOf('? '),
+    window.lastIndexOf('! ')
+  );
+  if (sentence !== -1) return min + sentence + 1;
+
+  const space = window.lastIndexOf(' ');
+  if (space !== -1) return min + space;
+
+  return max;
+}
@@ -0,0 +1,172 @@
+/**
+ * URL Canonicalizer
+ * Maps the many addresses of one page (tracking parameters, #fragments, AMP, m. hosts,
+ * trailing slashes) to a single URL, so a page is indexed and counted once. Rules are
+ * editable from the debug page and live in chrome.storage.local; the page's own
+ * <link rel="canonical"> is used when it points at the same site.
+ */
+
+const RULES_KEY = 'urlCanonicalRules';
+
+export const DEFAULT_CANONICAL_RULES = {
+  // Query parameters to drop; a trailing * matches any suffix
+  stripParams: [
+    'utm_*', 'fbclid', 'gclid', 'gbraid', 'wbraid', 'dclid', 'msclkid', 'yclid', 'twclid',
+    'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'igshid', 'ref_src', 'ref_url', 'mkt_tok'
+  ],
+  dropFragment: true, // fragments with a / (#/route, #!/route, #inbox/123) are kept, apps use them as paths
+  unwrapAmp: true,
+  stripMobileHost: true,
+  stripTrailingSlash: true,
+  sortParams: true,
+  useCanonicalLink: true
+};
+
+const AMP_PARAMS = ['amp', 'amp_js_v', 'amp_gsa', 'usqp'];
+const MOBILE_LABELS = new Set(['m', 'mobile']);
+
+/**
+ * Fill in missing or invalid settings from the defaults
+ * @param {Object} rules - Edited rules
+ * @returns {Object} A complete rule set
+ */
+export function normalizeCanonicalRules(rules = {}) {
+  const normalized = { ...DEFAULT_CANONICAL_RULES };
+  for (const key of Object.keys(DEFAULT_CANONICAL_RULES)) {
+    if (key === 'stripParams') continue;
+    if (typeof rules[key] === 'boolean') normalized[key] = rules[key];
+  }
+  if (Array.isArray(rules.stripParams)) {
+    normalized.stripParams = [...new Set(rules.stripParams
+      .map(p => String(p).trim().toLowerCase())
+      .filter(Boolean))];
+  }
+  return normalized;
+}
+
+export async function getCanonicalRules() {
+  try {
+    const stored = await chrome.storage.local.get([RULES_KEY]);
+    return normalizeCanonicalRules(stored?.[RULES_KEY] || {});
+  } catch {
+    return { ...DEFAULT_CANONICAL_RULES };
+  }
+}
+
+export async function saveCanonicalRules(rules) {
+  const normalized = normalizeCanonicalRules(rules);
+  await chrome.storage.local.set({ [RULES_KEY]: normalized });
+  return normalized;
+}
+
+/**
+ * Canonicalize a URL
+ * @param {string} url - The URL as visited
+ * @param {Object} rules - Rules from getCanonicalRules() (default: built-in rules)
+ * @param {string} canonicalLink - The page's rel=canonical URL (optional)
+ * @returns {string} The canonical URL; non-http(s) and unparseable URLs come back unchanged
+ */
+export function canonicalizeUrl(url, rules = DEFAULT_CANONICAL_RULES, canonicalLink = null) {
+  const page = applyRules(url, rules);
+  if (!page || !canonicalLink || !rules.useCanonicalLink) return page ? page.href : url;
+
+  let link = null;
+  try {
+    link = applyRules(new URL(canonicalLink, url).href, rules);
+  } catch {
+    return page.href;
+  }
+
+  // Only trust a canonical link on the same site, and not one that sends every page home
+  if (!link || bareHost(link.hostname) !== bareHost(page.hostname)) return page.href;
+  if (link.pathname === '/' && page.pathname !== '/') return page.href;
+  return link.href;
+}
+
+/**
+ * Hostname of a canonical URL, for the pages.domain column
+ * @param {string} url - A URL
+ * @returns {string} The hostname, or '' when the URL doesn't parse
+ */
+export function canonicalDomain(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return '';
+  }
+}
+
+function applyRules(url, rules) {
+  let u;
+  try {
+    u = new URL(String(url).trim());
+  } catch {
+    return null;
+  }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
+
+  if (rules.unwrapAmp) {
+    const inner = unwrapAmpViewer(u);
+    if (inner) u = inner;
+    u.hostname = u.hostname.replace(/^amp\./, '');
+    u.pathname = u.pathname.replace(/\/amp\/?$/, '/').replace(/\.amp(\.html?)?$/, (_, ext) => ext || '');
+    for (const key of [...u.searchParams.keys()]) {
+      const lower = key.toLowerCase();
+      if (AMP_PARAMS.includes(lower) || (lower === 'outputtype' && u.searchParams.get(key) === 'amp')) {
+        u.searchParams.delete(key);
+      }
+    }
+  }
+
+  if (rules.stripMobileHost) {
+    const labels = u.hostname.split('.');
+    // m.example.com and en.m.wikipedia.org
+    const at = MOBILE_LABELS.has(labels[0]) ? 0 : MOBILE_LABELS.has(labels[1]) ? 1 : -1;
+    if (at !== -1 && labels.length - 1 >= 2 + at) {
+      labels.splice(at, 1);
+      u.hostname = labels.join('.');
+    }
+  }
+
+  const stripParams = rules.stripParams || [];
+  for (const key of [...new Set(u.searchParams.keys())]) {
+    if (stripParams.some(pattern => paramMatches(key.toLowerCase(), pattern))) u.searchParams.delete(key);
+  }
+  if (rules.sortParams) u.searchParams.sort();
+  if ([...u.searchParams.keys()].length === 0) u.search = '';
+
+  if (rules.dropFragment && !u.hash.includes('/')) u.hash = '';
+
+  if (rules.stripTrailingSlash && u.pathname.length > 1 && u.pathname.endsWith('/')) {
+    u.pathname = u.pathname.replace(/\/+$/, '') || '/';
+  }
+
+  return u;
+}
+
+// Google's AMP viewer and the AMP cache wrap the publisher URL in their own path
+function unwrapAmpViewer(u) {
+  let rest = null;
+  if (/^(www\.)?google\.[a-z.]+$/.test(u.hostname) && u.pathname.startsWith('/amp/')) {
+    rest = u.pathname.slice('/amp/'.length);
+  } else if (u.hostname.endsWith('.cdn.ampproject.org')) {
+    rest = u.pathname.replace(/^\/[cv]\//, '');
+    if (rest === u.pathname) return null;
+  }
+  if (!rest) return null;
+
+  const secure = rest.startsWith('s/');
+  try {
+    return new URL(`${secure ? 'https' : 'http'}://${secure ? rest.slice(2) : rest}${u.search}`);
+  } catch {
+    return null;
+  }
+}
+
+function paramMatches(key, pattern) {
+  return pattern.endsWith('*') ? key.startsWith(pattern.slice(0, -1)) : key === pattern;
+}
+
+function bareHost(host) {
+  return host.replace(/^www\./, '');
+}